@@ -1,204 +1,813 @@
 const { GoogleAuth } = require('google-auth-library');
-const { getProjectIdFromMetadata, getServiceAccountEmail, findServiceAccountStartingWithAws, extractWorkloadIdentityInfo } = require('../services/gcp-metadata');
+const { getProjectIdFromMetadata, getServiceAccountEmail, discoverOnboardingServiceAccount, extractWorkloadIdentityInfo, collectProjectContext, getProjectNumber, VALUE_SOURCES, describeSource } = require('../services/gcp-metadata');
 const { getCognitoAccessToken } = require('../services/cognito');
 const { sendToAwsEndpoint, buildErrorDetails } = require('../services/aws-requests');
+const { authenticateCaller } = require('../services/caller-auth');
+const { getCredentialMode, buildExternalAccountCredentialConfig, CREDENTIAL_MODE_KEYLESS } = require('../services/credential-config');
+const { encryptServiceAccountKey } = require('../services/key-encryption');
+const { applyResponseRedaction, redact } = require('../services/redaction');
+const { getSubmissionKey, getSubmission, findDuplicateSubmission, beginSubmission, completeSubmission, abandonSubmission, SUBMISSION_COMPLETED } = require('../services/idempotency');
+const { runDiagnostics } = require('../services/diagnostics');
+const { offboardProject } = require('../services/offboarding');
+const { collectComputeInventory } = require('../services/compute-inventory');
+const { resolveTargetProjects, mapWithConcurrency } = require('../services/multi-project');
+const { enqueueFailedSubmission } = require('../services/outbox');
+const { getReadinessMode, checkIamReadiness, READINESS_MODE_ENFORCE, READINESS_MODE_OFF } = require('../services/iam-readiness');
+const { validateOnboardingRequest, validateOutgoingPayload, PAYLOAD_SCHEMA_VERSION } = require('../services/schema-validation');
+const { createOnboardingError, toOnboardingError, toErrorResponse, sendError } = require('../services/errors');
+const { runWithRequestLogContext, runWithLogLabels, getCorrelationId, setLogLabels, setLogStep } = require('../services/logger');
+const { getConfig, getConfigSource, getSecretSetting, describeConfig } = require('../services/config');
+const { createRouter } = require('./router');
+
+const MODE_ONBOARD = 'onboard';
+const MODE_OFFBOARD = 'offboard';
+
+// Request body fields that name the projects of a multi-project onboarding
+const MULTI_PROJECT_FIELDS = ['projectIds', 'folderId', 'organizationId'];
+
+function isRequestFlagSet(req, name) {
+  const isTrue = value => value === true || (typeof value === 'string' && ['true', '1', 'yes'].includes(value.toLowerCase()));
+  return isTrue(req.query?.[name]) || (typeof req.body === 'object' && req.body !== null && isTrue(req.body[name]));
+}
+
+/**
+ * Dry-run requests (?dryRun=true or "dryRun": true in the body) run every discovery
+ * step and Cognito authentication but never submit to AWS.
+ */
+function isDryRunRequest(req) {
+  return isRequestFlagSet(req, 'dryRun');
+}
+
+/**
+ * Copy of the payload for dry-run responses with the encrypted key material masked.
+ * Everything else is shown as it would be sent (and still goes through response redaction).
+ */
+function buildPayloadPreview(payload) {
+  const detail = { ...payload.detail };
+  if (detail.serviceAccountKey?.encrypted) {
+    detail.serviceAccountKey = {
+      ...detail.serviceAccountKey,
+      encryptedKey: '[MASKED]',
+      iv: '[MASKED]',
+      tag: '[MASKED]',
+      ciphertext: '[MASKED]'
+    };
+  }
+  return { ...payload, detail };
+}
+
+function getRequestCompanyId(req) {
+  return req.query?.companyId || req.query?.company_id || req.headers?.['x-company-id'] || null;
+}
+
+async function authenticateOrReject(req, res, companyId) {
+  setLogStep('caller-authentication');
+  const callerAuth = await authenticateCaller(req, { companyId });
+  if (!callerAuth.authenticated) {
+    console.warn(`Rejected unauthenticated caller (${callerAuth.status}): ${callerAuth.error}`);
+    sendError(res, createOnboardingError(callerAuth.status === 403 ? 'FORBIDDEN' : 'UNAUTHENTICATED', callerAuth.error));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /healthz: liveness only. The configuration was validated at cold start, so answering
+ * at all means the instance is up; no caller authentication and no dependency calls.
+ */
+async function handleHealth(req, res) {
+  res.status(200).json({
+    status: 'ok',
+    stackVersion: getConfig().stackVersion || null
+  });
+}
+
+/**
+ * GET /diagnose: checks every dependency of the onboarding flow without submitting anything.
+ */
+async function handleDiagnose(req, res) {
+  if (!await authenticateOrReject(req, res, getRequestCompanyId(req))) {
+    return;
+  }
+  setLogStep('diagnostics');
+  const report = await runDiagnostics();
+  res.status(report.healthy ? 200 : 503).json({
+    success: report.healthy,
+    ...report
+  });
+}
+
+/**
+ * GET /status/:onboardingId: the recorded outcome of an onboarding submission. The onboardingId
+ * is returned by POST /onboard; records live as long as the idempotency window. The caller names
+ * the company the onboarding was submitted for (companyId query parameter or X-Company-Id header).
+ */
+async function handleStatus(req, res) {
+  const { onboardingId } = req.params;
+  const companyId = getRequestCompanyId(req);
+  // Before the lookup, so an anonymous request costs no state store read
+  if (!await authenticateOrReject(req, res, companyId)) {
+    return;
+  }
+  const record = await getSubmission(onboardingId);
+  // Another company's onboarding is reported as missing, so its existence is not revealed either
+  if (!record || (record.companyId && record.companyId !== companyId)) {
+    sendError(res, createOnboardingError('NOT_FOUND', `No onboarding ${onboardingId} is recorded`));
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    onboardingId,
+    status: record.status,
+    projectId: record.projectId || null,
+    companyId: record.companyId || null,
+    correlationId: record.correlationId || null,
+    startedAt: record.startedAt || null,
+    completedAt: record.completedAt || null,
+    outcome: record.response || null
+  });
+}
+
+const routeRequest = createRouter([
+  { method: 'POST', path: '/onboard', handler: (req, res) => handleOnboarding(req, res, MODE_ONBOARD) },
+  { method: 'POST', path: '/offboard', handler: (req, res) => handleOnboarding(req, res, MODE_OFFBOARD) },
+  { method: 'GET', path: '/status/:onboardingId', handler: handleStatus },
+  { method: 'GET', path: '/healthz', handler: handleHealth },
+  { method: 'GET', path: '/diagnose', handler: handleDiagnose }
+]);
+
+/**
+ * HTTP entry point: binds a correlation ID to the request, then dispatches it by method and path.
+ */
+function extractAndSendGCPInfo(req, res) {
+  return runWithRequestLogContext(req, () => handleRequest(req, res));
+}
+
+async function handleRequest(req, res) {
+  // Every JSON response body passes through the secret redactor
+  applyResponseRedaction(res);
+
+  // Let callers match their request with our logs
+  res.set('X-Correlation-Id', getCorrelationId());
+
+  // Set CORS headers
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Company-Id, X-Archmate-Timestamp, X-Archmate-Nonce, X-Archmate-Signature, X-Correlation-Id, traceparent, Idempotency-Key');
+  res.set('Access-Control-Expose-Headers', 'X-Correlation-Id, Idempotent-Replayed');
 
-async function extractAndSendGCPInfo(req, res) {
   try {
-    // Set CORS headers
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-      res.status(204).send('');
-      return;
+    await routeRequest(req, res);
+  } catch (error) {
+    console.error('Error in Cloud Function:', error);
+    sendError(res, error, {
+      stack: getConfig().nodeEnv === 'development' ? error.stack : undefined
+    });
+  }
+}
+
+/**
+ * Onboarding outcome for a response: { statusCode, body } built from an error, like sendError.
+ */
+function toErrorOutcome(error, extra) {
+  const onboardingError = toOnboardingError(error);
+  return { statusCode: onboardingError.status, body: toErrorResponse(onboardingError, extra) };
+}
+
+/**
+ * POST /onboard and POST /offboard. Offboarding shares request parsing, caller authentication
+ * and service account discovery with onboarding, then revokes instead of submitting.
+ * Onboarding resolves the credentials and workload identity pool once in the function's project,
+ * then submits that project, or each project named by projectIds, folderId or organizationId.
+ */
+async function handleOnboarding(req, res, mode) {
+  const requestStartedAt = Date.now();
+  try {
+    const config = getConfig();
+
+    setLogStep('request-parsing');
+
+    const dryRun = isDryRunRequest(req);
+    if (dryRun) {
+      console.log('Dry-run requested: discovery will run but nothing will be sent to AWS');
     }
 
+    // Where each payload value came from, reported in dry-run previews
+    const valueSources = {};
+
+    // Checked against the request schema once the caller is authenticated; the parsed body is used right away
+    const requestValidation = validateOnboardingRequest(req);
+    const requestBody = requestValidation.body || {};
+
     // Extract companyId from request (body, query params, or headers)
     // Priority: request body > query parameters > headers
-    let companyId = null;
-    
-    if (req.body) {
-      if (typeof req.body === 'object') {
-        companyId = req.body.companyId || req.body.company_id || null;
-      } else if (typeof req.body === 'string') {
-        try {
-          const parsedBody = JSON.parse(req.body);
-          companyId = parsedBody.companyId || parsedBody.company_id || null;
-        } catch (e) {
-          // Body is not JSON, ignore
-        }
-      }
+    let companyId = requestBody.companyId || requestBody.company_id || null;
+    if (companyId) {
+      valueSources.companyId = describeSource(VALUE_SOURCES.REQUEST, 'body');
     }
     
     // Fallback to query parameters
     if (!companyId && req.query) {
       companyId = req.query.companyId || req.query.company_id || null;
+      if (companyId) {
+        valueSources.companyId = describeSource(VALUE_SOURCES.REQUEST, 'query parameter');
+      }
     }
     
     // Fallback to headers
     if (!companyId && req.headers) {
       companyId = req.headers['x-company-id'] || req.headers['X-Company-Id'] || null;
+      if (companyId) {
+        valueSources.companyId = describeSource(VALUE_SOURCES.REQUEST, 'X-Company-Id header');
+      }
     }
     
     if (companyId) {
+      setLogLabels({ companyId });
       console.log(`Extracted companyId: ${companyId}`);
-    } else {
-      console.warn('No companyId found in request (body, query params, or headers)');
+    }
+
+    // Authenticate the caller before doing any onboarding work
+    if (!await authenticateOrReject(req, res, companyId)) {
+      return;
+    }
+
+    if (!requestValidation.valid) {
+      console.warn('Rejected invalid onboarding request:', JSON.stringify(requestValidation.errors));
+      sendError(res, createOnboardingError('INVALID_REQUEST', 'Invalid onboarding request', {
+        details: { errors: requestValidation.errors }
+      }));
+      return;
+    }
+
+    if (mode === MODE_OFFBOARD && MULTI_PROJECT_FIELDS.some(field => requestBody[field] !== undefined)) {
+      sendError(res, createOnboardingError('INVALID_REQUEST', `${MULTI_PROJECT_FIELDS.join(', ')} are only accepted by POST /onboard; offboard one project at a time`));
+      return;
     }
 
     // Extract project ID
-    const projectId = process.env.GCP_PROJECT || process.env.GCLOUD_PROJECT || 
-                     await getProjectIdFromMetadata();
+    setLogStep('project-detection');
+    const projectIdFromConfig = config.gcp.projectId;
+    const projectId = projectIdFromConfig || await getProjectIdFromMetadata();
+    valueSources.projectId = projectIdFromConfig
+      ? getConfigSource('gcp.projectId')
+      : describeSource(VALUE_SOURCES.METADATA_SERVER, 'project/project-id');
 
     if (!projectId) {
-      res.status(500).json({
-        success: false,
-        error: 'Could not determine GCP project ID from metadata service'
-      });
+      sendError(res, createOnboardingError('METADATA_UNAVAILABLE', 'Could not determine GCP project ID from metadata service'));
       return;
     }
+    setLogLabels({ projectId });
+
+    // A retry carrying an Idempotency-Key is answered before any discovery or AWS work. Fingerprint
+    // keys need the pool and key ID, so those requests are checked when the project is reserved.
+    if (mode === MODE_ONBOARD && !dryRun && !MULTI_PROJECT_FIELDS.some(field => requestBody[field] !== undefined)) {
+      setLogStep('idempotency-check');
+      const submissionKey = getSubmissionKey(req, { projectId, companyId });
+      const earlier = submissionKey.requestFingerprint
+        ? await findDuplicateSubmission(submissionKey.key, submissionKey.requestFingerprint)
+        : null;
+      if (earlier) {
+        console.log(`Answering repeated submission ${submissionKey.key} (${earlier.status}) before onboarding`);
+        const outcome = toDuplicateOutcome(submissionKey.key, earlier);
+        res.set(outcome.headers);
+        res.status(outcome.statusCode).json(outcome.body);
+        return;
+      }
+    }
 
     // Get service account information
+    setLogStep('service-account-discovery');
     const auth = new GoogleAuth({
       scopes: ['https://www.googleapis.com/auth/cloud-platform']
     });
 
     const client = await auth.getClient();
-    const project = await auth.getProjectId();
  
     // Get service account email (current service account)
-    const serviceAccountEmail = client.email || client.client_email || await getServiceAccountEmail();
+    // Only used to recognise an "aws" runtime account, so a metadata failure is not fatal here
+    const serviceAccountEmail = client.email || client.client_email || await getServiceAccountEmail().catch(error => {
+      console.warn(`Runtime service account unknown (${error.code}):`, error.message);
+      return null;
+    });
     console.log('Cloud Function is running as service account:', serviceAccountEmail || 'unknown');
  
     // Filter service account name that starts with "aws"
-    let awsServiceAccount = process.env.AWS_SERVICE_ACCOUNT || null;
+    let awsServiceAccount = config.onboarding.serviceAccount;
     if (awsServiceAccount) {
-      console.log(`Using AWS service account from environment: ${awsServiceAccount}`);
+      valueSources.serviceAccountName = getConfigSource('onboarding.serviceAccount');
+      console.log(`Using AWS service account from configuration: ${awsServiceAccount}`);
     }
 
     if (!awsServiceAccount && serviceAccountEmail && serviceAccountEmail.startsWith('aws')) {
       awsServiceAccount = serviceAccountEmail;
+      valueSources.serviceAccountName = describeSource(VALUE_SOURCES.RUNTIME_CREDENTIALS, 'Function runtime service account starts with "aws"');
       console.log(`Using current service account as AWS account: ${awsServiceAccount}`);
     }
 
     if (!awsServiceAccount) {
-      // Try to find service account starting with "aws" from IAM
-      awsServiceAccount = await findServiceAccountStartingWithAws(projectId);
-      console.log(`Discovered AWS service account from IAM: ${awsServiceAccount || 'none found'}`);
+      // Discover the onboarding service account from IAM, ranked by the configured patterns
+      const discovery = await discoverOnboardingServiceAccount(projectId);
+      if (discovery.status !== 'found') {
+        const reasons = {
+          'ambiguous': 'Several service accounts match equally well; set AWS_SERVICE_ACCOUNT or narrow SERVICE_ACCOUNT_ID_PATTERNS',
+          'not-found': 'No enabled service account matches the configured patterns',
+          'error': `Service accounts could not be listed: ${discovery.error}`
+        };
+        const codes = {
+          'ambiguous': 'SA_AMBIGUOUS',
+          'not-found': 'SA_NOT_FOUND',
+          'error': discovery.errorCode || 'IAM_API_FAILED'
+        };
+        console.error(`Service account discovery ${discovery.status}: ${reasons[discovery.status]}`);
+        sendError(res, createOnboardingError(codes[discovery.status], reasons[discovery.status], {
+          details: {
+            serviceAccountDiscovery: {
+              status: discovery.status,
+              candidates: discovery.candidates,
+              disabledMatches: discovery.disabled
+            }
+          }
+        }));
+        return;
+      }
+
+      awsServiceAccount = discovery.email;
+      valueSources.serviceAccountName = describeSource(VALUE_SOURCES.IAM_API, `Ranked first of ${discovery.candidates.length} candidate(s): ${discovery.candidates[0].reasons.join(', ')}`);
+      console.log(`Discovered AWS service account from IAM: ${awsServiceAccount}`);
     }
 
+    // Offboarding revokes what onboarding set up; the per-resource report is the response
+    if (mode === MODE_OFFBOARD) {
+      setLogStep('offboarding');
+      const report = await offboardProject({
+        projectId,
+        serviceAccountEmail: awsServiceAccount,
+        companyId,
+        disablePool: isRequestFlagSet(req, 'disablePool'),
+        dryRun
+      });
+      res.status(report.success ? 200 : 502).json({
+        ...report,
+        message: dryRun ? 'Dry run completed; nothing was changed' : `Offboarding ${report.success ? 'completed' : 'completed with failures'}`
+      });
+      return;
+    }
+
+    // Decide whether to send the pre-generated key or a keyless WIF credential configuration
+    const credentialMode = getCredentialMode();
+    console.log(`Onboarding credential mode: ${credentialMode}`);
+
     // Load the pre-generated JSON key for the AWS-prefixed service account, if present
+    setLogStep('credential-preparation');
     let serviceAccountKeyDetails = null;
-    const rawKeyFromEnv = process.env.AWS_SERVICE_ACCOUNT_KEY_B64;
-    if (rawKeyFromEnv) {
+    // Only the fields needed to test permissions as the onboarding account; cleared after the readiness checks
+    let serviceAccountCredentials = null;
+    const keyConfigured = Boolean(config.onboarding.serviceAccountKeyB64);
+    if (credentialMode === CREDENTIAL_MODE_KEYLESS) {
+      if (keyConfigured) {
+        console.warn('AWS_SERVICE_ACCOUNT_KEY_B64 is set but ignored in keyless mode; the key will not be sent');
+      }
+    } else if (keyConfigured) {
+      valueSources.serviceAccountKey = getConfigSource('onboarding.serviceAccountKeyB64');
+      // Decoded from base64, or read from Secret Manager; access failures carry their own error codes
+      const keyJson = await getSecretSetting('onboarding.serviceAccountKeyB64');
+      let decodedKey = null;
       try {
-        const decodedKeyString = Buffer.from(rawKeyFromEnv, 'base64').toString('utf8');
-        serviceAccountKeyDetails = JSON.parse(decodedKeyString);
-        console.log('Loaded service account key JSON from environment variables');
+        decodedKey = JSON.parse(keyJson);
+        console.log(`Loaded service account key JSON from ${valueSources.serviceAccountKey.source}`);
       } catch (err) {
-        console.error('Failed to decode or parse AWS service account key from environment:', err.message);
-        serviceAccountKeyDetails = {
-          error: 'Failed to decode service account key',
-          errorMessage: err.message,
-          rawKeyBase64: rawKeyFromEnv
+        // The parse error message can quote key material, so it is neither logged nor returned
+        console.error('Failed to decode or parse AWS service account key from environment');
+        sendError(res, createOnboardingError('SA_KEY_INVALID', 'Failed to decode service account key'));
+        return;
+      }
+
+      // Never send the key in cleartext: wrap it for the AWS recipient or refuse to continue
+      if (decodedKey) {
+        serviceAccountCredentials = {
+          client_email: decodedKey.client_email,
+          private_key: decodedKey.private_key
         };
+        try {
+          serviceAccountKeyDetails = encryptServiceAccountKey(decodedKey);
+          console.log(`Encrypted service account key for recipient key ID ${serviceAccountKeyDetails.keyId}`);
+        } catch (encryptionError) {
+          console.error('Failed to encrypt service account key:', encryptionError.message);
+          sendError(res, createOnboardingError('KEY_ENCRYPTION_FAILED', `Failed to encrypt service account key: ${encryptionError.message}`));
+          return;
+        } finally {
+          decodedKey = null;
+        }
       }
     } else {
+      valueSources.serviceAccountKey = describeSource(VALUE_SOURCES.NONE, 'AWS_SERVICE_ACCOUNT_KEY_B64 is not set');
       console.warn('AWS_SERVICE_ACCOUNT_KEY_B64 environment variable not set; no key will be sent');
     }
 
     // Extract Workload Identity Pool ID and Identity Name
-    const { poolId, identityName, providerResourceName, projectNumber } = await extractWorkloadIdentityInfo(projectId);
+    setLogStep('workload-identity-discovery');
+    const workloadIdentity = await extractWorkloadIdentityInfo(projectId);
+    const { poolId, identityName, providerResourceName, projectNumber, validation: workloadIdentityValidation } = workloadIdentity;
+    Object.assign(valueSources, workloadIdentity.sources);
+
+    // A project whose pools/providers all fail validation is misconfigured: fail loudly
+    if (workloadIdentityValidation?.status === 'invalid') {
+      sendError(res, createOnboardingError('WIF_POOL_INVALID', 'No valid Workload Identity pool and AWS provider found in the project', {
+        details: { workloadIdentityValidation }
+      }));
+      return;
+    }
+
+    // In keyless mode, describe how AWS obtains short-lived credentials through the pool instead
+    let credentialConfiguration = null;
+    if (credentialMode === CREDENTIAL_MODE_KEYLESS) {
+      try {
+        credentialConfiguration = buildExternalAccountCredentialConfig({
+          providerResourceName,
+          projectNumber,
+          poolId,
+          identityName,
+          serviceAccountEmail: awsServiceAccount
+        });
+        valueSources.credentialConfiguration = describeSource(VALUE_SOURCES.DERIVED, 'Built from provider resource name and service account email');
+        console.log('Built keyless credential configuration with audience:', credentialConfiguration.audience);
+      } catch (configError) {
+        console.error('Failed to build keyless credential configuration:', configError.message);
+        sendError(res, createOnboardingError('CREDENTIAL_CONFIG_FAILED', configError.message, {
+          details: { message: 'Keyless onboarding requires a discoverable service account and Workload Identity pool provider.' }
+        }));
+        return;
+      }
+    }
+
+    // Everything below is per project; the pool, service account and credentials are shared
+    const onboarding = {
+      dryRun,
+      companyId,
+      valueSources,
+      serviceAccount: awsServiceAccount,
+      credentialMode,
+      serviceAccountKeyDetails,
+      serviceAccountCredentials,
+      credentialConfiguration,
+      workloadIdentity
+    };
+    // Held by `onboarding` until every project's readiness check has run
+    serviceAccountCredentials = null;
+
+    try {
+      setLogStep('target-resolution');
+      const targets = await resolveTargetProjects(requestBody);
+
+      if (!targets) {
+        const outcome = await onboardProject(req, { ...onboarding, projectId, projectNumber });
+        res.set(outcome.headers || {});
+        res.status(outcome.statusCode).json(outcome.body);
+        return;
+      }
+
+      const report = await onboardProjects(req, onboarding, targets, requestStartedAt + config.multiProject.deadlineMs);
+      res.status(report.success ? 200 : 207).json(report);
+    } finally {
+      onboarding.serviceAccountCredentials = null;
+    }
+  } catch (error) {
+    console.error('Error in Cloud Function:', error);
+    sendError(res, error, {
+      stack: getConfig().nodeEnv === 'development' ? error.stack : undefined
+    });
+  }
+}
+
+/**
+ * Onboard every target project with at most MULTI_PROJECT_CONCURRENCY in flight. A project that
+ * fails does not stop the others: each gets its own entry in `projects` with the status code and
+ * body a single-project request would have returned, and `summary` counts the outcomes.
+ * No project is started once `deadline` leaves less than its compute inventory budget and AWS retry
+ * deadline, so the response is sent before the function times out; those projects are reported as
+ * REQUEST_DEADLINE_EXCEEDED and counted as not attempted.
+ */
+async function onboardProjects(req, onboarding, targets, deadline) {
+  const config = getConfig();
+  const { concurrency } = config.multiProject;
+  const projectBudgetMs = config.aws.retry.deadlineMs + (config.computeInventory.enabled ? config.computeInventory.timeBudgetSeconds * 1000 : 0);
+  console.log(`Onboarding ${targets.projects.length} project(s) from ${targets.source.type} with concurrency ${concurrency}`);
+
+  const outcomes = await mapWithConcurrency(targets.projects, concurrency, target =>
+    runWithLogLabels({ projectId: target.projectId }, async () => {
+      if (Date.now() + projectBudgetMs > deadline) {
+        return toErrorOutcome(createOnboardingError('REQUEST_DEADLINE_EXCEEDED', 'Not attempted: the request deadline was reached; submit this project again'));
+      }
+      try {
+        const valueSources = {
+          ...onboarding.valueSources,
+          projectId: describeSource(VALUE_SOURCES.REQUEST, targets.source.type === 'projectIds' ? 'projectIds' : `${targets.source.type} ${targets.source.id}`)
+        };
+        let { projectNumber } = target;
+        if (projectNumber) {
+          valueSources.projectNumber = describeSource(VALUE_SOURCES.RESOURCE_MANAGER_API, `Listed under ${targets.source.type} ${targets.source.id}`);
+        } else {
+          setLogStep('project-lookup');
+          projectNumber = await getProjectNumber(target.projectId);
+          valueSources.projectNumber = describeSource(VALUE_SOURCES.RESOURCE_MANAGER_API, 'projects.get');
+        }
+        return await onboardProject(req, {
+          ...onboarding,
+          valueSources,
+          projectId: target.projectId,
+          projectNumber
+        });
+      } catch (error) {
+        console.error(`Onboarding of ${target.projectId} failed:`, error);
+        return toErrorOutcome(error);
+      }
+    })
+  );
+
+  const projects = outcomes.map((outcome, index) => {
+    // The configuration is the same for every project and is reported once
+    const { configuration, ...body } = outcome.body;
+    return { projectId: targets.projects[index].projectId, statusCode: outcome.statusCode, ...body };
+  });
+  const notAttempted = project => project.code === 'REQUEST_DEADLINE_EXCEEDED';
+  const summary = {
+    total: projects.length,
+    succeeded: projects.filter(project => project.statusCode === 200).length,
+    queued: projects.filter(project => project.statusCode === 202).length,
+    failed: projects.filter(project => project.statusCode !== 200 && project.statusCode !== 202 && !notAttempted(project)).length,
+    notAttempted: projects.filter(notAttempted).length
+  };
+  console.log(`Multi-project onboarding finished: ${JSON.stringify(summary)}`);
+  if (summary.notAttempted > 0) {
+    console.warn(`Request deadline reached; ${summary.notAttempted} project(s) were not attempted`);
+  }
+
+  const completed = onboarding.dryRun
+    ? `Dry run completed for ${summary.total - summary.notAttempted} of ${summary.total} project(s); nothing was sent to AWS`
+    : `Onboarded ${summary.succeeded + summary.queued} of ${summary.total} project(s)${summary.queued > 0 ? `, ${summary.queued} queued for replay` : ''}`;
+  return {
+    success: summary.failed === 0 && summary.notAttempted === 0,
+    dryRun: onboarding.dryRun,
+    message: summary.notAttempted > 0 ? `${completed}; ${summary.notAttempted} not attempted before the request deadline` : completed,
+    source: targets.source,
+    summary,
+    projects,
+    ...(onboarding.dryRun && { configuration: describeConfig() })
+  };
+}
+
+/**
+ * Response for a submission that was already made: the recorded outcome when it completed,
+ * SUBMISSION_IN_PROGRESS while it is still running.
+ */
+function toDuplicateOutcome(submissionKey, record) {
+  const headers = { 'Idempotent-Replayed': 'true' };
+  if (record.status === SUBMISSION_COMPLETED) {
+    return {
+      statusCode: record.response.statusCode,
+      body: {
+        ...record.response.body,
+        idempotentReplay: true,
+        originalCorrelationId: record.correlationId || null
+      },
+      headers
+    };
+  }
+  return {
+    ...toErrorOutcome(createOnboardingError('SUBMISSION_IN_PROGRESS', 'An identical onboarding submission is already in progress', {
+      details: {
+        idempotentReplay: true,
+        onboardingId: submissionKey,
+        originalCorrelationId: record.correlationId || null
+      }
+    })),
+    headers
+  };
+}
+
+/**
+ * The per-project part of onboarding: the idempotency reservation, project context and compute
+ * inventory, the IAM readiness check, payload validation and submission to AWS. Resolves to the
+ * response for the project as { statusCode, body, headers }. A reservation is released whenever
+ * the project ends without a recorded outcome, including when an unexpected error is thrown.
+ */
+async function onboardProject(req, onboarding) {
+  const config = getConfig();
+  const { dryRun, companyId, valueSources, credentialMode, serviceAccountKeyDetails, credentialConfiguration, projectId, projectNumber } = onboarding;
+  const { poolId, identityName, providerResourceName, validation: workloadIdentityValidation } = onboarding.workloadIdentity;
+
+  // Idempotency reservation held by this project, released if it fails before completing
+  let pendingSubmissionKey = null;
+
+  try {
+    // Reserve the submission before any other work, so a repeated request costs one read.
+    // Dry runs submit nothing and take no reservation.
+    let submissionKey = null;
+    if (!dryRun) {
+      setLogStep('idempotency-check');
+      submissionKey = getSubmissionKey(req, {
+        projectId,
+        companyId,
+        poolId,
+        // The loaded key's own ID first: AWS_SERVICE_ACCOUNT_KEY_ID goes stale once the key is rotated
+        serviceAccountKeyId: serviceAccountKeyDetails?.serviceAccountKeyId || config.onboarding.serviceAccountKeyId || null
+      });
+      const reservation = await beginSubmission(submissionKey.key, {
+        keySource: submissionKey.source,
+        requestFingerprint: submissionKey.requestFingerprint,
+        projectId,
+        companyId: companyId || null,
+        correlationId: getCorrelationId()
+      });
+      if (reservation.duplicate) {
+        return toDuplicateOutcome(submissionKey.key, reservation.record);
+      }
+      pendingSubmissionKey = submissionKey.key;
+    }
+
+    // Ancestry, labels, billing and enabled APIs, plus the compute footprint so AWS can size the
+    // assessment; parts that cannot be read are reported, not fatal
+    setLogStep('project-context');
+    const [projectContext, computeInventory] = await Promise.all([
+      collectProjectContext(projectId),
+      config.computeInventory.enabled ? collectComputeInventory(projectId) : null
+    ]);
+
+    // Verify the onboarding service account actually holds the grants AWS relies on
+    setLogStep('iam-readiness');
+    const readinessMode = getReadinessMode();
+    let iamReadiness = null;
+    if (readinessMode !== READINESS_MODE_OFF) {
+      iamReadiness = await checkIamReadiness({
+        projectId,
+        serviceAccountEmail: onboarding.serviceAccount,
+        ancestry: projectContext.ancestry,
+        poolName: providerResourceName ? providerResourceName.split('/providers/')[0] : null,
+        keyless: credentialMode === CREDENTIAL_MODE_KEYLESS,
+        serviceAccountCredentials: onboarding.serviceAccountCredentials
+      });
+    }
+
+    if (readinessMode === READINESS_MODE_ENFORCE && iamReadiness?.status === 'not-ready') {
+      return toErrorOutcome(createOnboardingError('IAM_NOT_READY', `Onboarding service account is missing critical grants: ${iamReadiness.missingCritical.join(', ')}`, {
+        details: { iamReadiness }
+      }));
+    }
 
     // Prepare payload with detail.vendor = "GCP" for Step Function condition matching
     const payload = {
       detail: {
+        schemaVersion: PAYLOAD_SCHEMA_VERSION,
         vendor: "GCP",
-        projectId: projectId || project,
+        operation: "onboard",
+        correlationId: getCorrelationId(),
+        projectId: projectId,
         projectNumber: projectNumber,
-        serviceAccountName: awsServiceAccount,
+        serviceAccountName: onboarding.serviceAccount,
         poolId: poolId,
         identityName: identityName,
         providerResourceName: providerResourceName,
+        workloadIdentityValidation: workloadIdentityValidation,
+        iamReadiness: iamReadiness,
+        projectContext: projectContext,
+        computeInventory: computeInventory,
         timestamp: new Date().toISOString(),
-        serviceAccountKey: serviceAccountKeyDetails,
+        credentialMode: credentialMode,
+        ...(credentialMode === CREDENTIAL_MODE_KEYLESS
+          ? { credentialConfiguration: credentialConfiguration }
+          : { serviceAccountKey: serviceAccountKeyDetails }),
         ...(companyId && { companyId: companyId })
       }
     };
 
+    // Never send AWS a payload that breaks the published contract
+    const payloadValidation = validateOutgoingPayload(payload);
+    if (!payloadValidation.valid) {
+      console.error('Outgoing payload does not match schema version', PAYLOAD_SCHEMA_VERSION, JSON.stringify(payloadValidation.errors));
+      return toErrorOutcome(createOnboardingError('PAYLOAD_SCHEMA_INVALID', `Outgoing payload does not match schema version ${PAYLOAD_SCHEMA_VERSION}`, {
+        details: { errors: payloadValidation.errors }
+      }));
+    }
+
     // Fetch Cognito access token for downstream AWS API authorization
+    setLogStep('cognito-authentication');
     let cognitoAuth;
-    let cognitoErrorDetails = null;
     try {
       cognitoAuth = await getCognitoAccessToken();
-      console.log('Cognito token obtained successfully. Token preview:', cognitoAuth?.token ? cognitoAuth.token.substring(0, 50) + '...' : 'missing');
+      console.log(`Cognito token ${cognitoAuth?.token ? 'obtained' : 'missing'} (type ${cognitoAuth?.tokenType || 'unknown'})`);
     } catch (cognitoError) {
-      console.error('CRITICAL: Failed to obtain Cognito token:', cognitoError.message);
-      console.error('Cognito error stack:', cognitoError.stack);
-      
-      // Capture detailed error information
-      cognitoErrorDetails = {
-        message: cognitoError.message,
-        responseStatus: cognitoError.response?.status,
-        responseStatusText: cognitoError.response?.statusText,
-        responseData: cognitoError.response?.data,
-        responseHeaders: cognitoError.response?.headers,
-        requestUrl: cognitoError.config?.url,
-        requestMethod: cognitoError.config?.method
+      // Only the upstream status and OAuth error code are returned; headers and bodies stay in the logs
+      console.error(`CRITICAL: Failed to obtain Cognito token (${cognitoError.code}):`, cognitoError.message);
+      return toErrorOutcome(toOnboardingError(cognitoError, 'COGNITO_AUTH_FAILED'));
+    }
+
+    // The payload itself carries key material and inventory; the response redactor does not cover logs
+    console.log(`Prepared payload for project ${projectId}, company ${companyId || '(none)'}, ${credentialMode} mode, schema version ${PAYLOAD_SCHEMA_VERSION}`);
+
+    if (dryRun) {
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          dryRun: true,
+          message: 'Dry run completed; nothing was sent to AWS',
+          data: buildPayloadPreview(payload),
+          sources: valueSources,
+          configuration: describeConfig(),
+          cognito: {
+            tokenObtained: Boolean(cognitoAuth?.token),
+            tokenType: cognitoAuth?.tokenType || null,
+            grantedScope: cognitoAuth?.grantedScope || null,
+            expiresIn: cognitoAuth?.expiresIn || null
+          }
+        }
       };
-      
-      console.error('Cognito error details:', JSON.stringify(cognitoErrorDetails, null, 2));
-      
-      // Return detailed error to user
-      res.status(500).json({
-        success: false,
-        error: 'Failed to obtain Cognito access token required for AWS API authentication',
-        cognitoError: cognitoErrorDetails,
-        message: 'The function could not authenticate with Cognito to obtain an access token. Check the cognitoError details for more information.'
-      });
-      return;
     }
 
-    console.log('Extracted data:', JSON.stringify(payload, null, 2));
+    // Record the outcome for later duplicates, then respond
+    const recordOutcome = async (statusCode, body) => {
+      // Something was sent or queued: a failed write leaves the reservation to go stale, never released
+      pendingSubmissionKey = null;
+      try {
+        await completeSubmission(submissionKey.key, { statusCode, body: redact(body) });
+      } catch (stateError) {
+        console.error('Failed to record submission outcome for idempotency:', stateError.message);
+      }
+      return { statusCode, body };
+    };
 
     // Send to AWS endpoint
+    setLogStep('aws-submission');
     const result = await sendToAwsEndpoint(payload, cognitoAuth);
 
     if (result.success) {
-      res.status(200).json({
+      return recordOutcome(200, {
         success: true,
+        onboardingId: submissionKey.key,
         message: 'Data extracted and sent successfully',
         data: payload,
         awsResponse: {
           status: result.response.status,
           statusText: result.response.statusText,
           retriedWithNewToken: result.retriedWithNewToken || false,
-          endpoint: result.endpoint
+          endpoint: result.endpoint,
+          region: result.region,
+          attempts: result.attempts
         }
       });
-      return;
     }
 
-    const errorDetails = buildErrorDetails(result.lastError || result.error, result.endpoint, cognitoAuth);
-    console.error('Error sending to AWS endpoint:', JSON.stringify(errorDetails, null, 2));
+    const { failure } = result;
+    const errorDetails = buildErrorDetails(result.lastError || result.error, result.endpoint, result.auth || cognitoAuth);
+    console.error(`Error sending to AWS endpoint (${failure.code}):`, JSON.stringify(errorDetails, null, 2));
+    const deliveryDetails = {
+      deliveryError: errorDetails,
+      attempts: result.attempts,
+      circuit: result.circuit
+    };
+
+    // AWS refused the payload itself; replaying it unchanged would fail the same way
+    if (!failure.retryable) {
+      return toErrorOutcome(failure, deliveryDetails);
+    }
     
-    res.status(200).json({
-      success: true,
-      message: 'Data extracted successfully but failed to send to AWS',
+    // Keep the payload in the outbox so it is replayed instead of lost
+    setLogStep('outbox-enqueue');
+    let queued;
+    try {
+      queued = await enqueueFailedSubmission(payload, result, { onboardingId: submissionKey.key });
+    } catch (outboxError) {
+      console.error('Failed to queue submission in outbox:', outboxError.message);
+      return toErrorOutcome(createOnboardingError('OUTBOX_UNAVAILABLE', 'Failed to send to AWS and the submission could not be queued for replay', {
+        cause: outboxError,
+        details: {
+          status: 'failed',
+          deliveryErrorCode: failure.code,
+          outboxError: outboxError.message,
+          ...deliveryDetails
+        }
+      }));
+    }
+
+    // Accepted for later delivery: the caller does not need to retry
+    return recordOutcome(202, toErrorResponse(failure, {
+      status: 'queued',
+      onboardingId: submissionKey.key,
+      // The outbox retries on the caller's behalf
+      retryable: false,
+      message: 'Failed to send to AWS; the submission was queued and will be replayed',
+      outboxId: queued.outboxId,
+      nextAttemptAt: queued.nextAttemptAt,
       data: payload,
-      error: errorDetails
-    });
+      ...deliveryDetails
+    }));
 
-  } catch (error) {
-    console.error('Error in Cloud Function:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+  } finally {
+    if (pendingSubmissionKey) {
+      await abandonSubmission(pendingSubmissionKey);
+    }
   }
 }
 
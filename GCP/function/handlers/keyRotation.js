@@ -0,0 +1,74 @@
+const { rotateServiceAccountKey: rotateKey } = require('../services/key-rotation');
+const { getProjectIdFromMetadata, discoverOnboardingServiceAccount } = require('../services/gcp-metadata');
+const { authenticateOperator } = require('../services/caller-auth');
+const { applyResponseRedaction } = require('../services/redaction');
+const { getConfig } = require('../services/config');
+const { createOnboardingError, sendError } = require('../services/errors');
+const { runWithRequestLogContext, getCorrelationId, setLogLabels, setLogStep } = require('../services/logger');
+
+/**
+ * HTTP entry point for rotating the onboarding service account's key, e.g. from Cloud Scheduler.
+ * Rotations younger than KEY_ROTATION_INTERVAL_DAYS are skipped unless "force" (query or body) is true.
+ */
+function rotateServiceAccountKey(req, res) {
+  return runWithRequestLogContext(req, () => handleRotation(req, res));
+}
+
+async function handleRotation(req, res) {
+  applyResponseRedaction(res);
+
+  try {
+    res.set('X-Correlation-Id', getCorrelationId());
+
+    if (req.method !== 'POST') {
+      res.set('Allow', 'POST');
+      sendError(res, createOnboardingError('METHOD_NOT_ALLOWED', 'Method not allowed'));
+      return;
+    }
+
+    setLogStep('caller-authentication');
+    const callerAuth = await authenticateOperator(req);
+    if (!callerAuth.authenticated) {
+      console.warn(`Rejected unauthenticated caller (${callerAuth.status}): ${callerAuth.error}`);
+      sendError(res, createOnboardingError(callerAuth.status === 403 ? 'FORBIDDEN' : 'UNAUTHENTICATED', callerAuth.error));
+      return;
+    }
+
+    setLogStep('project-detection');
+    const config = getConfig();
+    const projectId = config.gcp.projectId || await getProjectIdFromMetadata();
+    if (!projectId) {
+      sendError(res, createOnboardingError('METADATA_UNAVAILABLE', 'Could not determine GCP project ID from metadata service'));
+      return;
+    }
+    setLogLabels({ projectId });
+
+    setLogStep('service-account-discovery');
+    let serviceAccountEmail = config.onboarding.serviceAccount;
+    if (!serviceAccountEmail) {
+      const discovery = await discoverOnboardingServiceAccount(projectId);
+      if (discovery.status !== 'found') {
+        const code = { 'ambiguous': 'SA_AMBIGUOUS', 'not-found': 'SA_NOT_FOUND' }[discovery.status] || discovery.errorCode || 'IAM_API_FAILED';
+        sendError(res, createOnboardingError(code, `Onboarding service account discovery ${discovery.status}; set AWS_SERVICE_ACCOUNT`));
+        return;
+      }
+      serviceAccountEmail = discovery.email;
+    }
+
+    setLogStep('key-rotation');
+    const force = [req.query?.force, req.body?.force].some(value => value === true || value === 'true');
+    const report = await rotateKey({ projectId, serviceAccountEmail, force });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error rotating service account key:', error);
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  rotateServiceAccountKey
+};
@@ -0,0 +1,51 @@
+const { replayOutbox } = require('../services/outbox');
+const { authenticateOperator } = require('../services/caller-auth');
+const { applyResponseRedaction } = require('../services/redaction');
+const { createOnboardingError, sendError } = require('../services/errors');
+const { runWithRequestLogContext, getCorrelationId, setLogStep } = require('../services/logger');
+
+/**
+ * HTTP entry point for replaying queued AWS submissions, e.g. from Cloud Scheduler.
+ * Optional "limit" (query or body) caps how many entries are processed in one run.
+ */
+function replayOnboardingOutbox(req, res) {
+  return runWithRequestLogContext(req, () => handleReplay(req, res));
+}
+
+async function handleReplay(req, res) {
+  applyResponseRedaction(res);
+
+  try {
+    res.set('X-Correlation-Id', getCorrelationId());
+
+    if (req.method !== 'POST') {
+      res.set('Allow', 'POST');
+      sendError(res, createOnboardingError('METHOD_NOT_ALLOWED', 'Method not allowed'));
+      return;
+    }
+
+    setLogStep('caller-authentication');
+    const callerAuth = await authenticateOperator(req);
+    if (!callerAuth.authenticated) {
+      console.warn(`Rejected unauthenticated caller (${callerAuth.status}): ${callerAuth.error}`);
+      sendError(res, createOnboardingError(callerAuth.status === 403 ? 'FORBIDDEN' : 'UNAUTHENTICATED', callerAuth.error));
+      return;
+    }
+
+    setLogStep('outbox-replay');
+    const requestedLimit = parseInt(req.query?.limit || req.body?.limit, 10);
+    const report = await replayOutbox(Number.isFinite(requestedLimit) && requestedLimit > 0 ? { limit: requestedLimit } : {});
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error replaying outbox:', error);
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  replayOnboardingOutbox
+};
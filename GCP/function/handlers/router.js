@@ -0,0 +1,86 @@
+const { createOnboardingError, sendError } = require('../services/errors');
+
+function getRequestPath(req) {
+  return (req.path || (req.url || '/').split('?')[0]).replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Compile a route path such as "/status/:onboardingId" into a matcher that returns
+ * the decoded parameters, or null when the path does not match.
+ * Throws INVALID_REQUEST when a parameter is not valid percent-encoding.
+ */
+function compilePath(path) {
+  const names = [];
+  const pattern = path.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  const regex = new RegExp(`^${pattern}$`);
+
+  return requestPath => {
+    const match = regex.exec(requestPath);
+    if (!match) {
+      return null;
+    }
+    const params = {};
+    names.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch (err) {
+        throw createOnboardingError('INVALID_REQUEST', `Path parameter "${name}" is not valid percent-encoding`);
+      }
+    });
+    return params;
+  };
+}
+
+/**
+ * Build a request handler from [{ method, path, handler }] routes. The matching handler is called
+ * with (req, res) and the path parameters in req.params. Unknown paths get 404, known paths with
+ * another method get 405 with an Allow header, and OPTIONS on a known path is a CORS preflight (204).
+ */
+function createRouter(routes) {
+  const compiled = routes.map(route => ({ ...route, match: compilePath(route.path) }));
+
+  return async function routeRequest(req, res) {
+    const requestPath = getRequestPath(req);
+    let candidates;
+    try {
+      candidates = compiled
+        .map(route => ({ route, params: route.match(requestPath) }))
+        .filter(candidate => candidate.params);
+    } catch (error) {
+      sendError(res, error);
+      return;
+    }
+
+    if (candidates.length === 0) {
+      sendError(res, createOnboardingError('NOT_FOUND', `No route for ${requestPath}`));
+      return;
+    }
+
+    const allowed = [...new Set(candidates.map(candidate => candidate.route.method)), 'OPTIONS'];
+    if (req.method === 'OPTIONS') {
+      res.set('Allow', allowed.join(', '));
+      res.status(204).send('');
+      return;
+    }
+
+    const selected = candidates.find(candidate => candidate.route.method === req.method);
+    if (!selected) {
+      res.set('Allow', allowed.join(', '));
+      sendError(res, createOnboardingError('METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${requestPath}`));
+      return;
+    }
+
+    req.params = { ...req.params, ...selected.params };
+    await selected.route.handler(req, res);
+  };
+}
+
+module.exports = {
+  createRouter
+};
@@ -1,3 +1,32 @@
+const { loadConfig, getConfigWarnings } = require('./services/config');
+const { installStructuredLogging } = require('./services/logger');
+const { installConsoleRedaction } = require('./services/redaction');
+
+// Validate the configuration at cold start so a misconfigured deployment refuses to start
+// with every problem listed, instead of failing halfway through a request.
+let config = null;
+let configError = null;
+try {
+  config = loadConfig();
+} catch (err) {
+  configError = err;
+}
+
+// Emit Cloud Logging JSON, and redact secrets from every log line before any module starts logging.
+// Redaction is installed last so it runs first on each call.
+installStructuredLogging({ format: config?.logging.format, projectId: config?.gcp.projectId });
+installConsoleRedaction({ fieldNames: config?.logging.redactionFieldNames, debug: config?.logging.redactionDebug });
+
+if (configError) {
+  console.error(configError.message);
+  throw configError;
+}
+getConfigWarnings().forEach(warning => console.warn(`Configuration warning: ${warning}`));
+
 const { extractAndSendGCPInfo } = require('./handlers/cloudFunction');
+const { replayOnboardingOutbox } = require('./handlers/outboxReplay');
+const { rotateServiceAccountKey } = require('./handlers/keyRotation');
 
 exports.extractAndSendGCPInfo = extractAndSendGCPInfo;
+exports.replayOnboardingOutbox = replayOnboardingOutbox;
+exports.rotateServiceAccountKey = rotateServiceAccountKey;
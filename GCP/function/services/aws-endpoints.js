@@ -0,0 +1,166 @@
+const { createOnboardingError } = require('./errors');
+
+const ENDPOINT_HEALTHY = 'healthy';
+const ENDPOINT_DEGRADED = 'degraded';
+const ENDPOINT_UNHEALTHY = 'unhealthy';
+const ENDPOINT_DISABLED = 'disabled';
+
+// Degraded endpoints are still used, but only after every healthy one
+const ROUTABLE_HEALTH = [ENDPOINT_HEALTHY, ENDPOINT_DEGRADED];
+const HEALTH_VALUES = [ENDPOINT_HEALTHY, ENDPOINT_DEGRADED, ENDPOINT_UNHEALTHY, ENDPOINT_DISABLED];
+
+// API Gateway and other AWS-hosted endpoints; custom domains must be listed in AWS_ALLOWED_HOSTS
+const DEFAULT_ALLOWED_HOSTS = ['*.amazonaws.com'];
+
+// Connectivity failures that justify trying the next endpoint
+const CONNECTIVITY_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT', 'AWS_CIRCUIT_OPEN'];
+
+function configError(message) {
+  return createOnboardingError('AWS_ENDPOINT_INVALID', message);
+}
+
+function getAllowedHosts(awsConfig) {
+  return awsConfig.allowedHosts?.length > 0 ? awsConfig.allowedHosts : DEFAULT_ALLOWED_HOSTS;
+}
+
+/**
+ * Match a hostname against an allow-list entry: an exact host, or "*.example.com"
+ * for any subdomain of example.com.
+ */
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Parse and validate an endpoint URL, optionally replacing its path.
+ * Rejects anything that is not HTTPS, carries credentials, or points at a host
+ * missing from the allow-list (awsConfig.allowedHosts, default *.amazonaws.com).
+ */
+function buildEndpointUrl(baseUrl, path, awsConfig = {}) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (err) {
+    throw configError(`Invalid AWS endpoint URL "${baseUrl}"`);
+  }
+
+  if (url.protocol !== 'https:') {
+    throw configError(`AWS endpoint ${url.origin} must use HTTPS`);
+  }
+  if (url.username || url.password) {
+    throw configError(`AWS endpoint ${url.origin} must not embed credentials`);
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  const allowedHosts = getAllowedHosts(awsConfig);
+  if (!allowedHosts.some(pattern => hostMatches(hostname, pattern))) {
+    throw configError(`AWS endpoint host ${hostname} is not in the allowed hosts (${allowedHosts.join(', ')})`);
+  }
+
+  if (path) {
+    url.pathname = path.startsWith('/') ? path : `/${path}`;
+    url.search = '';
+  }
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * The endpoint list as configured, before validation: aws.endpoints (AWS_ENDPOINTS, an array of
+ * { url, path, region, priority, health, name }) or the single aws.endpoint/aws.endpointPath.
+ */
+function readEndpointConfig(awsConfig) {
+  if (awsConfig.endpoints !== null && awsConfig.endpoints !== undefined) {
+    if (!Array.isArray(awsConfig.endpoints) || awsConfig.endpoints.length === 0) {
+      throw configError('AWS_ENDPOINTS must be a non-empty JSON array');
+    }
+    return awsConfig.endpoints;
+  }
+
+  if (!awsConfig.endpoint) {
+    throw configError('No AWS endpoint is configured: set AWS_ENDPOINTS or AWS_ENDPOINT');
+  }
+  return [{ name: 'primary', url: awsConfig.endpoint, path: awsConfig.endpointPath }];
+}
+
+/**
+ * Validated endpoints in routing order: healthy before degraded, then by ascending priority,
+ * then in configuration order. Unhealthy and disabled endpoints are left out.
+ * A `path` replaces every endpoint's configured path.
+ * Throws an AWS_ENDPOINT_INVALID error when any entry is invalid or none is routable.
+ */
+function getAwsEndpoints(awsConfig, { path } = {}) {
+  const endpoints = readEndpointConfig(awsConfig).map((entry, index) => {
+    if (!entry || typeof entry.url !== 'string') {
+      throw configError(`AWS endpoint #${index + 1} is missing a url`);
+    }
+    const health = (entry.health || ENDPOINT_HEALTHY).toLowerCase();
+    if (!HEALTH_VALUES.includes(health)) {
+      throw configError(`AWS endpoint #${index + 1} has unknown health "${entry.health}". Expected one of: ${HEALTH_VALUES.join(', ')}`);
+    }
+    const priority = entry.priority === undefined ? index + 1 : Number(entry.priority);
+    if (!Number.isFinite(priority)) {
+      throw configError(`AWS endpoint #${index + 1} has a non-numeric priority`);
+    }
+
+    return {
+      name: entry.name || entry.region || `endpoint-${index + 1}`,
+      region: entry.region || null,
+      url: buildEndpointUrl(entry.url, path || entry.path, awsConfig),
+      priority,
+      health,
+      order: index
+    };
+  });
+
+  const routable = endpoints
+    .filter(endpoint => ROUTABLE_HEALTH.includes(endpoint.health))
+    .sort((a, b) =>
+      ROUTABLE_HEALTH.indexOf(a.health) - ROUTABLE_HEALTH.indexOf(b.health) ||
+      a.priority - b.priority ||
+      a.order - b.order
+    )
+    .map(({ order, ...endpoint }) => endpoint);
+
+  if (routable.length === 0) {
+    throw configError('No healthy AWS endpoint is configured');
+  }
+  return routable;
+}
+
+/**
+ * Path that offboarding and key rotation notifications are posted to on every endpoint
+ * (AWS_LIFECYCLE_ENDPOINT_PATH), so they never start an assessment.
+ */
+function getLifecycleEndpointPath(awsConfig) {
+  if (!awsConfig.lifecycleEndpointPath) {
+    throw configError('AWS_LIFECYCLE_ENDPOINT_PATH is not set; offboarding and key rotation notifications are not sent to the assessment endpoint');
+  }
+  return awsConfig.lifecycleEndpointPath;
+}
+
+/**
+ * Failover to the next endpoint only makes sense when this one could not be reached
+ * or failed on its side (5xx); other responses would be the same everywhere.
+ */
+function isFailoverError(error) {
+  const status = error?.response?.status;
+  if (status) {
+    return status >= 500;
+  }
+  return CONNECTIVITY_ERROR_CODES.includes(error?.code);
+}
+
+module.exports = {
+  ENDPOINT_HEALTHY,
+  ENDPOINT_DEGRADED,
+  ENDPOINT_UNHEALTHY,
+  ENDPOINT_DISABLED,
+  buildEndpointUrl,
+  getAwsEndpoints,
+  getLifecycleEndpointPath,
+  isFailoverError
+};
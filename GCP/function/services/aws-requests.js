@@ -1,15 +1,22 @@
 const axios = require('axios');
 const { getCognitoAccessToken } = require('./cognito');
-const { AWS_ENDPOINT, AWS_ENDPOINT_PATH } = require('../constants');
+const { getCorrelationHeaders } = require('./logger');
+const { getRetryPolicy, isRetryableError, computeRetryDelay, canAttempt, recordSuccess, recordFailure, getCircuitState, sleep } = require('./retry-policy');
+const { getAwsEndpoints, isFailoverError } = require('./aws-endpoints');
+const { createOnboardingError, isOnboardingError } = require('./errors');
+const { getConfig, getSecretSetting } = require('./config');
 
 /**
  * Build headers for requests to the AWS endpoint.
  * API Gateway authorizer is configured with token source "auth-token",
  * so we send the token in the "auth-token" header.
+ * `apiKey` is the resolved AWS_API_KEY, if one is configured.
  */
-function getAwsRequestHeaders(auth) {
+function getAwsRequestHeaders(auth, apiKey = null) {
   const headers = {
-    'Content-Type': 'application/json'
+    'Content-Type': 'application/json',
+    // Forward the correlation ID so run-assessment logs can be joined with ours
+    ...getCorrelationHeaders()
   };
 
   if (auth?.token) {
@@ -22,174 +29,224 @@ function getAwsRequestHeaders(auth) {
     headers['Authorization'] = `${tokenType} ${auth.token}`;
   }
 
-  if (process.env.AWS_API_KEY) {
-    headers['x-api-key'] = process.env.AWS_API_KEY;
+  if (apiKey) {
+    headers['x-api-key'] = apiKey;
   }
 
   return headers;
 }
 
 /**
- * Safely combine base endpoint URL with a desired path.
+ * Send payload to the configured AWS endpoints (see aws-endpoints.js) in routing order.
+ * Transient failures (429, 5xx, timeouts) are retried with exponential backoff and jitter,
+ * honoring Retry-After, within AWS_RETRY_DEADLINE_MS. A 401 refreshes the Cognito token once and
+ * repeats the attempt, outside the AWS_RETRY_MAX_ATTEMPTS budget.
+ * Repeated transient failures open a circuit breaker per endpoint, shared by warm invocations.
+ * The next endpoint is tried only after a connectivity failure or 5xx from the current one.
+ * A `path` replaces the configured endpoint paths (see getLifecycleEndpointPath).
+ * Every attempt is reported in `attempts`.
  */
-function buildEndpointWithPath(baseUrl, desiredPath) {
-  const normalizedPath = desiredPath.startsWith('/') ? desiredPath : `/${desiredPath}`;
-
-  try {
-    const urlObj = new URL(baseUrl);
-    return `${urlObj.protocol}//${urlObj.hostname}${urlObj.port ? ':' + urlObj.port : ''}${normalizedPath}`;
-  } catch (err) {
-    const match = baseUrl.match(/^(https?:\/\/[^\/]+)/);
-    if (match) {
-      return match[1] + normalizedPath;
-    }
-    return baseUrl + normalizedPath;
-  }
-}
-
-/**
- * Send payload to AWS endpoint with retry logic
- */
-async function sendToAwsEndpoint(payload, cognitoAuth) {
-  // Get AWS endpoint from environment variable - can be full URL or base URL
-  const endpointBase = process.env.AWS_ENDPOINT || AWS_ENDPOINT;
-  const endpointPath = (process.env.AWS_ENDPOINT_PATH || AWS_ENDPOINT_PATH || '').trim();
-  let awsEndpoint = endpointBase;
-  
-  // Check if URL already contains a path
-  let urlHasPath = awsEndpoint.includes('/', 8); // Check if there's a '/' after 'https://'
-  
-  // If AWS_ENDPOINT_PATH is explicitly set, use it (override any existing path)
-  if (endpointPath) {
-    awsEndpoint = buildEndpointWithPath(endpointBase, endpointPath);
-  } else if (!urlHasPath) {
-    // Only add default path if URL doesn't already have a path
-    awsEndpoint = awsEndpoint + AWS_ENDPOINT_PATH;
-  }
-  // If URL already has a path and AWS_ENDPOINT_PATH is not set, use URL as-is
-  
-  console.log('Sending to AWS endpoint:', awsEndpoint);
-  
+async function sendToAwsEndpoint(payload, cognitoAuth, { path } = {}) {
   // Check if we have a valid Cognito token
   if (!cognitoAuth || !cognitoAuth.token) {
-    throw new Error('Cannot send to AWS: Cognito token was not obtained successfully.');
+    throw createOnboardingError('COGNITO_AUTH_FAILED', 'Cannot send to AWS: Cognito token was not obtained successfully.');
   }
+
+  const endpoints = getAwsEndpoints(getConfig().aws, { path });
+  const apiKey = await getSecretSetting('aws.apiKey');
+  console.log('AWS endpoint routing order:', endpoints.map(endpoint => `${endpoint.name} (${endpoint.health}) ${endpoint.url}`));
+
+  // Token used for requests; replaced when a 401 forces a Cognito refresh
+  let currentAuth = cognitoAuth;
+  let retriedWithNewToken = false;
   
-  // Try common API Gateway paths if the default fails
-  const alternativePaths = ['/api', '/data', '/webhook', '/post', '/submit'];
-  let lastError = null;
-  
+  const policy = getRetryPolicy();
+  const deadline = Date.now() + policy.deadlineMs;
+  const attempts = [];
+
   // Helper to send payload to a specific endpoint with the current token
-  const postToAws = (endpoint) => {
-    const headers = getAwsRequestHeaders(cognitoAuth);
-    
-    // Log full token info for debugging (first 100 chars only)
-    const authHeader = headers['Authorization'] || '';
-    const tokenPart = authHeader.replace('Bearer ', '');
-    
+  const postToAws = (endpoint, timeout = policy.requestTimeoutMs) => {
+    const auth = currentAuth;
+    const headers = getAwsRequestHeaders(auth, apiKey);
+
+    // Credentials are reported as present or missing only, never as values or prefixes
     console.log('Sending request to AWS with headers:', {
       'Content-Type': headers['Content-Type'],
-      'auth-token': headers['auth-token'] ? `${headers['auth-token'].substring(0, 20)}...` : 'MISSING',
-      'Authorization': authHeader ? `${authHeader.substring(0, 20)}...` : 'MISSING',
-      'x-api-key': headers['x-api-key'] ? '***' : 'not set',
+      'auth-token': headers['auth-token'] ? 'PRESENT' : 'MISSING',
+      'Authorization': headers['Authorization'] ? 'PRESENT' : 'MISSING',
+      'x-api-key': headers['x-api-key'] ? 'PRESENT' : 'not set',
+      'X-Correlation-Id': headers['X-Correlation-Id'] || 'not set',
       'User-Agent': headers['User-Agent'] || 'not set'
     });
     
     console.log('Token details:', {
-      tokenLength: tokenPart.length,
-      tokenStartsWith: tokenPart.substring(0, 20),
-      tokenType: cognitoAuth?.tokenType,
-      scope: cognitoAuth?.grantedScope,
-      claims: cognitoAuth?.claims ? {
-        iss: cognitoAuth.claims.iss,
-        client_id: cognitoAuth.claims.client_id,
-        scope: cognitoAuth.claims.scope
+      tokenType: auth?.tokenType,
+      scope: auth?.grantedScope,
+      claims: auth?.claims ? {
+        iss: auth.claims.iss,
+        client_id: auth.claims.client_id,
+        scope: auth.claims.scope
       } : null
     });
     
     return axios.post(endpoint, payload, {
       headers: headers,
-      timeout: 10000
+      timeout: timeout
     });
   };
 
-  // First try the configured/default endpoint
-  try {
-    const response = await postToAws(awsEndpoint);
-    return {
-      success: true,
-      response: response,
-      endpoint: awsEndpoint
-    };
-  } catch (awsError) {
-    let errorAfterRetry = awsError;
-    // If unauthorized, refresh the Cognito token once and retry immediately
-    if (awsError.response?.status === 401) {
-      console.warn('Received 401 Unauthorized from AWS endpoint.');
-      console.warn('Response data:', JSON.stringify(awsError.response?.data, null, 2));
-      console.warn('Request headers sent:', JSON.stringify(awsError.config?.headers, null, 2));
-      console.warn('Attempting to refresh Cognito token and retry once...');
+  // Send to one endpoint, retrying transient failures; returns the response or throws the last error
+  const sendWithRetries = async (endpoint) => {
+    const awsEndpoint = endpoint.url;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      if (!canAttempt(awsEndpoint)) {
+        console.warn(`Circuit breaker is open for ${awsEndpoint}; not sending`);
+        attempts.push({ attempt, endpoint: awsEndpoint, region: endpoint.region, outcome: 'circuit-open' });
+        throw createOnboardingError('AWS_CIRCUIT_OPEN', `Circuit breaker is open for ${awsEndpoint} after repeated failures`, {
+          details: { endpoint: awsEndpoint }
+        });
+      }
+
+      const startedAt = Date.now();
+      const timeout = Math.max(1000, Math.min(policy.requestTimeoutMs, deadline - startedAt));
       try {
-        const refreshedAuth = await getCognitoAccessToken({ forceRefresh: true });
-        console.log('New token obtained, retrying request...');
-        const retryResponse = await postToAws(awsEndpoint);
-        return {
-          success: true,
-          response: retryResponse,
+        const response = await postToAws(awsEndpoint, timeout);
+        recordSuccess(awsEndpoint);
+        attempts.push({ attempt, endpoint: awsEndpoint, region: endpoint.region, outcome: 'success', statusCode: response.status, durationMs: Date.now() - startedAt });
+        return response;
+      } catch (awsError) {
+        lastError = awsError;
+        const record = {
+          attempt,
           endpoint: awsEndpoint,
-          retriedWithNewToken: true
+          region: endpoint.region,
+          outcome: 'failure',
+          statusCode: awsError.response?.status || null,
+          errorCode: awsError.code || null,
+          message: awsError.message,
+          durationMs: Date.now() - startedAt
         };
-      } catch (retryError) {
-        console.error('Retry after Cognito token refresh also failed:', retryError.response?.status, retryError.message);
-        console.error('Retry error response data:', JSON.stringify(retryError.response?.data, null, 2));
-        errorAfterRetry = retryError;
+        attempts.push(record);
+
+        // Any answer other than a transient failure shows the endpoint is up, which also settles a half-open trial
+        if (awsError.response && !isRetryableError(awsError)) {
+          recordSuccess(awsEndpoint);
+        }
+
+        // If unauthorized, refresh the Cognito token once and retry immediately
+        if (awsError.response?.status === 401 && !retriedWithNewToken) {
+          console.warn('Received 401 Unauthorized from AWS endpoint.');
+          console.warn('Response data:', JSON.stringify(awsError.response?.data, null, 2));
+          console.warn('Attempting to refresh Cognito token and retry once...');
+          try {
+            currentAuth = await getCognitoAccessToken({ forceRefresh: true });
+            retriedWithNewToken = true;
+            // An expired token is not a delivery failure: the refreshed retry does not use up an attempt
+            record.outcome = 'unauthorized';
+            record.nextAction = 'refresh-token';
+            console.log('New token obtained, retrying request...');
+            attempt--;
+            continue;
+          } catch (refreshError) {
+            console.error('Cognito token refresh failed:', refreshError.message);
+            record.nextAction = 'token-refresh-failed';
+            break;
+          }
+        }
+
+        if (!isRetryableError(awsError)) {
+          record.nextAction = 'give-up-non-retryable';
+          break;
+        }
+
+        recordFailure(awsEndpoint);
+        if (attempt === policy.maxAttempts) {
+          record.nextAction = 'give-up-max-attempts';
+          break;
+        }
+
+        const delayMs = computeRetryDelay(attempt, policy, awsError);
+        if (Date.now() + delayMs >= deadline) {
+          record.nextAction = 'give-up-deadline';
+          break;
+        }
+
+        record.nextAction = 'retry';
+        record.retryInMs = delayMs;
+        console.warn(`Transient failure sending to ${awsEndpoint} (${record.statusCode || record.errorCode}); retrying in ${delayMs}ms`);
+        await sleep(delayMs);
       }
     }
 
-    lastError = errorAfterRetry;
-    console.warn(`Failed to send to ${awsEndpoint}:`, errorAfterRetry.response?.status, errorAfterRetry.response?.statusText);
-    
-    // If it's a 404 and we haven't tried alternatives yet, try common paths
-    if (errorAfterRetry.response?.status === 404 && !process.env.AWS_ENDPOINT_PATH) {
-      // Extract base URL from the current endpoint
-      let baseUrl;
-      try {
-        const urlObj = new URL(awsEndpoint);
-        baseUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.port ? ':' + urlObj.port : ''}`;
-      } catch (e) {
-        const match = awsEndpoint.match(/^(https?:\/\/[^\/]+)/);
-        baseUrl = match ? match[1] : awsEndpoint.split('/').slice(0, 3).join('/');
+    throw lastError;
+  };
+
+  let lastError = null;
+  let lastEndpoint = endpoints[0];
+
+  for (let index = 0; index < endpoints.length; index++) {
+    const endpoint = endpoints[index];
+    lastEndpoint = endpoint;
+    console.log(`Sending to AWS endpoint ${endpoint.name}:`, endpoint.url);
+
+    try {
+      const response = await sendWithRetries(endpoint);
+      return {
+        success: true,
+        response: response,
+        endpoint: endpoint.url,
+        region: endpoint.region,
+        auth: currentAuth,
+        retriedWithNewToken: retriedWithNewToken,
+        attempts: attempts
+      };
+    } catch (awsError) {
+      lastError = awsError;
+      console.warn(`Failed to send to ${endpoint.url}:`, awsError.response?.status || awsError.code, awsError.response?.statusText || awsError.message);
+
+      const hasNext = index < endpoints.length - 1;
+      if (!hasNext || !isFailoverError(awsError)) {
+        break;
       }
-      
-      for (const altPath of alternativePaths) {
-        const altEndpoint = baseUrl + altPath;
-        console.log(`Trying alternative endpoint: ${altEndpoint}`);
-        
-        try {
-          const altResponse = await postToAws(altEndpoint);
-          return {
-            success: true,
-            response: altResponse,
-            endpoint: altEndpoint
-          };
-        } catch (altError) {
-          console.warn(`Alternative endpoint ${altEndpoint} also failed:`, altError.response?.status);
-          // Continue to next alternative
-        }
+      if (Date.now() >= deadline) {
+        console.warn('AWS retry deadline reached; not failing over to remaining endpoints');
+        break;
       }
+      attempts[attempts.length - 1].nextAction = 'failover';
+      console.warn(`Failing over from ${endpoint.name} to ${endpoints[index + 1].name}`);
     }
-    
-    // Build error details
-    const headersSent = errorAfterRetry?.config?.headers || {};
-    const responseHeaders = errorAfterRetry?.response?.headers || {};
-    
-    return {
-      success: false,
-      error: buildErrorDetails(errorAfterRetry, awsEndpoint, cognitoAuth),
-      lastError: errorAfterRetry,
-      endpoint: awsEndpoint
-    };
   }
+  
+  return {
+    success: false,
+    failure: classifyDeliveryError(lastError, lastEndpoint.url),
+    error: buildErrorDetails(lastError, lastEndpoint.url, currentAuth),
+    lastError: lastError,
+    endpoint: lastEndpoint.url,
+    region: lastEndpoint.region,
+    auth: currentAuth,
+    attempts: attempts,
+    circuit: getCircuitState(lastEndpoint.url)
+  };
+}
+
+/**
+ * Map the last delivery error onto the error taxonomy: an open circuit keeps its code,
+ * transient failures become AWS_DELIVERY_FAILED and anything AWS refused outright
+ * (4xx other than throttling) becomes AWS_DELIVERY_REJECTED.
+ */
+function classifyDeliveryError(error, endpoint) {
+  if (isOnboardingError(error)) {
+    return error;
+  }
+  const status = error?.response?.status || null;
+  const code = !status || isRetryableError(error) ? 'AWS_DELIVERY_FAILED' : 'AWS_DELIVERY_REJECTED';
+  return createOnboardingError(code, `Failed to deliver to AWS endpoint: ${status ? `HTTP ${status}` : error?.code || error?.message}`, {
+    cause: error,
+    details: { endpoint, upstreamStatus: status }
+  });
 }
 
 /**
@@ -212,11 +269,8 @@ function buildErrorDetails(error, endpoint, cognitoAuth) {
     },
     diagnostics: {
       cognitoTokenObtained: cognitoAuth ? !!cognitoAuth.token : false,
-      tokenPreview: cognitoAuth?.token ? cognitoAuth.token.substring(0, 30) + '...' : 'NO TOKEN',
       authTokenHeaderPresent: !!(headersSent['auth-token'] || headersSent['Auth-Token']),
-      authTokenHeaderPreview: (headersSent['auth-token'] || headersSent['Auth-Token'] || '').substring(0, 50) + '...',
       authorizationHeaderPresent: !!(headersSent['Authorization'] || headersSent['authorization']),
-      authorizationHeaderPreview: (headersSent['Authorization'] || headersSent['authorization'] || '').substring(0, 50) + '...',
       apiKeyPresent: !!(headersSent['x-api-key'] || headersSent['X-Api-Key']),
       tokenClaims: cognitoAuth?.claims ? {
         iss: cognitoAuth.claims.iss,
@@ -244,8 +298,8 @@ function buildErrorDetails(error, endpoint, cognitoAuth) {
 
 module.exports = {
   getAwsRequestHeaders,
-  buildEndpointWithPath,
   sendToAwsEndpoint,
+  classifyDeliveryError,
   buildErrorDetails
 };
 
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { OAuth2Client } = require('google-auth-library');
+const { getConfig, getSecretSetting } = require('./config');
+const { getStateStore } = require('./state-store');
+
+const HMAC_TIMESTAMP_HEADER = 'x-archmate-timestamp';
+const HMAC_NONCE_HEADER = 'x-archmate-nonce';
+const HMAC_SIGNATURE_HEADER = 'x-archmate-signature';
+
+// Nonces seen within the allowed clock skew window, shared by all instances through the state store
+const NONCES_COLLECTION = 'callerNonces';
+
+const oidcClient = new OAuth2Client();
+
+/**
+ * Verifiers available to the caller authentication layer, keyed by mode name.
+ * Each verifier resolves to { authenticated, principal } or { authenticated: false, reason },
+ * or null when the request carries no credentials for that mode.
+ */
+const verifiers = {
+  oidc: verifyOidcIdToken,
+  hmac: verifyHmacSignature
+};
+
+/**
+ * Register an additional caller verifier (or replace a built-in one).
+ */
+function registerCallerVerifier(name, verifier) {
+  if (typeof verifier !== 'function') {
+    throw new Error(`Caller verifier "${name}" must be a function`);
+  }
+  verifiers[name] = verifier;
+}
+
+/**
+ * Read enabled authentication modes from CALLER_AUTH_MODES (comma separated).
+ * "none" disables caller authentication entirely and is meant for local development only.
+ */
+function getEnabledModes() {
+  return getConfig().callerAuth.modes;
+}
+
+function getHeader(req, name) {
+  if (typeof req.get === 'function') {
+    return req.get(name) || null;
+  }
+  return req.headers?.[name] || null;
+}
+
+/**
+ * Verify a Google-signed OIDC ID token from the Authorization header. Any Google account can
+ * obtain a token for our audience, so only the principals in CALLER_AUTH_ALLOWED_EMAILS are accepted.
+ */
+async function verifyOidcIdToken(req) {
+  const authHeader = getHeader(req, 'authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const { audiences, allowedEmails } = getConfig().callerAuth;
+  if (audiences.length === 0) {
+    return { authenticated: false, reason: 'OIDC authentication is enabled but CALLER_AUTH_AUDIENCE is not configured' };
+  }
+  if (allowedEmails.length === 0) {
+    return { authenticated: false, reason: 'OIDC authentication is enabled but CALLER_AUTH_ALLOWED_EMAILS is not configured' };
+  }
+
+  try {
+    const ticket = await oidcClient.verifyIdToken({
+      idToken: authHeader.substring('Bearer '.length).trim(),
+      audience: audiences
+    });
+    const claims = ticket.getPayload() || {};
+
+    if (!claims.email || !claims.email_verified || !allowedEmails.includes(claims.email)) {
+      return { authenticated: false, reason: 'ID token principal is not in the allowed caller list', forbidden: true };
+    }
+
+    return {
+      authenticated: true,
+      principal: claims.email
+    };
+  } catch (err) {
+    console.warn('OIDC ID token verification failed:', err.message);
+    return { authenticated: false, reason: 'Invalid or expired ID token' };
+  }
+}
+
+/**
+ * Build the canonical string signed by HMAC callers:
+ * "<timestamp>.<nonce>.<METHOD>.<path with query>.<raw body>"
+ */
+function buildHmacSigningString(req, timestamp, nonce) {
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const path = req.originalUrl || req.url || '/';
+  return `${timestamp}.${nonce}.${(req.method || '').toUpperCase()}.${path}.${rawBody}`;
+}
+
+/**
+ * Record a nonce until `expiresAtSeconds`; false when it is already recorded and not yet expired.
+ * The create-if-absent, and the conditional replace of an expired record, make the check atomic
+ * across instances with the Firestore backend.
+ */
+async function claimNonce(nonce, expiresAtSeconds) {
+  const store = getStateStore();
+  const id = crypto.createHash('sha256').update(nonce).digest('hex');
+  const record = { expiresAt: new Date(expiresAtSeconds * 1000).toISOString() };
+
+  if (await store.create(NONCES_COLLECTION, id, record)) {
+    return true;
+  }
+  // A nonce outside the skew window cannot be replayed (its timestamp is rejected), so it may be reused
+  const existing = await store.get(NONCES_COLLECTION, id);
+  if (existing && Date.parse(existing.expiresAt) > Date.now()) {
+    return false;
+  }
+  // Absent: released between the create and the read, so claim it afresh
+  return existing
+    ? store.replace(NONCES_COLLECTION, id, existing, record)
+    : store.create(NONCES_COLLECTION, id, record);
+}
+
+/**
+ * Verify an HMAC-SHA256 signed request using the shared CALLER_AUTH_HMAC_SECRET.
+ * Rejects stale timestamps and nonces that were already used within the skew window.
+ */
+async function verifyHmacSignature(req) {
+  const signature = getHeader(req, HMAC_SIGNATURE_HEADER);
+  if (!signature) {
+    return null;
+  }
+
+  const { maxSkewSeconds } = getConfig().callerAuth;
+  // A Secret Manager failure is the function's problem, not the caller's, so it is thrown rather than rejected
+  const secret = await getSecretSetting('callerAuth.hmacSecret');
+  if (!secret) {
+    return { authenticated: false, reason: 'HMAC authentication is enabled but CALLER_AUTH_HMAC_SECRET is not configured' };
+  }
+
+  const timestamp = getHeader(req, HMAC_TIMESTAMP_HEADER);
+  const nonce = getHeader(req, HMAC_NONCE_HEADER);
+  if (!timestamp || !nonce) {
+    return { authenticated: false, reason: `Signed requests must include ${HMAC_TIMESTAMP_HEADER} and ${HMAC_NONCE_HEADER} headers` };
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const requestSeconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(requestSeconds) || Math.abs(nowSeconds - requestSeconds) > maxSkewSeconds) {
+    return { authenticated: false, reason: 'Request timestamp is missing or outside the allowed clock skew' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(buildHmacSigningString(req, timestamp, nonce))
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const providedBuffer = Buffer.from(signature.trim().toLowerCase(), 'utf8');
+  if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+    return { authenticated: false, reason: 'Request signature does not match' };
+  }
+
+  // A state store failure is thrown like a Secret Manager one: the caller is not at fault
+  if (!await claimNonce(nonce, requestSeconds + maxSkewSeconds)) {
+    return { authenticated: false, reason: 'Request nonce has already been used' };
+  }
+
+  return {
+    authenticated: true,
+    principal: 'hmac-shared-secret'
+  };
+}
+
+/**
+ * Check companyId against the ALLOWED_COMPANY_IDS allow-list, if one is configured.
+ */
+function isCompanyAllowed(companyId) {
+  const { allowedCompanyIds } = getConfig().callerAuth;
+  if (allowedCompanyIds.length === 0) {
+    return true;
+  }
+  return Boolean(companyId) && allowedCompanyIds.includes(String(companyId));
+}
+
+/**
+ * Authenticate the caller of the Cloud Function.
+ * Returns { authenticated: true, method, principal } on success, or
+ * { authenticated: false, status, error } with status 401 (no/invalid credentials)
+ * or 403 (valid credentials that are not allowed to onboard this company).
+ * With `operator` set the request acts on no company, so ALLOWED_COMPANY_IDS is not applied.
+ */
+async function authenticateCaller(req, { companyId, operator = false } = {}) {
+  const modes = getEnabledModes();
+
+  if (modes.includes('none')) {
+    console.warn('Caller authentication is disabled (CALLER_AUTH_MODES=none)');
+    if (!operator && !isCompanyAllowed(companyId)) {
+      return { authenticated: false, status: 403, error: 'companyId is not allowed to use this function' };
+    }
+    return { authenticated: true, method: 'none', principal: null };
+  }
+
+  const failures = [];
+
+  for (const mode of modes) {
+    const verifier = verifiers[mode];
+    if (!verifier) {
+      console.warn(`Unknown caller authentication mode "${mode}" ignored`);
+      continue;
+    }
+
+    const outcome = await verifier(req);
+    if (!outcome) {
+      continue;
+    }
+
+    if (!outcome.authenticated) {
+      failures.push({ method: mode, reason: outcome.reason });
+      if (outcome.forbidden) {
+        return { authenticated: false, status: 403, error: outcome.reason, method: mode };
+      }
+      continue;
+    }
+
+    if (!operator && !isCompanyAllowed(companyId)) {
+      console.warn(`Caller ${outcome.principal} rejected: companyId ${companyId || '(none)'} is not in the allow-list`);
+      return { authenticated: false, status: 403, error: 'companyId is not allowed to use this function', method: mode };
+    }
+
+    console.log(`Caller authenticated via ${mode}: ${outcome.principal}`);
+    return { authenticated: true, method: mode, principal: outcome.principal };
+  }
+
+  return {
+    authenticated: false,
+    status: 401,
+    error: failures.length > 0
+      ? failures.map(failure => `${failure.method}: ${failure.reason}`).join('; ')
+      : `Missing caller credentials. Supported methods: ${modes.join(', ')}`
+  };
+}
+
+/**
+ * Authenticate the caller of an operator entry point (outbox replay, key rotation). These are
+ * meant for Cloud Scheduler and operators, so only the credentials are checked; deployments
+ * restrict them with CALLER_AUTH_ALLOWED_EMAILS.
+ */
+function authenticateOperator(req) {
+  return authenticateCaller(req, { operator: true });
+}
+
+module.exports = {
+  authenticateCaller,
+  authenticateOperator,
+  registerCallerVerifier,
+  buildHmacSigningString,
+  HMAC_TIMESTAMP_HEADER,
+  HMAC_NONCE_HEADER,
+  HMAC_SIGNATURE_HEADER
+};
@@ -1,33 +1,124 @@
 const axios = require('axios');
-const { COGNITO_TOKEN_URL, COGNITO_CLIENT_ID, COGNITO_CLIENT_SECRET_B64 } = require('../constants');
+const { createOnboardingError } = require('./errors');
+const { getConfig, getConfigSource, getSecretSetting } = require('./config');
+
+// Token cache shared across warm invocations, keyed by client ID and scope.
+// Entries look like { auth, expiresAt, pending, pendingIsRefresh }.
+const tokenCache = new Map();
+
+function getCacheKey(clientId, scope) {
+  return `${clientId}|${scope || ''}`;
+}
 
 /**
- * Retrieve Cognito OAuth2 token using the client credentials flow.
+ * Cognito client settings from the loaded configuration (COGNITO_* settings).
+ * The client secret is only resolved when a token is requested.
+ */
+function getCognitoConfig() {
+  const { tokenUrl, clientId, scope } = getConfig().cognito;
+  return { tokenUrl, clientId, scope };
+}
+
+/**
+ * Compute the absolute expiry (epoch ms) of a token from its exp claim or expires_in.
+ */
+function getTokenExpiry(auth, obtainedAt) {
+  if (auth.claims?.exp) {
+    return auth.claims.exp * 1000;
+  }
+  if (auth.expiresIn) {
+    return obtainedAt + Number(auth.expiresIn) * 1000;
+  }
+  return obtainedAt;
+}
+
+function isTokenFresh(entry, now = Date.now()) {
+  if (!entry?.auth) {
+    return false;
+  }
+  // Refresh tokens this many seconds before they expire
+  const marginMs = getConfig().cognito.refreshMarginSeconds * 1000;
+  return entry.expiresAt - marginMs > now;
+}
+
+/**
+ * Get a Cognito access token, reusing the cached token for this client ID and scope
+ * until shortly before it expires. Concurrent callers share a single in-flight request.
+ * With { forceRefresh: true } the cached token is discarded and a new one is fetched;
+ * concurrent forced refreshes share the same new token.
  */
 async function getCognitoAccessToken(options = {}) {
-  const tokenUrl = process.env.COGNITO_TOKEN_URL || COGNITO_TOKEN_URL;
-  const clientId = process.env.COGNITO_CLIENT_ID || COGNITO_CLIENT_ID;
-  const scope = process.env.COGNITO_CLIENT_SCOPE;
-  const secretFromEnv = process.env.COGNITO_CLIENT_SECRET_B64 || COGNITO_CLIENT_SECRET_B64;
+  const config = getCognitoConfig();
+  const cacheKey = getCacheKey(config.clientId, config.scope);
+  const entry = tokenCache.get(cacheKey) || {};
+  const forceRefresh = Boolean(options.forceRefresh);
+
+  if (entry.pending && (!forceRefresh || entry.pendingIsRefresh)) {
+    console.log('Waiting for in-flight Cognito token request');
+    return entry.pending;
+  }
+
+  if (!forceRefresh && isTokenFresh(entry)) {
+    console.log('Using cached Cognito token, expires at:', new Date(entry.expiresAt).toISOString());
+    return entry.auth;
+  }
+
+  if (forceRefresh) {
+    console.log('Forced Cognito token refresh: discarding cached token');
+  }
+
+  // Only the most recent request may update the cache, so a slower earlier request
+  // cannot overwrite a token obtained by a forced refresh.
+  const isCurrentRequest = () => tokenCache.get(cacheKey)?.pending === pending;
+  const pending = requestCognitoAccessToken(config, { isRefresh: forceRefresh || Boolean(entry.auth) })
+    .then(auth => {
+      if (isCurrentRequest()) {
+        tokenCache.set(cacheKey, {
+          auth,
+          expiresAt: getTokenExpiry(auth, Date.now())
+        });
+      }
+      return auth;
+    })
+    .catch(err => {
+      if (isCurrentRequest()) {
+        tokenCache.delete(cacheKey);
+      }
+      throw err;
+    });
+
+  tokenCache.set(cacheKey, { pending, pendingIsRefresh: forceRefresh });
+  return pending;
+}
+
+/**
+ * Drop cached Cognito tokens so the next call fetches a new one.
+ */
+function invalidateCognitoToken() {
+  tokenCache.clear();
+}
+
+/**
+ * Retrieve Cognito OAuth2 token using the client credentials flow.
+ */
+async function requestCognitoAccessToken({ tokenUrl, clientId, scope }, { isRefresh = false } = {}) {
+  // Secret Manager failures carry their own error codes and are passed through
+  const clientSecret = await getSecretSetting('cognito.clientSecretB64');
+  const secretSource = getConfigSource('cognito.clientSecretB64');
 
   // Log configuration status (without exposing secrets)
   console.log('Cognito configuration check:');
   console.log('  COGNITO_TOKEN_URL:', tokenUrl ? 'SET' : 'MISSING');
   console.log('  COGNITO_CLIENT_ID:', clientId ? clientId : 'MISSING');
   console.log('  COGNITO_CLIENT_SCOPE:', scope || 'not set');
-  console.log('  COGNITO_CLIENT_SECRET_B64:', secretFromEnv ? 'SET (length: ' + secretFromEnv.length + ')' : 'MISSING');
+  console.log('  COGNITO_CLIENT_SECRET_B64:', clientSecret ? `SET (${secretSource.source}: ${secretSource.detail})` : 'MISSING');
 
-  if (!tokenUrl || !clientId || !secretFromEnv) {
+  if (!tokenUrl || !clientId || !clientSecret) {
     const missing = [];
     if (!tokenUrl) missing.push('COGNITO_TOKEN_URL');
     if (!clientId) missing.push('COGNITO_CLIENT_ID');
-    if (!secretFromEnv) missing.push('COGNITO_CLIENT_SECRET_B64');
-    throw new Error(`Missing Cognito OAuth configuration: ${missing.join(', ')}`);
-  }
-
-  const clientSecret = resolveClientSecret(secretFromEnv);
-  if (!clientSecret) {
-    throw new Error('Unable to resolve Cognito client secret from Terraform-provided value.');
+    if (!clientSecret) missing.push('COGNITO_CLIENT_SECRET_B64');
+    throw createOnboardingError('COGNITO_CONFIG_INVALID', `Missing Cognito OAuth configuration: ${missing.join(', ')}`);
   }
 
   try {
@@ -84,7 +175,7 @@ async function getCognitoAccessToken(options = {}) {
     logCognitoTokenMetadata(accessToken, {
       expiresIn,
       grantedScope: grantedScope || scope,
-      isRefresh: Boolean(options.forceRefresh)
+      isRefresh
     });
 
     return {
@@ -100,62 +191,24 @@ async function getCognitoAccessToken(options = {}) {
     console.error('  Message:', err.message);
     console.error('  Response status:', err.response?.status);
     console.error('  Response status text:', err.response?.statusText);
-    console.error('  Response data:', JSON.stringify(err.response?.data, null, 2));
     console.error('  Request URL:', err.config?.url);
     console.error('  Request method:', err.config?.method);
-    console.error('  Request headers:', JSON.stringify(err.config?.headers, null, 2));
     
-    // Preserve the original error with all details
     const errorMessage = err.response?.data?.error_description || 
                         err.response?.data?.error || 
                         err.message;
     
-    const enhancedError = new Error(`Unable to obtain Cognito access token: ${errorMessage}`);
-    enhancedError.response = err.response;
-    enhancedError.config = err.config;
-    throw enhancedError;
-  }
-}
-
-/**
- * Resolve client secret whether Terraform provided base64 or plain text.
- */
-function resolveClientSecret(secretFromTerraform) {
-  if (!secretFromTerraform) {
-    return null;
-  }
-
-  const trimmed = secretFromTerraform.trim();
-  const decoded = tryDecodeBase64(trimmed);
-
-  if (decoded) {
-    console.log('Using Cognito client secret decoded from base64 (Terraform template input).');
-    return decoded;
-  }
-
-  console.log('Using Cognito client secret as-is from Terraform template.');
-  return trimmed;
-}
-
-function tryDecodeBase64(value) {
-  try {
-    const decoded = Buffer.from(value, 'base64').toString('utf8');
-    if (!decoded) {
-      return null;
-    }
-
-    // Re-encode to ensure the original looked like base64 and not plain text.
-    const reencoded = Buffer.from(decoded, 'utf8').toString('base64').replace(/=+$/, '');
-    const normalizedOriginal = value.replace(/=+$/, '');
-
-    if (reencoded === normalizedOriginal) {
-      return decoded;
-    }
-  } catch (err) {
-    return null;
+    // Cognito rejecting the client (4xx other than throttling) will not fix itself on retry
+    const status = err.response?.status || null;
+    const rejected = status >= 400 && status < 500 && status !== 408 && status !== 429;
+    throw createOnboardingError(rejected ? 'COGNITO_AUTH_REJECTED' : 'COGNITO_AUTH_FAILED', `Unable to obtain Cognito access token: ${errorMessage}`, {
+      cause: err,
+      details: {
+        upstreamStatus: status,
+        upstreamError: err.response?.data?.error || null
+      }
+    });
   }
-
-  return null;
 }
 
 /**
@@ -196,6 +249,7 @@ function decodeJwtPayload(token) {
 }
 
 module.exports = {
-  getCognitoAccessToken
+  getCognitoAccessToken,
+  invalidateCognitoToken
 };
 
@@ -0,0 +1,164 @@
+const axios = require('axios');
+const { GoogleAuth } = require('google-auth-library');
+const { fromGoogleApiError } = require('./errors');
+const { getConfig } = require('./config');
+
+const COMPUTE_API = 'https://compute.googleapis.com/compute/v1';
+const PAGE_SIZE = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const INVENTORY_COMPLETE = 'complete';
+const INVENTORY_PARTIAL = 'partial';
+const INVENTORY_UNAVAILABLE = 'unavailable';
+
+const GLOBAL_LOCATION = 'global';
+
+// Counted resource types; networks have no aggregated list and are always global
+const RESOURCE_TYPES = [
+  { name: 'instances', path: 'aggregated/instances' },
+  { name: 'disks', path: 'aggregated/disks' },
+  { name: 'forwardingRules', path: 'aggregated/forwardingRules' },
+  { name: 'networks', path: 'global/networks', global: true }
+];
+
+/**
+ * Map an aggregated list scope ("zones/us-central1-a", "regions/us-central1", "global") to its region.
+ */
+function getScopeRegion(scope) {
+  const [kind, name] = scope.split('/');
+  if (kind === 'zones') {
+    return name.replace(/-[a-z]$/, '');
+  }
+  return kind === 'regions' ? name : GLOBAL_LOCATION;
+}
+
+/**
+ * Count one resource type page by page until the list ends or the deadline passes.
+ * Returns { counts: { region: n }, truncated, unreachable }.
+ */
+async function countResources(projectId, resourceType, accessToken, deadline) {
+  const counts = {};
+  const unreachable = [];
+  let pageToken;
+
+  do {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      return { counts, truncated: true, unreachable };
+    }
+
+    let response;
+    try {
+      response = await axios.get(`${COMPUTE_API}/projects/${projectId}/${resourceType.path}`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+        params: {
+          maxResults: PAGE_SIZE,
+          ...(!resourceType.global && { returnPartialSuccess: true }),
+          ...(pageToken && { pageToken })
+        },
+        timeout: Math.min(REQUEST_TIMEOUT_MS, remainingMs)
+      });
+    } catch (error) {
+      // A page cut short by the budget is truncation, not a failure
+      if (error.code === 'ECONNABORTED' && Date.now() >= deadline) {
+        return { counts, truncated: true, unreachable };
+      }
+      throw fromGoogleApiError(error, `Failed to list ${resourceType.name} in ${projectId}`);
+    }
+
+    const data = response.data || {};
+    if (resourceType.global) {
+      counts[GLOBAL_LOCATION] = (counts[GLOBAL_LOCATION] || 0) + (data.items || []).length;
+    } else {
+      for (const [scope, scoped] of Object.entries(data.items || {})) {
+        const count = (scoped[resourceType.name] || []).length;
+        if (count > 0) {
+          const region = getScopeRegion(scope);
+          counts[region] = (counts[region] || 0) + count;
+        }
+      }
+      unreachable.push(...(data.unreachables || []));
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return { counts, truncated: false, unreachable };
+}
+
+/**
+ * Snapshot of the project's compute footprint so the AWS assessment can size itself before
+ * crawling: instances, disks, forwarding rules and networks counted per region (networks, and
+ * global forwarding rules, under "global"). All aggregated list calls share
+ * COMPUTE_INVENTORY_TIME_BUDGET_SECONDS; a type that fails or runs out of time is listed in
+ * `incomplete` and its counts are lower bounds. Never throws.
+ */
+async function collectComputeInventory(projectId) {
+  const startedAt = Date.now();
+  const deadline = startedAt + getConfig().computeInventory.timeBudgetSeconds * 1000;
+
+  let accessToken;
+  try {
+    const auth = new GoogleAuth({
+      scopes: ['https://www.googleapis.com/auth/cloud-platform']
+    });
+    const client = await auth.getClient();
+    accessToken = (await client.getAccessToken()).token;
+  } catch (error) {
+    console.warn('Compute inventory skipped: no access token:', error.message);
+    return {
+      status: INVENTORY_UNAVAILABLE,
+      collectedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      totals: null,
+      regions: {},
+      incomplete: RESOURCE_TYPES.map(type => ({ resource: type.name, reason: 'error', message: error.message }))
+    };
+  }
+
+  const settled = await Promise.allSettled(RESOURCE_TYPES.map(type => countResources(projectId, type, accessToken, deadline)));
+
+  const totals = {};
+  const regions = {};
+  const incomplete = [];
+  settled.forEach((outcome, index) => {
+    const { name } = RESOURCE_TYPES[index];
+    if (outcome.status === 'rejected') {
+      console.warn(`Compute inventory of ${name} failed (${outcome.reason.code}):`, outcome.reason.message);
+      totals[name] = null;
+      incomplete.push({ resource: name, reason: 'error', code: outcome.reason.code, message: outcome.reason.message });
+      return;
+    }
+
+    const { counts, truncated, unreachable } = outcome.value;
+    totals[name] = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    for (const [region, count] of Object.entries(counts)) {
+      regions[region] = { ...regions[region], [name]: count };
+    }
+    if (truncated) {
+      incomplete.push({ resource: name, reason: 'time-budget', message: 'Time budget exhausted; counts are lower bounds' });
+    }
+    if (unreachable.length > 0) {
+      incomplete.push({ resource: name, reason: 'unreachable', message: `Unreachable locations: ${unreachable.join(', ')}` });
+    }
+  });
+
+  const failed = incomplete.filter(entry => entry.reason === 'error').length;
+  const status = failed === RESOURCE_TYPES.length
+    ? INVENTORY_UNAVAILABLE
+    : (incomplete.length > 0 ? INVENTORY_PARTIAL : INVENTORY_COMPLETE);
+  const durationMs = Date.now() - startedAt;
+  console.log(`Compute inventory for ${projectId} ${status} in ${durationMs}ms:`, JSON.stringify(totals));
+
+  return {
+    status,
+    collectedAt: new Date().toISOString(),
+    durationMs,
+    totals,
+    regions,
+    incomplete
+  };
+}
+
+module.exports = {
+  collectComputeInventory
+};
@@ -0,0 +1,481 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOnboardingError } = require('./errors');
+const { getAwsEndpoints } = require('./aws-endpoints');
+const { isSecretReference, parseSecretReference, resolveSecretReference } = require('./secret-manager');
+
+// Where a configuration value came from; "environment" and "none" match gcp-metadata VALUE_SOURCES
+const CONFIG_SOURCE_ENVIRONMENT = 'environment';
+const CONFIG_SOURCE_FILE = 'file';
+const CONFIG_SOURCE_DEFAULT = 'default';
+const CONFIG_SOURCE_SECRET_MANAGER = 'secret-manager';
+const CONFIG_SOURCE_NONE = 'none';
+
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Every setting the function reads. `env` is the variable (and config file key) it is read from,
+ * `path` where it lands in the config object. Types: string, int, bool, list (comma-separated),
+ * enum (one of `values`), url (HTTPS), json. `secret` values are never reported and may be
+ * secretmanager:// references, read with getSecretSetting(); `encoding: 'base64'` applies to
+ * literal values only, a referenced secret holds the plain value.
+ */
+const CONFIG_DEFINITIONS = [
+  { env: 'GCP_PROJECT', aliases: ['GCLOUD_PROJECT', 'GOOGLE_CLOUD_PROJECT'], path: 'gcp.projectId', type: 'string' },
+  { env: 'GCP_PROJECT_NUMBER', path: 'gcp.projectNumber', type: 'string', pattern: /^[0-9]+$/ },
+
+  { env: 'ONBOARDING_CREDENTIAL_MODE', path: 'onboarding.credentialMode', type: 'enum', values: ['key', 'keyless'], default: 'key' },
+  { env: 'AWS_SERVICE_ACCOUNT', path: 'onboarding.serviceAccount', type: 'string' },
+  { env: 'AWS_SERVICE_ACCOUNT_KEY_B64', path: 'onboarding.serviceAccountKeyB64', type: 'string', secret: true, encoding: 'base64' },
+  { env: 'AWS_SERVICE_ACCOUNT_KEY_ID', path: 'onboarding.serviceAccountKeyId', type: 'string' },
+  // main.tf creates "archmate-aws-readonly-xxxx"
+  { env: 'SERVICE_ACCOUNT_ID_PATTERNS', path: 'onboarding.serviceAccountIdPatterns', type: 'list', regex: true, default: ['^archmate-aws-readonly-', '^aws'] },
+  { env: 'SERVICE_ACCOUNT_NAME_PATTERNS', path: 'onboarding.serviceAccountNamePatterns', type: 'list', regex: true, default: ['archmate aws'] },
+  { env: 'IAM_READINESS_MODE', path: 'onboarding.iamReadinessMode', type: 'enum', values: ['enforce', 'report', 'off'], default: 'enforce' },
+
+  { env: 'SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY', path: 'keyEncryption.recipientPublicKey', type: 'string' },
+  { env: 'SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID', path: 'keyEncryption.recipientKeyId', type: 'string' },
+
+  { env: 'EXPECTED_AWS_ACCOUNT_ID', path: 'workloadIdentity.expectedAwsAccountId', type: 'string', pattern: /^[0-9]{12}$/ },
+  { env: 'EXPECTED_AWS_ROLE_NAME', path: 'workloadIdentity.expectedAwsRoleName', type: 'string' },
+
+  { env: 'COGNITO_TOKEN_URL', path: 'cognito.tokenUrl', type: 'url', required: true },
+  { env: 'COGNITO_CLIENT_ID', path: 'cognito.clientId', type: 'string', required: true },
+  { env: 'COGNITO_CLIENT_SCOPE', path: 'cognito.scope', type: 'string' },
+  { env: 'COGNITO_CLIENT_SECRET_B64', path: 'cognito.clientSecretB64', type: 'string', required: true, secret: true, encoding: 'base64' },
+  { env: 'COGNITO_REFRESH_MARGIN_SECONDS', path: 'cognito.refreshMarginSeconds', type: 'int', min: 0, default: 60 },
+
+  { env: 'AWS_ENDPOINT', path: 'aws.endpoint', type: 'url' },
+  { env: 'AWS_ENDPOINT_PATH', path: 'aws.endpointPath', type: 'string' },
+  // Offboarding and key rotation notifications must not reach the run-assessment path
+  { env: 'AWS_LIFECYCLE_ENDPOINT_PATH', path: 'aws.lifecycleEndpointPath', type: 'string' },
+  { env: 'AWS_ENDPOINTS', path: 'aws.endpoints', type: 'json' },
+  { env: 'AWS_ALLOWED_HOSTS', path: 'aws.allowedHosts', type: 'list', lowercase: true },
+  { env: 'AWS_API_KEY', path: 'aws.apiKey', type: 'string', secret: true },
+  { env: 'AWS_RETRY_MAX_ATTEMPTS', path: 'aws.retry.maxAttempts', type: 'int', min: 1, default: 4 },
+  { env: 'AWS_RETRY_BASE_DELAY_MS', path: 'aws.retry.baseDelayMs', type: 'int', min: 0, default: 500 },
+  { env: 'AWS_RETRY_MAX_DELAY_MS', path: 'aws.retry.maxDelayMs', type: 'int', min: 0, default: 8000 },
+  { env: 'AWS_RETRY_DEADLINE_MS', path: 'aws.retry.deadlineMs', type: 'int', min: 0, default: 30000 },
+  { env: 'AWS_REQUEST_TIMEOUT_MS', path: 'aws.retry.requestTimeoutMs', type: 'int', min: 1, default: 10000 },
+  { env: 'AWS_CIRCUIT_FAILURE_THRESHOLD', path: 'aws.circuit.failureThreshold', type: 'int', min: 1, default: 5 },
+  { env: 'AWS_CIRCUIT_RESET_MS', path: 'aws.circuit.resetTimeoutMs', type: 'int', min: 0, default: 60000 },
+
+  { env: 'CALLER_AUTH_MODES', path: 'callerAuth.modes', type: 'list', lowercase: true, default: ['hmac'] },
+  { env: 'CALLER_AUTH_AUDIENCE', path: 'callerAuth.audiences', type: 'list' },
+  { env: 'CALLER_AUTH_ALLOWED_EMAILS', path: 'callerAuth.allowedEmails', type: 'list' },
+  { env: 'CALLER_AUTH_HMAC_SECRET', path: 'callerAuth.hmacSecret', type: 'string', secret: true },
+  { env: 'CALLER_AUTH_MAX_SKEW_SECONDS', path: 'callerAuth.maxSkewSeconds', type: 'int', min: 1, default: 300 },
+  { env: 'ALLOWED_COMPANY_IDS', path: 'callerAuth.allowedCompanyIds', type: 'list' },
+
+  { env: 'OUTBOX_PUBSUB_TOPIC', path: 'outbox.pubsubTopic', type: 'string', pattern: /^projects\/[^/]+\/topics\/[^/]+$/ },
+  { env: 'OUTBOX_PUBSUB_SUBSCRIPTION', path: 'outbox.pubsubSubscription', type: 'string', pattern: /^projects\/[^/]+\/subscriptions\/[^/]+$/ },
+  { env: 'OUTBOX_PUBSUB_DEAD_LETTER_TOPIC', path: 'outbox.pubsubDeadLetterTopic', type: 'string', pattern: /^projects\/[^/]+\/topics\/[^/]+$/ },
+  { env: 'OUTBOX_BACKEND', path: 'outbox.backend', type: 'enum', values: ['file', 'pubsub'], default: config => (config.outbox.pubsubTopic ? 'pubsub' : 'file') },
+  { env: 'OUTBOX_FILE_DIR', path: 'outbox.fileDir', type: 'string', default: () => path.join(os.tmpdir(), 'archmate-outbox') },
+  { env: 'OUTBOX_MAX_ATTEMPTS', path: 'outbox.maxAttempts', type: 'int', min: 1, default: 5 },
+  { env: 'OUTBOX_RETRY_BASE_DELAY_MS', path: 'outbox.retryBaseDelayMs', type: 'int', min: 0, default: 60000 },
+  { env: 'OUTBOX_RETRY_MAX_DELAY_MS', path: 'outbox.retryMaxDelayMs', type: 'int', min: 0, default: 3600000 },
+  { env: 'OUTBOX_REPLAY_BATCH_SIZE', path: 'outbox.replayBatchSize', type: 'int', min: 1, default: 10 },
+  { env: 'OUTBOX_REPLAY_DEADLINE_MS', path: 'outbox.replayDeadlineMs', type: 'int', min: 1, default: 240000 },
+
+  { env: 'STATE_STORE_BACKEND', path: 'stateStore.backend', type: 'enum', values: ['memory', 'firestore'], default: 'memory' },
+  { env: 'STATE_STORE_FIRESTORE_PROJECT', path: 'stateStore.firestoreProject', type: 'string', default: config => config.gcp.projectId },
+  { env: 'STATE_STORE_FIRESTORE_DATABASE', path: 'stateStore.firestoreDatabase', type: 'string', default: '(default)' },
+  { env: 'IDEMPOTENCY_WINDOW_SECONDS', path: 'idempotency.windowSeconds', type: 'int', min: 1, default: 86400 },
+  // An in-progress reservation older than this is treated as abandoned (e.g. the instance crashed)
+  { env: 'IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS', path: 'idempotency.inProgressTimeoutSeconds', type: 'int', min: 1, default: 600 },
+
+  // Rotation is skipped while the newest key is younger than this, so a frequent schedule is harmless
+  { env: 'KEY_ROTATION_INTERVAL_DAYS', path: 'keyRotation.intervalDays', type: 'int', min: 0, default: 30 },
+  { env: 'KEY_ROTATION_LOCK_TIMEOUT_SECONDS', path: 'keyRotation.lockTimeoutSeconds', type: 'int', min: 1, default: 900 },
+
+  { env: 'COMPUTE_INVENTORY_ENABLED', path: 'computeInventory.enabled', type: 'bool', default: true },
+  // Shared by all aggregated list calls; whatever is not counted by then is reported as truncated
+  { env: 'COMPUTE_INVENTORY_TIME_BUDGET_SECONDS', path: 'computeInventory.timeBudgetSeconds', type: 'int', min: 1, default: 20 },
+
+  // Multi-project requests (projectIds, folderId, organizationId in the body)
+  { env: 'MULTI_PROJECT_CONCURRENCY', path: 'multiProject.concurrency', type: 'int', min: 1, default: 4 },
+  { env: 'MULTI_PROJECT_MAX_PROJECTS', path: 'multiProject.maxProjects', type: 'int', min: 1, default: 100 },
+  // Measured from the start of the request; keep it below the function timeout (540s in main.tf)
+  { env: 'MULTI_PROJECT_DEADLINE_MS', path: 'multiProject.deadlineMs', type: 'int', min: 1, default: 480000 },
+
+  { env: 'SECRET_MANAGER_BACKEND', path: 'secrets.backend', type: 'enum', values: ['api', 'local'], default: 'api' },
+  { env: 'SECRET_MANAGER_LOCAL_FILE', path: 'secrets.localFile', type: 'string' },
+  // Applies to "latest" references; pinned versions are cached until the instance stops
+  { env: 'SECRET_CACHE_TTL_SECONDS', path: 'secrets.cacheTtlSeconds', type: 'int', min: 0, default: 300 },
+
+  { env: 'LOG_FORMAT', path: 'logging.format', type: 'enum', values: ['json', 'text'], default: 'json' },
+  { env: 'REDACTION_FIELD_NAMES', path: 'logging.redactionFieldNames', type: 'list' },
+  { env: 'REDACTION_DEBUG', path: 'logging.redactionDebug', type: 'bool', default: false },
+  { env: 'NODE_ENV', path: 'nodeEnv', type: 'string' },
+  { env: 'STACKVERSION', path: 'stackVersion', type: 'string' }
+];
+
+let currentConfig = null;
+let currentSources = null;
+let currentWarnings = [];
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Read the optional JSON config files named in CONFIG_FILE (comma-separated; later files win).
+ * Each file is an object keyed by environment variable name.
+ */
+function readConfigFiles(env, errors) {
+  const values = {};
+  const files = (env.CONFIG_FILE || '').split(',').map(file => file.trim()).filter(Boolean);
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      errors.push(`CONFIG_FILE ${file} could not be read as JSON: ${err.message}`);
+      continue;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push(`CONFIG_FILE ${file} must contain a JSON object keyed by setting name`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(parsed)) {
+      values[name] = { value, file };
+    }
+  }
+  return values;
+}
+
+/**
+ * Raw value for a definition: environment first (including aliases), then config files.
+ * Empty strings count as unset, since Terraform passes "" for optional variables.
+ */
+function findRawValue(definition, env, fileValues) {
+  for (const name of [definition.env, ...(definition.aliases || [])]) {
+    if (env[name] !== undefined && String(env[name]).trim() !== '') {
+      return { value: env[name], source: { source: CONFIG_SOURCE_ENVIRONMENT, detail: name } };
+    }
+  }
+  for (const name of [definition.env, ...(definition.aliases || [])]) {
+    const entry = fileValues[name];
+    if (entry && entry.value !== null && String(entry.value).trim() !== '') {
+      return { value: entry.value, source: { source: CONFIG_SOURCE_FILE, detail: `${entry.file} (${name})` } };
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert and validate one raw value. Returns { value } or { error }.
+ */
+function parseValue(definition, raw) {
+  const name = definition.env;
+  if (definition.secret && isSecretReference(raw)) {
+    try {
+      parseSecretReference(raw);
+    } catch (err) {
+      return { error: `${name}: ${err.message}` };
+    }
+    return { value: raw.trim() };
+  }
+  if (definition.encoding === 'base64' && !BASE64_PATTERN.test(String(raw).trim())) {
+    return { error: `${name} must be base64-encoded or a secretmanager:// reference` };
+  }
+
+  switch (definition.type) {
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) {
+        return { error: `${name} must be an integer, got "${raw}"` };
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        return { error: `${name} must be at least ${definition.min}, got ${value}` };
+      }
+      return { value };
+    }
+    case 'bool': {
+      const value = String(raw).trim().toLowerCase();
+      if (!['true', 'false', '1', '0', 'yes', 'no'].includes(value)) {
+        return { error: `${name} must be true or false, got "${raw}"` };
+      }
+      return { value: ['true', '1', 'yes'].includes(value) };
+    }
+    case 'list': {
+      let items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      items = items.map(item => item.trim()).filter(Boolean);
+      if (definition.lowercase) {
+        items = items.map(item => item.toLowerCase());
+      }
+      if (definition.regex) {
+        for (const item of items) {
+          try {
+            new RegExp(item, 'i');
+          } catch (err) {
+            return { error: `${name} contains an invalid regular expression "${item}": ${err.message}` };
+          }
+        }
+      }
+      return { value: items };
+    }
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      if (!definition.values.includes(value)) {
+        return { error: `${name} must be one of ${definition.values.map(v => `"${v}"`).join(', ')}, got "${raw}"` };
+      }
+      return { value };
+    }
+    case 'url': {
+      const value = String(raw).trim();
+      let url;
+      try {
+        url = new URL(value);
+      } catch (err) {
+        return { error: `${name} must be a URL, got "${value}"` };
+      }
+      if (url.protocol !== 'https:') {
+        return { error: `${name} must use HTTPS` };
+      }
+      return { value };
+    }
+    case 'json': {
+      if (typeof raw !== 'string') {
+        return { value: raw };
+      }
+      try {
+        return { value: JSON.parse(raw) };
+      } catch (err) {
+        return { error: `${name} is not valid JSON: ${err.message}` };
+      }
+    }
+    default: {
+      const value = String(raw).trim();
+      if (definition.pattern && !definition.pattern.test(value)) {
+        return { error: `${name} has an invalid format${definition.secret ? '' : `: "${value}"`}` };
+      }
+      return { value };
+    }
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Checks that span several settings. Problems that make the function unusable go to `errors`,
+ * settings that only disable part of it go to `warnings`. Runs even when single settings failed
+ * to parse, so every problem is reported at once; a setting that failed is null here.
+ */
+function validateCombinations(config, errors, warnings) {
+  try {
+    getAwsEndpoints(config.aws);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  if (config.onboarding.credentialMode === 'key' && config.onboarding.serviceAccountKeyB64) {
+    const missing = ['recipientPublicKey', 'recipientKeyId']
+      .filter(key => !config.keyEncryption[key])
+      .map(key => (key === 'recipientPublicKey' ? 'SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY' : 'SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID'));
+    if (missing.length > 0) {
+      errors.push(`AWS_SERVICE_ACCOUNT_KEY_B64 is set in "key" mode but the key cannot be encrypted without ${missing.join(' and ')}`);
+    }
+  }
+
+  const modes = config.callerAuth.modes || [];
+  if (!modes.includes('none')) {
+    const unusable = {
+      oidc: !config.callerAuth.audiences?.length && 'CALLER_AUTH_AUDIENCE is not set',
+      hmac: !config.callerAuth.hmacSecret && 'CALLER_AUTH_HMAC_SECRET is not set'
+    };
+    const usable = modes.filter(mode => !unusable[mode]);
+    modes.filter(mode => unusable[mode]).forEach(mode => warnings.push(`Caller authentication mode "${mode}" is enabled but ${unusable[mode]}`));
+    if (usable.length === 0) {
+      errors.push(`No caller authentication mode in CALLER_AUTH_MODES (${modes.join(', ') || 'empty'}) is usable: ${modes.map(mode => unusable[mode] || `"${mode}"`).join('; ')}`);
+    }
+    // Without an allow-list any Google account could call us with a token for our audience
+    if (modes.includes('oidc') && !config.callerAuth.allowedEmails?.length) {
+      errors.push('CALLER_AUTH_MODES enables "oidc" but CALLER_AUTH_ALLOWED_EMAILS is not set');
+    }
+    if (usable.includes('hmac') && config.stateStore.backend === 'memory') {
+      const message = 'HMAC nonces are only remembered per instance with STATE_STORE_BACKEND "memory"; use "firestore" so a signed request cannot be replayed against another instance';
+      // Local testing runs a single instance
+      (config.nodeEnv === 'development' ? warnings : errors).push(message);
+    }
+  }
+
+  if (config.secrets.backend === 'local' && !config.secrets.localFile) {
+    errors.push('SECRET_MANAGER_BACKEND is "local" but SECRET_MANAGER_LOCAL_FILE is not set');
+  }
+
+  if (config.outbox.backend === 'pubsub' && !config.outbox.pubsubTopic) {
+    errors.push('OUTBOX_BACKEND is "pubsub" but OUTBOX_PUBSUB_TOPIC is not set');
+  }
+  if (config.stateStore.backend === 'firestore' && !config.stateStore.firestoreProject) {
+    errors.push('STATE_STORE_BACKEND is "firestore" but neither STATE_STORE_FIRESTORE_PROJECT nor GCP_PROJECT is set');
+  }
+}
+
+/**
+ * Load, validate and cache the configuration from environment variables and CONFIG_FILE.
+ * Precedence is environment, then config files, then defaults. The result is frozen.
+ * Throws a CONFIG_INVALID error listing every problem, so a misconfigured deployment
+ * fails at cold start instead of halfway through a request.
+ */
+function loadConfig({ env = process.env } = {}) {
+  const errors = [];
+  const warnings = [];
+  const fileValues = readConfigFiles(env, errors);
+  const config = {};
+  const sources = {};
+  const deferredDefaults = [];
+
+  for (const definition of CONFIG_DEFINITIONS) {
+    const raw = findRawValue(definition, env, fileValues);
+    if (raw) {
+      const parsed = parseValue(definition, raw.value);
+      if (parsed.error) {
+        errors.push(parsed.error);
+        setPath(config, definition.path, null);
+      } else {
+        setPath(config, definition.path, parsed.value);
+      }
+      sources[definition.path] = definition.secret && isSecretReference(parsed.value)
+        ? { source: CONFIG_SOURCE_SECRET_MANAGER, detail: `${parseSecretReference(parsed.value).versionName} (from ${raw.source.detail})` }
+        : raw.source;
+      continue;
+    }
+
+    if (definition.required) {
+      errors.push(`${definition.env} is required`);
+    }
+    if (typeof definition.default === 'function') {
+      deferredDefaults.push(definition);
+      setPath(config, definition.path, null);
+      continue;
+    }
+    const fallback = definition.default === undefined ? (definition.type === 'list' ? [] : null) : definition.default;
+    setPath(config, definition.path, fallback);
+    sources[definition.path] = definition.default === undefined
+      ? { source: CONFIG_SOURCE_NONE, detail: `${definition.env} is not set` }
+      : { source: CONFIG_SOURCE_DEFAULT };
+  }
+
+  // Defaults derived from other settings are applied once everything explicit is known
+  for (const definition of deferredDefaults) {
+    const value = definition.default(config);
+    setPath(config, definition.path, value ?? null);
+    sources[definition.path] = value
+      ? { source: CONFIG_SOURCE_DEFAULT, detail: 'derived from other settings' }
+      : { source: CONFIG_SOURCE_NONE, detail: `${definition.env} is not set` };
+  }
+
+  validateCombinations(config, errors, warnings);
+
+  if (errors.length > 0) {
+    throw createOnboardingError('CONFIG_INVALID', `Invalid configuration:\n  - ${errors.join('\n  - ')}`, {
+      details: { problems: errors }
+    });
+  }
+
+  currentConfig = deepFreeze(config);
+  currentSources = sources;
+  currentWarnings = warnings;
+  return currentConfig;
+}
+
+/**
+ * The loaded configuration; loads it on first use.
+ */
+function getConfig() {
+  return currentConfig || loadConfig();
+}
+
+function getPathValue(config, configPath) {
+  return configPath.split('.').reduce((node, key) => node?.[key], config);
+}
+
+/**
+ * Plain value of a secret setting: a secretmanager:// reference is resolved at runtime
+ * (cached, see secret-manager.js) and a literal base64 setting is decoded. Null when unset.
+ */
+async function getSecretSetting(configPath) {
+  const config = getConfig();
+  const definition = CONFIG_DEFINITIONS.find(entry => entry.path === configPath);
+  if (!definition?.secret) {
+    throw new Error(`${configPath} is not a secret setting`);
+  }
+
+  const value = getPathValue(config, configPath);
+  if (!value) {
+    return null;
+  }
+  if (isSecretReference(value)) {
+    return resolveSecretReference(value, config.secrets);
+  }
+  return definition.encoding === 'base64' ? Buffer.from(value, 'base64').toString('utf8') : value;
+}
+
+/**
+ * Non-fatal problems found by the last successful load.
+ */
+function getConfigWarnings() {
+  return [...currentWarnings];
+}
+
+/**
+ * Where a setting came from, in the { source, detail } shape used by describeSource,
+ * e.g. getConfigSource('gcp.projectId') -> { source: 'environment', detail: 'GCP_PROJECT' }.
+ */
+function getConfigSource(configPath) {
+  getConfig();
+  return currentSources[configPath] || { source: CONFIG_SOURCE_NONE };
+}
+
+/**
+ * Every setting with its source, for diagnostics. Secret values are reported only as set/unset,
+ * secretmanager:// references as the reference.
+ */
+function describeConfig() {
+  const config = getConfig();
+  return Object.fromEntries(CONFIG_DEFINITIONS.map(definition => {
+    const value = getPathValue(config, definition.path);
+    const isSet = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+    return [definition.path, {
+      env: definition.env,
+      ...currentSources[definition.path],
+      value: definition.secret ? (isSet ? 'set' : 'not set') : value,
+      ...(definition.secret && isSecretReference(value) && { reference: value })
+    }];
+  }));
+}
+
+/**
+ * Forget the loaded configuration so the next getConfig() reloads it (e.g. after changing env in tests).
+ */
+function resetConfig() {
+  currentConfig = null;
+  currentSources = null;
+  currentWarnings = [];
+}
+
+module.exports = {
+  CONFIG_DEFINITIONS,
+  loadConfig,
+  getConfig,
+  getConfigSource,
+  getSecretSetting,
+  getConfigWarnings,
+  describeConfig,
+  resetConfig
+};
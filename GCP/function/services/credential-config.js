@@ -0,0 +1,68 @@
+const { getConfig } = require('./config');
+
+const CREDENTIAL_MODE_KEY = 'key';
+const CREDENTIAL_MODE_KEYLESS = 'keyless';
+
+const AWS_SUBJECT_TOKEN_TYPE = 'urn:ietf:params:aws:token-type:aws4_request';
+const STS_TOKEN_URL = 'https://sts.googleapis.com/v1/token';
+const AWS_METADATA_BASE_URL = 'http://169.254.169.254';
+
+/**
+ * Read the onboarding credential mode from ONBOARDING_CREDENTIAL_MODE.
+ * "key" sends the pre-generated service account key, "keyless" sends a
+ * Workload Identity Federation credential configuration instead.
+ */
+function getCredentialMode() {
+  return getConfig().onboarding.credentialMode;
+}
+
+/**
+ * Resolve the full provider resource name used as the STS audience.
+ * Format: projects/{project_number}/locations/global/workloadIdentityPools/{poolId}/providers/{providerId}
+ */
+function resolveProviderResourceName({ providerResourceName, projectNumber, poolId, identityName }) {
+  if (providerResourceName) {
+    return providerResourceName;
+  }
+  if (projectNumber && poolId && identityName) {
+    return `projects/${projectNumber}/locations/global/workloadIdentityPools/${poolId}/providers/${identityName}`;
+  }
+  return null;
+}
+
+/**
+ * Build an external_account credential configuration for AWS workloads that
+ * impersonate the given service account through Workload Identity Federation.
+ */
+function buildExternalAccountCredentialConfig({ providerResourceName, projectNumber, poolId, identityName, serviceAccountEmail }) {
+  const resourceName = resolveProviderResourceName({ providerResourceName, projectNumber, poolId, identityName });
+
+  const missing = [];
+  if (!resourceName) missing.push('workload identity provider (pool ID, provider ID and project number)');
+  if (!serviceAccountEmail) missing.push('service account email');
+  if (missing.length > 0) {
+    throw new Error(`Cannot build keyless credential configuration, missing: ${missing.join(', ')}`);
+  }
+
+  return {
+    type: 'external_account',
+    audience: `//iam.googleapis.com/${resourceName}`,
+    subject_token_type: AWS_SUBJECT_TOKEN_TYPE,
+    service_account_impersonation_url: `https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/${serviceAccountEmail}:generateAccessToken`,
+    token_url: STS_TOKEN_URL,
+    credential_source: {
+      environment_id: 'aws1',
+      region_url: `${AWS_METADATA_BASE_URL}/latest/meta-data/placement/availability-zone`,
+      url: `${AWS_METADATA_BASE_URL}/latest/meta-data/iam/security-credentials`,
+      regional_cred_verification_url: 'https://sts.{region}.amazonaws.com?Action=GetCallerIdentity&Version=2011-06-15',
+      imdsv2_session_token_url: `${AWS_METADATA_BASE_URL}/latest/api/token`
+    }
+  };
+}
+
+module.exports = {
+  CREDENTIAL_MODE_KEY,
+  CREDENTIAL_MODE_KEYLESS,
+  getCredentialMode,
+  buildExternalAccountCredentialConfig
+};
@@ -0,0 +1,250 @@
+const axios = require('axios');
+const { requestMetadata, listServiceAccounts, selectWorkloadIdentityProvider } = require('./gcp-metadata');
+const { getCognitoAccessToken } = require('./cognito');
+const { getAwsRequestHeaders } = require('./aws-requests');
+const { getAwsEndpoints } = require('./aws-endpoints');
+const { createOnboardingError, isOnboardingError } = require('./errors');
+const { getConfig, getSecretSetting, describeConfig } = require('./config');
+
+const STAGE_PASS = 'pass';
+const STAGE_FAIL = 'fail';
+const STAGE_SKIP = 'skip';
+
+function getErrorStatus(error) {
+  return error?.response?.status || null;
+}
+
+function getApiMessage(error) {
+  const data = error?.response?.data;
+  return data?.error?.message || data?.error_description || (typeof data?.error === 'string' ? data.error : null);
+}
+
+function getErrorText(error) {
+  return [error?.message, getApiMessage(error), error?.details].filter(Boolean).join(' | ');
+}
+
+function isServiceDisabledError(error) {
+  const text = getErrorText(error);
+  const reasons = (error?.response?.data?.error?.details || []).map(detail => detail.reason);
+  return reasons.includes('SERVICE_DISABLED') || /has not been used in project|is disabled|SERVICE_DISABLED/i.test(text);
+}
+
+function isPermissionDeniedError(error) {
+  // 403 over REST, gRPC status 7 (PERMISSION_DENIED) from the client libraries
+  return getErrorStatus(error) === 403 || error?.code === 7 || /PERMISSION_DENIED|permission/i.test(getErrorText(error));
+}
+
+/**
+ * Targeted remediation hint for a failed stage.
+ */
+function getRemediation(stage, error, context) {
+  const runtimeAccount = context.runtimeServiceAccount || 'the function runtime service account';
+  const projectId = context.projectId || '<project-id>';
+
+  switch (stage) {
+    case 'metadata':
+      return 'The metadata server is only reachable from inside Google Cloud. When running locally, set GCP_PROJECT and GCP_PROJECT_NUMBER.';
+    case 'iam-service-accounts':
+      if (isServiceDisabledError(error)) {
+        return `Enable the IAM API: gcloud services enable iam.googleapis.com --project ${projectId}`;
+      }
+      if (isPermissionDeniedError(error)) {
+        return `Grant roles/viewer (or roles/iam.serviceAccountViewer) to ${runtimeAccount} on project ${projectId}.`;
+      }
+      return 'Check that the project ID is correct and that the IAM API is reachable from the function.';
+    case 'workload-identity':
+      if (isServiceDisabledError(error)) {
+        return `Enable the IAM API: gcloud services enable iam.googleapis.com --project ${projectId}`;
+      }
+      if (isPermissionDeniedError(error)) {
+        return `Grant roles/iam.workloadIdentityPoolViewer (or roles/viewer) to ${runtimeAccount} on project ${projectId}.`;
+      }
+      if (error.validation && error.validation.rejected.length === 0) {
+        return 'No Workload Identity pool exists in this project. Re-run the Terraform that creates the AWS pool and provider.';
+      }
+      if (error.validation) {
+        return 'Every pool/provider was rejected (see validation). Check that they are ACTIVE, trust EXPECTED_AWS_ACCOUNT_ID and that the attribute condition references EXPECTED_AWS_ROLE_NAME.';
+      }
+      return 'Check that the Workload Identity pool and provider exist and are ACTIVE.';
+    case 'cognito-token': {
+      const status = getErrorStatus(error);
+      const text = getErrorText(error);
+      if (/invalid_client/i.test(text) || status === 401) {
+        return 'Cognito rejected the client credentials. Check COGNITO_CLIENT_ID and COGNITO_CLIENT_SECRET_B64.';
+      }
+      if (/invalid_scope/i.test(text)) {
+        return 'Cognito rejected the requested scope. Check COGNITO_CLIENT_SCOPE against the app client\'s allowed scopes.';
+      }
+      if (/Missing Cognito OAuth configuration/.test(text)) {
+        return 'Set the missing Cognito environment variables in the function configuration.';
+      }
+      return 'Check COGNITO_TOKEN_URL and that the function has outbound internet access.';
+    }
+    case 'aws-endpoint': {
+      if (error?.code === 'AWS_ENDPOINT_INVALID') {
+        return 'Fix AWS_ENDPOINTS (or AWS_ENDPOINT/AWS_ENDPOINT_PATH): every endpoint must be an HTTPS URL on a host listed in AWS_ALLOWED_HOSTS.';
+      }
+      const status = getErrorStatus(error);
+      if (status === 401 || status === 403) {
+        return 'The AWS endpoint rejected the Cognito token. Check the API Gateway authorizer (token source "auth-token") and the accepted scopes.';
+      }
+      if (status === 404) {
+        return 'The AWS endpoint path was not found. Check the endpoint paths in AWS_ENDPOINTS (or AWS_ENDPOINT_PATH).';
+      }
+      if (status && status >= 500) {
+        return 'The AWS endpoint returned a server error. Check the run-assessment integration on the AWS side.';
+      }
+      return 'No AWS endpoint could be reached. Check AWS_ENDPOINTS (or AWS_ENDPOINT) and that the function has outbound internet access.';
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Hint for a secretmanager:// setting that could not be read, whichever stage needed it.
+ */
+function getSecretRemediation(error, context) {
+  const runtimeAccount = context.runtimeServiceAccount || 'the function runtime service account';
+  if (error?.code === 'SECRET_ACCESS_FAILED') {
+    return `Check that ${error.details.secret} exists and grant roles/secretmanager.secretAccessor on it to ${runtimeAccount}.`;
+  }
+  if (error?.code === 'SECRET_UNAVAILABLE') {
+    return 'Secret Manager could not be reached. Check that secretmanager.googleapis.com is enabled and retry.';
+  }
+  return null;
+}
+
+/**
+ * Run a single stage, timing it and converting thrown errors into a failed result.
+ * The stage function returns { detail } or { skipped: reason }.
+ */
+async function runStage(name, context, stageFn) {
+  const startedAt = Date.now();
+  try {
+    const outcome = await stageFn();
+    if (outcome?.skipped) {
+      return { name, status: STAGE_SKIP, durationMs: Date.now() - startedAt, detail: outcome.skipped };
+    }
+    return { name, status: STAGE_PASS, durationMs: Date.now() - startedAt, detail: outcome?.detail || null };
+  } catch (error) {
+    console.warn(`Diagnostics stage ${name} failed:`, error.message);
+    // Taxonomy errors wrap the upstream failure, which carries the HTTP/gRPC details
+    const upstream = isOnboardingError(error) && error.cause ? error.cause : error;
+    return {
+      name,
+      status: STAGE_FAIL,
+      durationMs: Date.now() - startedAt,
+      error: {
+        code: isOnboardingError(error) ? error.code : null,
+        message: error.message,
+        statusCode: getErrorStatus(upstream) || upstream.code || null,
+        apiMessage: getApiMessage(upstream)
+      },
+      ...(error.validation && { validation: error.validation }),
+      ...(error.endpoints && { endpoints: error.endpoints }),
+      remediation: getSecretRemediation(error, context) || getRemediation(name, upstream, context)
+    };
+  }
+}
+
+/**
+ * Check every dependency of the onboarding flow independently and report
+ * per-stage timing, pass/fail/skip status and remediation hints.
+ */
+async function runDiagnostics() {
+  const context = {
+    projectId: getConfig().gcp.projectId,
+    runtimeServiceAccount: null
+  };
+  const stages = [];
+
+  stages.push(await runStage('metadata', context, async () => {
+    const projectId = await requestMetadata('project/project-id');
+    const projectNumber = await requestMetadata('project/numeric-project-id');
+    const runtimeServiceAccount = await requestMetadata('instance/service-accounts/default/email');
+    context.projectId = context.projectId || projectId;
+    context.runtimeServiceAccount = runtimeServiceAccount;
+    return { detail: { projectId, projectNumber, runtimeServiceAccount } };
+  }));
+
+  stages.push(await runStage('iam-service-accounts', context, async () => {
+    if (!context.projectId) {
+      return { skipped: 'Project ID unknown (metadata server unreachable and GCP_PROJECT not set)' };
+    }
+    const accounts = await listServiceAccounts(context.projectId);
+    return {
+      detail: {
+        serviceAccountCount: accounts.length,
+        accounts: accounts.map(sa => ({ email: sa.email, disabled: Boolean(sa.disabled) }))
+      }
+    };
+  }));
+
+  stages.push(await runStage('workload-identity', context, async () => {
+    if (!context.projectId) {
+      return { skipped: 'Project ID unknown (metadata server unreachable and GCP_PROJECT not set)' };
+    }
+    const { validation } = await selectWorkloadIdentityProvider(context.projectId);
+    if (validation.status !== 'valid') {
+      const error = createOnboardingError('WIF_POOL_INVALID', `No valid workload identity pool/provider (${validation.rejected.length} candidate(s) rejected)`);
+      error.validation = validation;
+      throw error;
+    }
+    return { detail: validation };
+  }));
+
+  let cognitoAuth = null;
+  stages.push(await runStage('cognito-token', context, async () => {
+    cognitoAuth = await getCognitoAccessToken({ forceRefresh: true });
+    return {
+      detail: {
+        tokenType: cognitoAuth.tokenType,
+        grantedScope: cognitoAuth.grantedScope,
+        expiresIn: cognitoAuth.expiresIn
+      }
+    };
+  }));
+
+  stages.push(await runStage('aws-endpoint', context, async () => {
+    if (!cognitoAuth) {
+      return { skipped: 'No Cognito token available to authenticate the request' };
+    }
+    const apiKey = await getSecretSetting('aws.apiKey');
+    const results = [];
+    let firstError = null;
+    for (const endpoint of getAwsEndpoints(getConfig().aws)) {
+      let response;
+      try {
+        response = await axios.request({
+          method: 'OPTIONS',
+          url: endpoint.url,
+          headers: getAwsRequestHeaders(cognitoAuth, apiKey),
+          timeout: 10000
+        });
+      } catch (error) {
+        // 405 means the route exists and the token was accepted, just not for OPTIONS
+        if (getErrorStatus(error) !== 405) {
+          firstError = firstError || error;
+          results.push({ name: endpoint.name, endpoint: endpoint.url, reachable: false, statusCode: getErrorStatus(error), error: error.message });
+          continue;
+        }
+        response = error.response;
+      }
+      results.push({ name: endpoint.name, endpoint: endpoint.url, reachable: true, statusCode: response.status });
+    }
+    // Failover covers individual endpoints; the stage fails only when none is usable
+    if (!results.some(result => result.reachable)) {
+      firstError.endpoints = results;
+      throw firstError;
+    }
+    return { detail: { endpoints: results } };
+  }));
+
+  const healthy = stages.every(stage => stage.status !== STAGE_FAIL);
+  return { healthy, stages, configuration: describeConfig() };
+}
+
+module.exports = {
+  runDiagnostics
+};
@@ -0,0 +1,125 @@
+/**
+ * Error codes shared by every service and returned to callers as `code`.
+ * Codes are stable; `status` is the HTTP status the handler responds with and
+ * `retryable` tells the caller whether repeating the same request can succeed.
+ */
+const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, retryable: false },
+  UNAUTHENTICATED: { status: 401, retryable: false },
+  FORBIDDEN: { status: 403, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  METHOD_NOT_ALLOWED: { status: 405, retryable: false },
+  SUBMISSION_IN_PROGRESS: { status: 409, retryable: true },
+  REQUEST_DEADLINE_EXCEEDED: { status: 503, retryable: true },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, retryable: false },
+
+  METADATA_UNAVAILABLE: { status: 503, retryable: true },
+  IAM_API_FAILED: { status: 502, retryable: true },
+  IAM_PERMISSION_DENIED: { status: 500, retryable: false },
+  SA_NOT_FOUND: { status: 422, retryable: false },
+  SA_AMBIGUOUS: { status: 422, retryable: false },
+  SA_KEY_INVALID: { status: 500, retryable: false },
+  KEY_ENCRYPTION_FAILED: { status: 500, retryable: false },
+  WIF_POOL_INVALID: { status: 422, retryable: false },
+  CREDENTIAL_CONFIG_FAILED: { status: 500, retryable: false },
+  IAM_NOT_READY: { status: 422, retryable: false },
+  PAYLOAD_SCHEMA_INVALID: { status: 500, retryable: false },
+  KEY_ROTATION_NOT_ACKNOWLEDGED: { status: 502, retryable: true },
+  KEY_ROLLBACK_FAILED: { status: 500, retryable: false },
+
+  COGNITO_CONFIG_INVALID: { status: 500, retryable: false },
+  COGNITO_AUTH_FAILED: { status: 502, retryable: true },
+  COGNITO_AUTH_REJECTED: { status: 502, retryable: false },
+
+  AWS_ENDPOINT_INVALID: { status: 500, retryable: false },
+  AWS_CIRCUIT_OPEN: { status: 503, retryable: true },
+  AWS_DELIVERY_FAILED: { status: 502, retryable: true },
+  AWS_DELIVERY_REJECTED: { status: 502, retryable: false },
+  OUTBOX_UNAVAILABLE: { status: 502, retryable: true },
+
+  SECRET_UNAVAILABLE: { status: 503, retryable: true },
+  SECRET_ACCESS_FAILED: { status: 500, retryable: false },
+
+  CONFIG_INVALID: { status: 500, retryable: false },
+  INTERNAL_ERROR: { status: 500, retryable: false }
+};
+
+/**
+ * Create an Error carrying a taxonomy code, its HTTP status and retryable flag.
+ * `details` are returned to the caller next to the code; `cause` stays server-side.
+ */
+function createOnboardingError(code, message, { cause, details } = {}) {
+  const definition = ERROR_CODES[code];
+  if (!definition) {
+    throw new Error(`Unknown error code "${code}"`);
+  }
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  error.status = definition.status;
+  error.retryable = definition.retryable;
+  error.details = details || null;
+  error.isOnboardingError = true;
+  return error;
+}
+
+function isOnboardingError(error) {
+  return Boolean(error?.isOnboardingError && ERROR_CODES[error.code]);
+}
+
+/**
+ * Return `error` unchanged when it already has a taxonomy code, otherwise wrap it in `fallbackCode`.
+ */
+function toOnboardingError(error, fallbackCode = 'INTERNAL_ERROR', message) {
+  if (isOnboardingError(error)) {
+    return error;
+  }
+  return createOnboardingError(fallbackCode, message || error?.message || 'Unexpected error', { cause: error });
+}
+
+/**
+ * Classify a failed Google API call: missing permissions or a disabled API are configuration
+ * problems, anything else (5xx, timeouts, network) is worth retrying.
+ */
+function fromGoogleApiError(error, message) {
+  const status = error?.response?.status || null;
+  // Client libraries report gRPC status codes: 7 PERMISSION_DENIED, 16 UNAUTHENTICATED
+  const grpcCode = typeof error?.code === 'number' ? error.code : null;
+  const apiMessage = error?.response?.data?.error?.message || null;
+  const denied = status === 401 || status === 403 || grpcCode === 7 || grpcCode === 16;
+  return createOnboardingError(denied ? 'IAM_PERMISSION_DENIED' : 'IAM_API_FAILED', `${message}: ${apiMessage || error?.message || 'request failed'}`, {
+    cause: error,
+    details: { upstreamStatus: status || grpcCode }
+  });
+}
+
+/**
+ * Body of an error response: the code, message and retryable flag plus any details.
+ */
+function toErrorResponse(error, extra = {}) {
+  return {
+    success: false,
+    code: error.code,
+    error: error.message,
+    retryable: error.retryable,
+    ...(error.details || {}),
+    ...extra
+  };
+}
+
+/**
+ * Respond with an error's mapped HTTP status and body.
+ */
+function sendError(res, error, extra) {
+  const onboardingError = toOnboardingError(error);
+  res.status(onboardingError.status).json(toErrorResponse(onboardingError, extra));
+}
+
+module.exports = {
+  ERROR_CODES,
+  createOnboardingError,
+  isOnboardingError,
+  toOnboardingError,
+  fromGoogleApiError,
+  toErrorResponse,
+  sendError
+};
@@ -1,13 +1,34 @@
 const axios = require('axios');
 const { GoogleAuth } = require('google-auth-library');
+const { createOnboardingError, fromGoogleApiError } = require('./errors');
+const { getConfig } = require('./config');
+
+// Where a discovered value came from, reported so support can see why a field is null
+const VALUE_SOURCES = {
+  METADATA_SERVER: 'metadata-server',
+  IAM_API: 'iam-api',
+  RESOURCE_MANAGER_API: 'resource-manager-api',
+  RUNTIME_CREDENTIALS: 'runtime-credentials',
+  ENVIRONMENT: 'environment',
+  FALLBACK: 'fallback',
+  DERIVED: 'derived',
+  REQUEST: 'request',
+  NONE: 'none'
+};
+
+function describeSource(source, detail) {
+  return detail ? { source, detail } : { source };
+}
+
+const METADATA_BASE_URL = 'http://metadata.google.internal/computeMetadata/v1';
 
 /**
- * Get project ID from GCP metadata service
+ * Read a value from the GCP metadata server.
+ * Throws a METADATA_UNAVAILABLE error on failure.
  */
-async function getProjectIdFromMetadata() {
+async function requestMetadata(path) {
   try {
-    const metadataUrl = 'http://metadata.google.internal/computeMetadata/v1/project/project-id';
-    const response = await axios.get(metadataUrl, {
+    const response = await axios.get(`${METADATA_BASE_URL}/${path}`, {
       headers: {
         'Metadata-Flavor': 'Google'
       },
@@ -15,250 +36,577 @@ async function getProjectIdFromMetadata() {
     });
     return response.data;
   } catch (error) {
-    console.error('Error getting project ID from metadata:', error.message);
-    return null;
+    throw createOnboardingError('METADATA_UNAVAILABLE', `Metadata server did not return ${path}: ${error.message}`, { cause: error });
   }
 }
 
+/**
+ * Get project ID from GCP metadata service
+ */
+async function getProjectIdFromMetadata() {
+  return requestMetadata('project/project-id');
+}
+
 /**
  * Get project number from GCP metadata service
  */
 async function getProjectNumberFromMetadata() {
-  try {
-    const metadataUrl = 'http://metadata.google.internal/computeMetadata/v1/project/numeric-project-id';
-    const response = await axios.get(metadataUrl, {
-      headers: {
-        'Metadata-Flavor': 'Google'
-      },
-      timeout: 5000
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Error getting project number from metadata:', error.message);
-    return null;
-  }
+  return requestMetadata('project/numeric-project-id');
 }
 
 /**
  * Get service account email from metadata service
  */
 async function getServiceAccountEmail() {
+  return requestMetadata('instance/service-accounts/default/email');
+}
+
+function toPatterns(patterns) {
+  return patterns.map(pattern => new RegExp(pattern, 'i'));
+}
+
+/**
+ * List every service account in the project, following nextPageToken.
+ * Throws IAM_PERMISSION_DENIED or IAM_API_FAILED when the IAM API call fails.
+ */
+async function listServiceAccounts(projectId) {
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
+
+  // Use IAM Service Account API REST endpoint
+  const apiUrl = `https://iam.googleapis.com/v1/projects/${projectId}/serviceAccounts`;
+  const accounts = [];
+  let pageToken;
+
+  do {
+    let response;
+    try {
+      response = await axios.get(apiUrl, {
+        headers: {
+          'Authorization': `Bearer ${accessToken.token}`,
+          'Content-Type': 'application/json'
+        },
+        params: {
+          pageSize: 100,
+          ...(pageToken && { pageToken })
+        },
+        timeout: 10000
+      });
+    } catch (error) {
+      throw fromGoogleApiError(error, `Failed to list service accounts in ${projectId}`);
+    }
+
+    accounts.push(...(response.data?.accounts || []));
+    pageToken = response.data?.nextPageToken;
+  } while (pageToken);
+
+  return accounts;
+}
+
+/**
+ * Score a service account against the configured patterns. Earlier ID patterns
+ * weigh more; a display name or description match adds to the score.
+ * Returns null when nothing matches.
+ */
+function scoreServiceAccount(account, idPatterns, namePatterns) {
+  const accountId = (account.email || '').split('@')[0];
+  const reasons = [];
+  let score = 0;
+
+  idPatterns.forEach((pattern, index) => {
+    if (pattern.test(accountId)) {
+      score += (idPatterns.length - index) * 10;
+      reasons.push(`account ID matches /${pattern.source}/`);
+    }
+  });
+
+  for (const pattern of namePatterns) {
+    if (pattern.test(account.displayName || '') || pattern.test(account.description || '')) {
+      score += 5;
+      reasons.push(`display name or description matches /${pattern.source}/`);
+      break;
+    }
+  }
+
+  return score > 0 ? { email: account.email, displayName: account.displayName || null, score, reasons } : null;
+}
+
+/**
+ * Discover the onboarding service account using IAM Service Account API.
+ * Disabled accounts are skipped; matching accounts are ranked by configurable patterns
+ * (SERVICE_ACCOUNT_ID_PATTERNS, SERVICE_ACCOUNT_NAME_PATTERNS, comma-separated regexes).
+ * Returns { status, email, candidates, disabled } where status is one of
+ * "found", "ambiguous", "not-found" or "error". Only "found" carries an email;
+ * "error" carries the IAM failure as `error` (message) and `errorCode`.
+ */
+async function discoverOnboardingServiceAccount(projectId) {
+  const { serviceAccountIdPatterns, serviceAccountNamePatterns } = getConfig().onboarding;
+  const idPatterns = toPatterns(serviceAccountIdPatterns);
+  const namePatterns = toPatterns(serviceAccountNamePatterns);
+
+  let accounts;
   try {
-    const metadataUrl = 'http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/email';
-    const response = await axios.get(metadataUrl, {
-      headers: {
-        'Metadata-Flavor': 'Google'
-      },
-      timeout: 5000
-    });
-    return response.data;
+    accounts = await listServiceAccounts(projectId);
   } catch (error) {
-    console.error('Error getting service account email from metadata:', error.message);
-    return null;
+    console.error(`Error listing service accounts (${error.code}):`, error.message);
+    return { status: 'error', email: null, candidates: [], disabled: [], error: error.message, errorCode: error.code };
+  }
+
+  const disabled = [];
+  const candidates = [];
+  for (const account of accounts) {
+    const scored = scoreServiceAccount(account, idPatterns, namePatterns);
+    if (!scored) {
+      continue;
+    }
+    if (account.disabled) {
+      disabled.push(account.email);
+      continue;
+    }
+    candidates.push(scored);
+  }
+  candidates.sort((a, b) => b.score - a.score || a.email.localeCompare(b.email));
+
+  console.log(`Service account discovery: ${accounts.length} account(s) listed, ${candidates.length} candidate(s), ${disabled.length} disabled match(es) skipped`);
+
+  if (candidates.length === 0) {
+    return { status: 'not-found', email: null, candidates, disabled };
+  }
+  if (candidates.length > 1 && candidates[0].score === candidates[1].score) {
+    console.warn('Ambiguous service account discovery, top candidates:', candidates.filter(c => c.score === candidates[0].score).map(c => c.email));
+    return { status: 'ambiguous', email: null, candidates, disabled };
+  }
+  return { status: 'found', email: candidates[0].email, candidates, disabled };
+}
+
+const RESOURCE_STATE_ACTIVE = 'ACTIVE';
+
+function isAwsNamed(resource) {
+  const name = resource.name?.toLowerCase() || '';
+  const displayName = resource.displayName?.toLowerCase() || '';
+  return name.includes('aws') || displayName.includes('aws');
+}
+
+function getResourceId(resourceName) {
+  const parts = resourceName.split('/');
+  return parts[parts.length - 1];
+}
+
+/**
+ * Extract the project number from a resource name of the form projects/{project_number}/...
+ */
+function getProjectNumberFromResourceName(resourceName) {
+  const parts = resourceName.split('/');
+  if (parts.length > 1 && parts[0] === 'projects' && /^\d+$/.test(parts[1])) {
+    return parts[1];
   }
+  return null;
 }
 
 /**
- * Find service account starting with "aws" using IAM Service Account API
+ * Expected AWS side of the federation, configured by Terraform.
  */
-async function findServiceAccountStartingWithAws(projectId) {
-  try {
-    const auth = new GoogleAuth({
-      scopes: ['https://www.googleapis.com/auth/cloud-platform']
-    });
-    
-    const client = await auth.getClient();
-    const accessToken = await client.getAccessToken();
-    
-    // Use IAM Service Account API REST endpoint
-    const apiUrl = `https://iam.googleapis.com/v1/projects/${projectId}/serviceAccounts`;
-    
-    const response = await axios.get(apiUrl, {
-      headers: {
-        'Authorization': `Bearer ${accessToken.token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
+function getExpectedAwsIdentity() {
+  const { expectedAwsAccountId, expectedAwsRoleName } = getConfig().workloadIdentity;
+  return {
+    accountId: expectedAwsAccountId,
+    roleName: expectedAwsRoleName
+  };
+}
 
-    if (response.data && response.data.accounts) {
-      const awsServiceAccount = response.data.accounts.find(sa => 
-        sa.email && sa.email.startsWith('aws')
-      );
+/**
+ * Reasons a workload identity pool cannot be used; empty when the pool is valid.
+ */
+function validatePool(pool) {
+  const reasons = [];
+  if (pool.state !== RESOURCE_STATE_ACTIVE) {
+    reasons.push(`Pool state is ${pool.state || 'unknown'}, expected ${RESOURCE_STATE_ACTIVE}`);
+  }
+  if (pool.disabled) {
+    reasons.push('Pool is disabled');
+  }
+  return reasons;
+}
 
-      return awsServiceAccount ? awsServiceAccount.email : null;
+/**
+ * Reasons a workload identity pool provider cannot be used; empty when the provider is valid.
+ * The provider must be an ACTIVE AWS provider for the expected account whose
+ * attribute condition references the expected role.
+ */
+function validateProvider(provider, expected) {
+  const reasons = [];
+  if (provider.state !== RESOURCE_STATE_ACTIVE) {
+    reasons.push(`Provider state is ${provider.state || 'unknown'}, expected ${RESOURCE_STATE_ACTIVE}`);
+  }
+  if (provider.disabled) {
+    reasons.push('Provider is disabled');
+  }
+  if (!provider.aws) {
+    reasons.push('Provider is not an AWS provider');
+  } else if (expected.accountId && provider.aws.accountId !== expected.accountId) {
+    reasons.push(`Provider trusts AWS account ${provider.aws.accountId || 'unknown'}, expected ${expected.accountId}`);
+  }
+  if (expected.roleName) {
+    const condition = provider.attributeCondition || '';
+    if (!condition.includes(`assumed-role/${expected.roleName}`)) {
+      reasons.push(`Attribute condition does not reference role ${expected.roleName}`);
     }
+  }
+  return reasons;
+}
 
-    return null;
+/**
+ * List workload identity pools and their providers, validate every candidate and
+ * select the best valid pool/provider pair (AWS-named resources are preferred).
+ * Returns { pool, provider, validation } where validation.status is "valid" or "invalid".
+ * Throws IAM_PERMISSION_DENIED or IAM_API_FAILED when the pools cannot be listed.
+ */
+async function selectWorkloadIdentityProvider(projectId) {
+  const { v1beta } = require('@google-cloud/iam');
+  const poolsClient = new v1beta.WorkloadIdentityPoolsClient();
+  const expected = getExpectedAwsIdentity();
+
+  const parent = `projects/${projectId}/locations/global`;
+  console.log(`Listing workload identity pools from: ${parent}`);
+
+  // The async iterators follow nextPageToken across all pages
+  const pools = [];
+  try {
+    for await (const pool of poolsClient.listWorkloadIdentityPoolsAsync({ parent })) {
+      pools.push(pool);
+    }
   } catch (error) {
-    console.error('Error finding service account starting with aws:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
+    throw fromGoogleApiError(error, `Failed to list workload identity pools in ${parent}`);
+  }
+  console.log(`Found ${pools.length} workload identity pool(s)`);
+
+  const rejected = [];
+  const accepted = [];
+  const warnings = [];
+  if (!expected.accountId) {
+    warnings.push('EXPECTED_AWS_ACCOUNT_ID is not set; provider AWS account was not checked');
+  }
+  if (!expected.roleName) {
+    warnings.push('EXPECTED_AWS_ROLE_NAME is not set; provider attribute condition was not checked');
+  }
+
+  for (const pool of pools) {
+    const poolReasons = validatePool(pool);
+    if (poolReasons.length > 0) {
+      rejected.push({ type: 'pool', name: pool.name, reasons: poolReasons });
+      continue;
+    }
+
+    const providers = [];
+    try {
+      for await (const provider of poolsClient.listWorkloadIdentityPoolProvidersAsync({ parent: pool.name })) {
+        providers.push(provider);
+      }
+    } catch (error) {
+      throw fromGoogleApiError(error, `Failed to list providers of ${pool.name}`);
+    }
+    console.log(`Found ${providers.length} provider(s) for pool ${pool.name}`);
+
+    if (providers.length === 0) {
+      rejected.push({ type: 'pool', name: pool.name, reasons: ['Pool has no providers'] });
+      continue;
+    }
+
+    for (const provider of providers) {
+      const providerReasons = validateProvider(provider, expected);
+      if (providerReasons.length > 0) {
+        rejected.push({ type: 'provider', name: provider.name, reasons: providerReasons });
+      } else {
+        accepted.push({ pool, provider });
+      }
     }
-    // Fallback: try to get from environment variable
-    return process.env.AWS_SERVICE_ACCOUNT || null;
   }
+
+  // Prefer AWS-named pools and providers, then sort by name for a stable choice
+  const rank = ({ pool, provider }) => (isAwsNamed(pool) ? 2 : 0) + (isAwsNamed(provider) ? 1 : 0);
+  accepted.sort((a, b) => rank(b) - rank(a) || a.provider.name.localeCompare(b.provider.name));
+
+  const selected = accepted[0] || null;
+  const validation = {
+    status: selected ? 'valid' : 'invalid',
+    expectedAwsAccountId: expected.accountId,
+    expectedAwsRoleName: expected.roleName,
+    selectedPool: selected?.pool.name || null,
+    selectedProvider: selected?.provider.name || null,
+    acceptedProviders: accepted.map(({ provider }) => provider.name),
+    rejected,
+    warnings
+  };
+
+  if (selected) {
+    console.log(`Selected provider ${selected.provider.name} (${accepted.length} valid candidate(s), ${rejected.length} rejected)`);
+  } else {
+    console.error('No valid workload identity pool/provider found. Rejected candidates:', JSON.stringify(rejected, null, 2));
+  }
+
+  return { pool: selected?.pool || null, provider: selected?.provider || null, validation };
 }
 
 /**
- * Extract Workload Identity Pool ID and Identity Name
- * Always tries to extract from GCP API first, falls back to environment variables only if extraction fails
+ * Extract Workload Identity Pool ID and Identity Name from the project's IAM configuration.
+ * The result includes a `sources` map describing where each value came from and a
+ * `validation` report listing the selected and rejected pool/provider candidates.
+ * Throws IAM_PERMISSION_DENIED or IAM_API_FAILED when the pools cannot be listed; values that
+ * were never validated against the project are not sent to AWS.
  */
 async function extractWorkloadIdentityInfo(projectId) {
   let poolId = null;
   let identityName = null;
   let providerResourceName = null;
   let projectNumber = null;
+  let poolSource;
+  let providerSource;
+  let projectNumberSource = describeSource(VALUE_SOURCES.NONE, 'Project number could not be determined');
 
-  try {
-    console.log(`Attempting to extract workload identity info for project: ${projectId}`);
-    
-    // Always try to extract from project configuration first (not from env vars)
-    try {
-      // Use WorkloadIdentityPoolsClient from @google-cloud/iam
-      const { v1beta } = require('@google-cloud/iam');
-      const poolsClient = new v1beta.WorkloadIdentityPoolsClient();
-      
-      const location = 'global';
-      const parent = `projects/${projectId}/locations/${location}`;
-      
-      console.log(`Listing workload identity pools from: ${parent}`);
-      
-      // List workload identity pools
-      const [pools] = await poolsClient.listWorkloadIdentityPools({
-        parent: parent
-      });
+  console.log(`Attempting to extract workload identity info for project: ${projectId}`);
 
-      console.log(`Found ${pools.length} workload identity pool(s)`);
+  const selection = await selectWorkloadIdentityProvider(projectId);
+  const { validation } = selection;
 
-      // Try to find pool related to AWS (check name and display name)
-      let awsPool = pools.find(pool => {
-        const name = pool.name?.toLowerCase() || '';
-        const displayName = pool.displayName?.toLowerCase() || '';
-        return name.includes('aws') || displayName.includes('aws');
-      });
+  if (selection.provider) {
+    poolId = getResourceId(selection.pool.name);
+    identityName = getResourceId(selection.provider.name);
+    providerResourceName = selection.provider.name;
+    console.log(`Extracted poolId: ${poolId}, identityName: ${identityName}`);
 
-      // If no AWS-specific pool found, try to use the first pool (fallback)
-      if (!awsPool && pools.length > 0) {
-        console.log('No AWS-specific pool found, using first available pool');
-        awsPool = pools[0];
-      }
+    poolSource = describeSource(VALUE_SOURCES.IAM_API, 'Validated ACTIVE pool with a matching AWS provider');
+    providerSource = describeSource(VALUE_SOURCES.IAM_API, 'Validated ACTIVE AWS provider');
 
-      if (awsPool) {
-        console.log(`Using pool: ${awsPool.name}`);
-        
-        // Extract pool ID from name: projects/{project}/locations/{location}/workloadIdentityPools/{poolId}
-        const nameParts = awsPool.name.split('/');
-        poolId = nameParts[nameParts.length - 1];
-        console.log(`Extracted poolId: ${poolId}`);
-        
-        // Extract project number from pool name if available
-        // Format: projects/{project_number}/locations/{location}/workloadIdentityPools/{poolId}
-        if (nameParts.length > 1 && nameParts[0] === 'projects') {
-          const potentialProjectNumber = nameParts[1];
-          // Check if it's numeric (project number) vs project ID
-          if (/^\d+$/.test(potentialProjectNumber)) {
-            projectNumber = potentialProjectNumber;
-            console.log(`Extracted projectNumber from pool name: ${projectNumber}`);
-          }
-        }
-        
-        // Try to get providers from this pool
-        console.log(`Listing providers for pool: ${awsPool.name}`);
-        const [providers] = await poolsClient.listWorkloadIdentityPoolProviders({
-          parent: awsPool.name
-        });
-
-        console.log(`Found ${providers?.length || 0} provider(s) for this pool`);
-
-        if (providers && providers.length > 0) {
-          // Use the first provider (or find AWS-specific one)
-          let provider = providers.find(p => 
-            p.name?.toLowerCase().includes('aws') || 
-            p.displayName?.toLowerCase().includes('aws')
-          ) || providers[0];
-
-          console.log(`Using provider: ${provider.name}`);
-          
-          // Extract provider ID from name: projects/{project_number}/locations/{location}/workloadIdentityPools/{poolId}/providers/{providerId}
-          const providerNameParts = provider.name.split('/');
-          identityName = providerNameParts[providerNameParts.length - 1];
-          console.log(`Extracted identityName: ${identityName}`);
-          
-          // Store the full provider resource name
-          providerResourceName = provider.name;
-          console.log(`Provider resource name: ${providerResourceName}`);
-          
-          // Extract project number from provider resource name if not already found
-          // Format: projects/{project_number}/locations/...
-          if (!projectNumber && providerNameParts.length > 1 && providerNameParts[0] === 'projects') {
-            const potentialProjectNumber = providerNameParts[1];
-            if (/^\d+$/.test(potentialProjectNumber)) {
-              projectNumber = potentialProjectNumber;
-              console.log(`Extracted projectNumber from provider name: ${projectNumber}`);
-            }
-          }
-        } else {
-          console.warn('No providers found for the workload identity pool');
-        }
-      } else {
-        console.warn('No workload identity pools found');
-      }
-    } catch (poolError) {
-      console.error('Error extracting workload identity info from API:', poolError.message);
-      if (poolError.response) {
-        console.error('Response status:', poolError.response.status);
-        console.error('Response data:', poolError.response.data);
-      }
-      console.error('Stack trace:', poolError.stack);
-      
-      // Fallback to environment variables only if API extraction fails
-      console.log('Falling back to environment variables');
-      poolId = process.env.WORKLOAD_IDENTITY_POOL_ID || null;
-      identityName = process.env.WORKLOAD_IDENTITY_NAME || null;
-      providerResourceName = process.env.WORKLOAD_IDENTITY_PROVIDER_RESOURCE_NAME || null;
-      projectNumber = process.env.GCP_PROJECT_NUMBER || null;
+    projectNumber = getProjectNumberFromResourceName(selection.provider.name);
+    if (projectNumber) {
+      projectNumberSource = describeSource(VALUE_SOURCES.IAM_API, 'Parsed from workload identity provider name');
+      console.log(`Extracted projectNumber from provider name: ${projectNumber}`);
     }
+  } else {
+    const detail = `No valid workload identity provider (${validation.rejected.length} candidate(s) rejected)`;
+    poolSource = describeSource(VALUE_SOURCES.NONE, detail);
+    providerSource = describeSource(VALUE_SOURCES.NONE, detail);
+  }
 
-    // If project number is still not found, try to get it from metadata
-    if (!projectNumber) {
-      console.log('Project number not found, attempting to get from metadata service');
+  // If project number is still not found, try to get it from metadata
+  if (!projectNumber) {
+    console.log('Project number not found, attempting to get from metadata service');
+    try {
       projectNumber = await getProjectNumberFromMetadata();
-      if (projectNumber) {
-        console.log(`Got projectNumber from metadata: ${projectNumber}`);
-      }
+      projectNumberSource = describeSource(VALUE_SOURCES.METADATA_SERVER, 'numeric-project-id');
+      console.log(`Got projectNumber from metadata: ${projectNumber}`);
+    } catch (metadataError) {
+      console.warn(`Project number unavailable (${metadataError.code}):`, metadataError.message);
+      projectNumberSource = describeSource(VALUE_SOURCES.NONE, `Not found in provider name and metadata server failed (${metadataError.code})`);
+    }
+  }
+
+  const result = {
+    poolId,
+    identityName,
+    providerResourceName,
+    projectNumber: projectNumber || null,
+    validation,
+    sources: {
+      poolId: poolSource,
+      identityName: providerSource,
+      providerResourceName: providerSource,
+      projectNumber: projectNumberSource
     }
+  };
+
+  console.log('Final extracted workload identity info:', JSON.stringify(result, null, 2));
+  return result;
+}
+
+const CLOUD_RESOURCE_MANAGER_API = 'https://cloudresourcemanager.googleapis.com/v1';
+// v3 lists projects and folders by parent, which folder-wide onboarding walks
+const CLOUD_RESOURCE_MANAGER_V3_API = 'https://cloudresourcemanager.googleapis.com/v3';
+const CLOUD_BILLING_API = 'https://cloudbilling.googleapis.com/v1';
+const SERVICE_USAGE_API = 'https://serviceusage.googleapis.com/v1';
+
+async function requestGoogleApi(method, url, { params, data } = {}) {
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
+  const response = await axios.request({
+    method,
+    url,
+    params,
+    data,
+    headers: {
+      'Authorization': `Bearer ${accessToken.token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+/**
+ * Folders and organization above the project, nearest first: [{ type, id }].
+ */
+async function getProjectAncestry(projectId) {
+  const data = await requestGoogleApi('POST', `${CLOUD_RESOURCE_MANAGER_API}/projects/${projectId}:getAncestry`, { data: {} });
+  return (data?.ancestor || [])
+    .map(ancestor => ({ type: ancestor.resourceId?.type || null, id: ancestor.resourceId?.id || null }))
+    .filter(ancestor => ancestor.type !== 'project');
+}
+
+/**
+ * Project labels and lifecycle state from Resource Manager.
+ */
+async function getProjectDetails(projectId) {
+  const data = await requestGoogleApi('GET', `${CLOUD_RESOURCE_MANAGER_API}/projects/${projectId}`);
+  return {
+    labels: data?.labels || {},
+    lifecycleState: data?.lifecycleState || null
+  };
+}
 
-    const result = {
-      poolId: poolId || null,
-      identityName: identityName || null,
-      providerResourceName: providerResourceName || null,
-      projectNumber: projectNumber || null
-    };
+/**
+ * Billing account link of the project. An unlinked project has an empty billingAccountName.
+ */
+async function getBillingInfo(projectId) {
+  const data = await requestGoogleApi('GET', `${CLOUD_BILLING_API}/projects/${projectId}/billingInfo`);
+  return {
+    linked: Boolean(data?.billingAccountName),
+    billingEnabled: Boolean(data?.billingEnabled),
+    billingAccountName: data?.billingAccountName || null
+  };
+}
+
+/**
+ * Names of the services enabled in the project (e.g. "compute.googleapis.com"), following nextPageToken.
+ */
+async function listEnabledServices(projectId) {
+  const services = [];
+  let pageToken;
+  do {
+    const data = await requestGoogleApi('GET', `${SERVICE_USAGE_API}/projects/${projectId}/services`, {
+      params: { filter: 'state:ENABLED', pageSize: 200, ...(pageToken && { pageToken }) }
+    });
+    services.push(...(data?.services || []).map(service => service.config?.name || service.name.split('/').pop()));
+    pageToken = data?.nextPageToken;
+  } while (pageToken);
+  return services.sort();
+}
 
-    console.log('Final extracted workload identity info:', JSON.stringify(result, null, 2));
-    return result;
+/**
+ * Project number of any project the function can read, from Resource Manager.
+ * Throws IAM_PERMISSION_DENIED or IAM_API_FAILED when the project cannot be read.
+ */
+async function getProjectNumber(projectId) {
+  let data;
+  try {
+    data = await requestGoogleApi('GET', `${CLOUD_RESOURCE_MANAGER_V3_API}/projects/${projectId}`);
   } catch (error) {
-    console.error('Error in extractWorkloadIdentityInfo:', error.message);
-    console.error('Stack trace:', error.stack);
-    
-    // Final fallback to environment variables
-    return {
-      poolId: process.env.WORKLOAD_IDENTITY_POOL_ID || null,
-      identityName: process.env.WORKLOAD_IDENTITY_NAME || null,
-      providerResourceName: process.env.WORKLOAD_IDENTITY_PROVIDER_RESOURCE_NAME || null,
-      projectNumber: process.env.GCP_PROJECT_NUMBER || await getProjectNumberFromMetadata() || null
-    };
+    throw fromGoogleApiError(error, `Failed to read project ${projectId}`);
+  }
+  return getResourceId(data.name);
+}
+
+async function listChildren(collection, parent) {
+  const children = [];
+  let pageToken;
+  do {
+    let data;
+    try {
+      data = await requestGoogleApi('GET', `${CLOUD_RESOURCE_MANAGER_V3_API}/${collection}`, {
+        params: { parent, pageSize: 100, ...(pageToken && { pageToken }) }
+      });
+    } catch (error) {
+      throw fromGoogleApiError(error, `Failed to list ${collection} under ${parent}`);
+    }
+    children.push(...(data?.[collection] || []).filter(child => !child.state || child.state === 'ACTIVE'));
+    pageToken = data?.nextPageToken;
+  } while (pageToken);
+  return children;
+}
+
+/**
+ * Every active project under a folder or organization ("folders/123", "organizations/456"),
+ * nested folders included: [{ projectId, projectNumber }]. Stops with INVALID_REQUEST once more
+ * than `limit` projects are found, rather than onboarding an arbitrary subset.
+ */
+async function listProjectsUnder(parent, { limit }) {
+  const projects = [];
+  const pending = [parent];
+  while (pending.length > 0) {
+    const current = pending.shift();
+    for (const project of await listChildren('projects', current)) {
+      projects.push({ projectId: project.projectId, projectNumber: getResourceId(project.name) });
+    }
+    if (projects.length > limit) {
+      throw createOnboardingError('INVALID_REQUEST', `${parent} contains more than ${limit} projects; onboard it in smaller batches or raise MULTI_PROJECT_MAX_PROJECTS`);
+    }
+    pending.push(...(await listChildren('folders', current)).map(folder => folder.name));
   }
+  console.log(`Resolved ${projects.length} active project(s) under ${parent}`);
+  return projects;
+}
+
+/**
+ * Context the assessment would otherwise rediscover: org/folder ancestry, labels and lifecycle
+ * state, billing link and enabled services. Each part is collected independently; a part that
+ * fails is null and listed in `unavailable` with its error code, so one missing grant does not
+ * hide the rest.
+ */
+async function collectProjectContext(projectId) {
+  const parts = {
+    ancestry: () => getProjectAncestry(projectId),
+    project: () => getProjectDetails(projectId),
+    billing: () => getBillingInfo(projectId),
+    enabledServices: () => listEnabledServices(projectId)
+  };
+  const names = Object.keys(parts);
+  const settled = await Promise.allSettled(names.map(name => parts[name]()));
+
+  const results = {};
+  const unavailable = [];
+  settled.forEach((outcome, index) => {
+    const name = names[index];
+    if (outcome.status === 'fulfilled') {
+      results[name] = outcome.value;
+      return;
+    }
+    const error = fromGoogleApiError(outcome.reason, `Project context "${name}" unavailable`);
+    console.warn(`${error.message} (${error.code})`);
+    results[name] = null;
+    unavailable.push({ part: name, code: error.code, message: error.message });
+  });
+
+  console.log(`Collected project context for ${projectId}: ${names.length - unavailable.length} of ${names.length} part(s)`);
+  return {
+    ancestry: results.ancestry,
+    labels: results.project?.labels ?? null,
+    lifecycleState: results.project?.lifecycleState ?? null,
+    billing: results.billing,
+    enabledServices: results.enabledServices,
+    unavailable
+  };
 }
 
 module.exports = {
+  VALUE_SOURCES,
+  describeSource,
+  requestMetadata,
   getProjectIdFromMetadata,
   getProjectNumberFromMetadata,
   getServiceAccountEmail,
-  findServiceAccountStartingWithAws,
-  extractWorkloadIdentityInfo
+  listServiceAccounts,
+  discoverOnboardingServiceAccount,
+  selectWorkloadIdentityProvider,
+  extractWorkloadIdentityInfo,
+  collectProjectContext,
+  getProjectNumber,
+  listProjectsUnder
 };
 
 
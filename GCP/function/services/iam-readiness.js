@@ -0,0 +1,285 @@
+const axios = require('axios');
+const { GoogleAuth, JWT } = require('google-auth-library');
+const { fromGoogleApiError } = require('./errors');
+const { getConfig } = require('./config');
+
+const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+// Resource Manager v3 reads project, folder and organization policies alike
+const CLOUD_RESOURCE_MANAGER_V3_API = 'https://cloudresourcemanager.googleapis.com/v3';
+
+const READINESS_MODE_ENFORCE = 'enforce';
+const READINESS_MODE_REPORT = 'report';
+const READINESS_MODE_OFF = 'off';
+
+const CHECK_GRANTED = 'granted';
+const CHECK_MISSING = 'missing';
+const CHECK_UNKNOWN = 'unknown';
+
+// Project roles main.tf grants to the onboarding service account
+const REQUIRED_PROJECT_ROLES = [
+  { role: 'roles/viewer', critical: true },
+  { role: 'roles/compute.viewer', critical: true }
+];
+
+// Read permissions the AWS assessment relies on, tested as the onboarding service account
+const KEY_READ_PERMISSIONS = [
+  { permission: 'resourcemanager.projects.get', critical: true },
+  { permission: 'compute.instances.list', critical: true },
+  { permission: 'compute.regions.list', critical: false },
+  { permission: 'compute.zones.list', critical: false },
+  { permission: 'iam.serviceAccounts.list', critical: false },
+  { permission: 'serviceusage.services.list', critical: false }
+];
+
+/**
+ * IAM_READINESS_MODE: "enforce" blocks submission when critical grants are missing,
+ * "report" only adds the report to the payload, "off" skips the checks.
+ */
+function getReadinessMode() {
+  return getConfig().onboarding.iamReadinessMode;
+}
+
+async function getRuntimeAccessToken() {
+  const auth = new GoogleAuth({ scopes: [CLOUD_PLATFORM_SCOPE] });
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
+  return accessToken.token;
+}
+
+async function postGoogleApi(url, body, accessToken) {
+  const response = await axios.post(url, body, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+function describeApiError(error) {
+  const status = error.response?.status;
+  const apiMessage = error.response?.data?.error?.message;
+  return [status && `HTTP ${status}`, apiMessage || error.message].filter(Boolean).join(': ');
+}
+
+// Taxonomy code for a failed check, so "unknown" results say whether retrying can help
+function getApiErrorCode(error) {
+  return fromGoogleApiError(error, 'IAM readiness check failed').code;
+}
+
+function hasMember(policy, role, member) {
+  return (policy.bindings || []).some(binding => binding.role === role && (binding.members || []).includes(member));
+}
+
+function getAncestorResourceName({ type, id }) {
+  return type === 'organization' ? `organizations/${id}` : `folders/${id}`;
+}
+
+/**
+ * Check the onboarding service account's effective project roles: a role counts when it is bound
+ * on the project or inherited from a folder or organization in `ancestry` (nearest first, as in
+ * projectContext). A role found nowhere is "unknown", not "missing", when a policy on the way up
+ * could not be read or the ancestry itself is unknown.
+ */
+async function checkProjectRoles(projectId, serviceAccountEmail, ancestry, accessToken) {
+  const member = `serviceAccount:${serviceAccountEmail}`;
+  const resources = [`projects/${projectId}`, ...(ancestry || []).map(getAncestorResourceName)];
+  const grantedOn = {};
+  const unreadable = [];
+
+  for (const resource of resources) {
+    if (REQUIRED_PROJECT_ROLES.every(({ role }) => grantedOn[role])) {
+      break;
+    }
+    try {
+      const policy = await postGoogleApi(
+        `${CLOUD_RESOURCE_MANAGER_V3_API}/${resource}:getIamPolicy`,
+        { options: { requestedPolicyVersion: 3 } },
+        accessToken
+      );
+      for (const { role } of REQUIRED_PROJECT_ROLES) {
+        if (!grantedOn[role] && hasMember(policy, role, member)) {
+          grantedOn[role] = resource;
+        }
+      }
+    } catch (error) {
+      console.warn(`Could not read the IAM policy of ${resource}:`, describeApiError(error));
+      unreadable.push({ resource, error });
+    }
+  }
+
+  return REQUIRED_PROJECT_ROLES.map(({ role, critical }) => {
+    const check = { check: 'project-role', target: role, critical };
+    if (grantedOn[role]) {
+      return { ...check, status: CHECK_GRANTED, grantedOn: grantedOn[role] };
+    }
+    if (unreadable.length > 0) {
+      return {
+        ...check,
+        status: CHECK_UNKNOWN,
+        errorCode: getApiErrorCode(unreadable[0].error),
+        detail: `IAM policy of ${unreadable.map(({ resource }) => resource).join(', ')} could not be read (${describeApiError(unreadable[0].error)})`
+      };
+    }
+    if (!ancestry) {
+      return { ...check, status: CHECK_UNKNOWN, detail: 'Not bound on the project, and its ancestry is unknown, so inherited grants were not checked' };
+    }
+    return { ...check, status: CHECK_MISSING };
+  });
+}
+
+/**
+ * Check the workloadIdentityUser principalSet binding (and token creator binding)
+ * on the onboarding service account itself.
+ */
+async function checkServiceAccountBindings({ serviceAccountEmail, poolName, awsAccountId, awsRoleName, workloadIdentityCritical }, accessToken) {
+  const checks = [];
+  const workloadIdentityMember = poolName && awsAccountId && awsRoleName
+    ? `principalSet://iam.googleapis.com/${poolName}/attribute.aws_role/arn:aws:sts::${awsAccountId}:assumed-role/${awsRoleName}`
+    : null;
+  const tokenCreatorMember = poolName ? `principalSet://iam.googleapis.com/${poolName}/*` : null;
+
+  let policy = null;
+  let policyError = null;
+  let policyErrorCode = null;
+  try {
+    policy = await postGoogleApi(
+      // "-" because the account may belong to another project than the one being onboarded
+      `https://iam.googleapis.com/v1/projects/-/serviceAccounts/${serviceAccountEmail}:getIamPolicy`,
+      {},
+      accessToken
+    );
+  } catch (error) {
+    policyError = describeApiError(error);
+    policyErrorCode = getApiErrorCode(error);
+    console.warn('Could not read service account IAM policy:', policyError);
+  }
+
+  const bindingCheck = (role, member, critical, missingMemberDetail) => {
+    if (!member) {
+      return { check: 'service-account-binding', target: role, critical, status: CHECK_UNKNOWN, detail: missingMemberDetail };
+    }
+    if (!policy) {
+      return { check: 'service-account-binding', target: role, critical, status: CHECK_UNKNOWN, errorCode: policyErrorCode, detail: `Service account IAM policy could not be read (${policyError})` };
+    }
+    return {
+      check: 'service-account-binding',
+      target: role,
+      member,
+      critical,
+      status: hasMember(policy, role, member) ? CHECK_GRANTED : CHECK_MISSING
+    };
+  };
+
+  checks.push(bindingCheck(
+    'roles/iam.workloadIdentityUser',
+    workloadIdentityMember,
+    workloadIdentityCritical,
+    'Pool name, EXPECTED_AWS_ACCOUNT_ID or EXPECTED_AWS_ROLE_NAME unknown; expected principalSet could not be built'
+  ));
+  checks.push(bindingCheck(
+    'roles/iam.serviceAccountTokenCreator',
+    tokenCreatorMember,
+    false,
+    'Pool name unknown; expected principalSet could not be built'
+  ));
+
+  return checks;
+}
+
+/**
+ * Test effective read permissions as the onboarding service account. This needs the
+ * account's own credentials (the decoded JSON key); without them the checks are unknown.
+ */
+async function checkReadPermissions(projectId, serviceAccountCredentials) {
+  if (!serviceAccountCredentials?.client_email || !serviceAccountCredentials?.private_key) {
+    return KEY_READ_PERMISSIONS.map(({ permission, critical }) => ({
+      check: 'permission',
+      target: permission,
+      critical,
+      status: CHECK_UNKNOWN,
+      detail: 'No onboarding service account credentials available to test permissions with'
+    }));
+  }
+
+  try {
+    const client = new JWT({
+      email: serviceAccountCredentials.client_email,
+      key: serviceAccountCredentials.private_key,
+      scopes: [CLOUD_PLATFORM_SCOPE]
+    });
+    const { token } = await client.getAccessToken();
+    const result = await postGoogleApi(
+      `https://cloudresourcemanager.googleapis.com/v1/projects/${projectId}:testIamPermissions`,
+      { permissions: KEY_READ_PERMISSIONS.map(({ permission }) => permission) },
+      token
+    );
+    const granted = new Set(result.permissions || []);
+    return KEY_READ_PERMISSIONS.map(({ permission, critical }) => ({
+      check: 'permission',
+      target: permission,
+      critical,
+      status: granted.has(permission) ? CHECK_GRANTED : CHECK_MISSING
+    }));
+  } catch (error) {
+    console.warn('Could not test onboarding service account permissions:', describeApiError(error));
+    return KEY_READ_PERMISSIONS.map(({ permission, critical }) => ({
+      check: 'permission',
+      target: permission,
+      critical,
+      status: CHECK_UNKNOWN,
+      errorCode: getApiErrorCode(error),
+      detail: `testIamPermissions failed (${describeApiError(error)})`
+    }));
+  }
+}
+
+/**
+ * Verify that the onboarding service account holds the grants main.tf creates, directly on the
+ * project or through `ancestry` (see checkProjectRoles), as folder-wide onboarding grants them.
+ * Returns { status, checks, missingCritical } where status is "ready" (all critical grants present),
+ * "not-ready" (a critical grant is definitely missing) or "unknown" (some could not be checked).
+ */
+async function checkIamReadiness({ projectId, serviceAccountEmail, ancestry, poolName, keyless, serviceAccountCredentials }) {
+  if (!serviceAccountEmail) {
+    return { status: 'not-ready', checks: [], missingCritical: ['service account'] };
+  }
+
+  const accessToken = await getRuntimeAccessToken();
+  const checks = [
+    ...await checkProjectRoles(projectId, serviceAccountEmail, ancestry, accessToken),
+    ...await checkServiceAccountBindings({
+      serviceAccountEmail,
+      poolName,
+      awsAccountId: getConfig().workloadIdentity.expectedAwsAccountId,
+      awsRoleName: getConfig().workloadIdentity.expectedAwsRoleName,
+      // AWS only needs the federation binding when it has no key to use
+      workloadIdentityCritical: Boolean(keyless)
+    }, accessToken),
+    ...await checkReadPermissions(projectId, serviceAccountCredentials)
+  ];
+
+  const missingCritical = checks
+    .filter(check => check.critical && check.status === CHECK_MISSING)
+    .map(check => check.target);
+  const hasUnknownCritical = checks.some(check => check.critical && check.status === CHECK_UNKNOWN);
+
+  let status = 'ready';
+  if (missingCritical.length > 0) {
+    status = 'not-ready';
+  } else if (hasUnknownCritical) {
+    status = 'unknown';
+  }
+
+  console.log(`IAM readiness for ${serviceAccountEmail}: ${status}`, missingCritical.length > 0 ? { missingCritical } : '');
+  return { status, checks, missingCritical };
+}
+
+module.exports = {
+  READINESS_MODE_ENFORCE,
+  READINESS_MODE_REPORT,
+  READINESS_MODE_OFF,
+  getReadinessMode,
+  checkIamReadiness
+};
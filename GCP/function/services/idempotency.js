@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { getStateStore } = require('./state-store');
+const { getConfig } = require('./config');
+const { createOnboardingError } = require('./errors');
+
+const SUBMISSIONS_COLLECTION = 'onboardingSubmissions';
+
+const SUBMISSION_IN_PROGRESS = 'in-progress';
+const SUBMISSION_COMPLETED = 'completed';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function getHeader(req, name) {
+  if (typeof req.get === 'function') {
+    return req.get(name) || null;
+  }
+  return req.headers?.[name] || null;
+}
+
+// Request body fields that do not change what is submitted
+const FINGERPRINT_IGNORED_FIELDS = ['dryRun'];
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(name => `${JSON.stringify(name)}:${canonicalJson(value[name])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of the request body, independent of key order, so a reused Idempotency-Key
+ * can be told apart from a retry of the same request.
+ */
+function getRequestFingerprint(req) {
+  const body = req.body && typeof req.body === 'object' ? { ...req.body } : {};
+  FINGERPRINT_IGNORED_FIELDS.forEach(field => delete body[field]);
+  return sha256(canonicalJson(body));
+}
+
+/**
+ * Derive the idempotency key for a submission: the caller's Idempotency-Key header when present,
+ * otherwise a fingerprint of project, company, pool and service account key ID. A header key is
+ * hashed together with the company and project, so one key never answers for another company or
+ * for another project of a multi-project request, and carries the request fingerprint to compare on reuse.
+ * Returns { key, source, requestFingerprint } where key is a hex digest safe to use as a document ID.
+ */
+function getSubmissionKey(req, { projectId, companyId, poolId, serviceAccountKeyId }) {
+  const headerKey = getHeader(req, 'idempotency-key');
+  if (headerKey && headerKey.trim()) {
+    return {
+      key: sha256(JSON.stringify(['header', headerKey.trim(), companyId || '', projectId || ''])),
+      source: 'Idempotency-Key header',
+      requestFingerprint: getRequestFingerprint(req)
+    };
+  }
+
+  const fingerprint = JSON.stringify([projectId || '', companyId || '', poolId || '', serviceAccountKeyId || '']);
+  return { key: sha256(`fingerprint:${fingerprint}`), source: 'fingerprint', requestFingerprint: null };
+}
+
+/**
+ * Read the record of a submission key (its onboardingId), or null when there is none.
+ * Anything that is not a key this module derived is treated as unknown.
+ */
+async function getSubmission(key) {
+  if (!/^[0-9a-f]{64}$/.test(String(key))) {
+    return null;
+  }
+  return getStateStore().get(SUBMISSIONS_COLLECTION, key);
+}
+
+function isExpired(record, now) {
+  return Date.parse(record.expiresAt) <= now;
+}
+
+function isStale(record, now) {
+  const { inProgressTimeoutSeconds } = getConfig().idempotency;
+  return record.status === SUBMISSION_IN_PROGRESS && now - Date.parse(record.startedAt) > inProgressTimeoutSeconds * 1000;
+}
+
+function assertSameRequest(key, record, requestFingerprint) {
+  if (requestFingerprint && record.requestFingerprint && record.requestFingerprint !== requestFingerprint) {
+    throw createOnboardingError('IDEMPOTENCY_KEY_REUSED', 'The Idempotency-Key was already used for a different request', {
+      details: { onboardingId: key, originalCorrelationId: record.correlationId || null }
+    });
+  }
+}
+
+/**
+ * Read-only check of a submission key before any onboarding work: resolves to the earlier
+ * record that a submission would be answered with, or null when a submission would go ahead.
+ * Throws IDEMPOTENCY_KEY_REUSED when the key was used for a different request.
+ */
+async function findDuplicateSubmission(key, requestFingerprint) {
+  const existing = await getStateStore().get(SUBMISSIONS_COLLECTION, key);
+  const now = Date.now();
+  if (!existing || isExpired(existing, now)) {
+    return null;
+  }
+  assertSameRequest(key, existing, requestFingerprint);
+  return isStale(existing, now) ? null : existing;
+}
+
+/**
+ * Reserve a submission key. Returns:
+ * - { duplicate: false } when this call may submit (a reservation was recorded),
+ * - { duplicate: true, record } when an earlier submission within the window exists;
+ *   record.status is "completed" (with the original response) or "in-progress".
+ * Throws IDEMPOTENCY_KEY_REUSED when the key was used for a different request.
+ * Expired and stale records are taken over with a conditional write, so of two instances
+ * racing for the same record only one gets the reservation.
+ */
+async function beginSubmission(key, metadata = {}) {
+  const store = getStateStore();
+  const now = Date.now();
+  const { windowSeconds } = getConfig().idempotency;
+
+  const reservation = {
+    status: SUBMISSION_IN_PROGRESS,
+    startedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + windowSeconds * 1000).toISOString(),
+    ...metadata
+  };
+
+  if (await store.create(SUBMISSIONS_COLLECTION, key, reservation)) {
+    return { duplicate: false };
+  }
+
+  const existing = await store.get(SUBMISSIONS_COLLECTION, key);
+  if (!existing) {
+    // Released between the create and the read; take the free slot, or report whoever won it
+    if (await store.create(SUBMISSIONS_COLLECTION, key, reservation)) {
+      return { duplicate: false };
+    }
+    return reportDuplicate(key, await store.get(SUBMISSIONS_COLLECTION, key), metadata.requestFingerprint);
+  }
+
+  const expired = isExpired(existing, now);
+  if (!expired) {
+    assertSameRequest(key, existing, metadata.requestFingerprint);
+  }
+  if (expired || isStale(existing, now)) {
+    console.log(`Replacing ${expired ? 'expired' : 'stale'} idempotency record ${key}`);
+    if (await store.replace(SUBMISSIONS_COLLECTION, key, existing, reservation)) {
+      return { duplicate: false };
+    }
+    // Another instance took the record over first
+    return reportDuplicate(key, await store.get(SUBMISSIONS_COLLECTION, key), metadata.requestFingerprint);
+  }
+
+  return reportDuplicate(key, existing, metadata.requestFingerprint);
+}
+
+function reportDuplicate(key, record, requestFingerprint) {
+  if (!record) {
+    throw createOnboardingError('SUBMISSION_IN_PROGRESS', 'A concurrent onboarding submission holds this idempotency key', {
+      details: { onboardingId: key }
+    });
+  }
+  assertSameRequest(key, record, requestFingerprint);
+  console.log(`Duplicate submission detected for idempotency key ${key} (${record.status})`);
+  return { duplicate: true, record };
+}
+
+/**
+ * Record the outcome of a reserved submission so duplicates can be answered with it.
+ */
+async function completeSubmission(key, { statusCode, body }) {
+  const store = getStateStore();
+  const existing = await store.get(SUBMISSIONS_COLLECTION, key) || {};
+  await store.set(SUBMISSIONS_COLLECTION, key, {
+    ...existing,
+    status: SUBMISSION_COMPLETED,
+    completedAt: new Date().toISOString(),
+    response: { statusCode, body }
+  });
+}
+
+/**
+ * Drop a reservation when the submission failed before anything was sent,
+ * so the caller can retry immediately.
+ */
+async function abandonSubmission(key) {
+  try {
+    await getStateStore().delete(SUBMISSIONS_COLLECTION, key);
+  } catch (err) {
+    console.error(`Failed to release idempotency reservation ${key}:`, err.message);
+  }
+}
+
+module.exports = {
+  SUBMISSION_IN_PROGRESS,
+  SUBMISSION_COMPLETED,
+  getSubmissionKey,
+  getSubmission,
+  findDuplicateSubmission,
+  beginSubmission,
+  completeSubmission,
+  abandonSubmission
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const KEY_ENCRYPTION_ALGORITHM = 'RSA-OAEP-256';
+const CONTENT_ENCRYPTION_ALGORITHM = 'A256GCM';
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Load the recipient public key configured for the deployment.
+ * SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY may hold a PEM block or a base64-encoded PEM.
+ */
+function getRecipientPublicKey() {
+  const { recipientPublicKey: configured, recipientKeyId: keyId } = getConfig().keyEncryption;
+
+  if (!configured || !keyId) {
+    const missing = [];
+    if (!configured) missing.push('SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY');
+    if (!keyId) missing.push('SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID');
+    throw new Error(`Missing service account key encryption configuration: ${missing.join(', ')}`);
+  }
+
+  const pem = configured.startsWith('-----BEGIN')
+    ? configured
+    : Buffer.from(configured, 'base64').toString('utf8');
+
+  const publicKey = crypto.createPublicKey(pem);
+  if (publicKey.asymmetricKeyType !== 'rsa') {
+    throw new Error(`Recipient public key must be an RSA key, got ${publicKey.asymmetricKeyType}`);
+  }
+
+  return { publicKey, keyId };
+}
+
+/**
+ * Encrypt the service account key JSON for the AWS recipient using envelope encryption:
+ * a random AES-256-GCM content key encrypts the JSON, and the content key is wrapped
+ * with the recipient's RSA public key (OAEP, SHA-256). The key ID is bound as AAD.
+ */
+function encryptServiceAccountKey(serviceAccountKey) {
+  const { publicKey, keyId } = getRecipientPublicKey();
+
+  const contentKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const aad = Buffer.from(`${keyId}|${KEY_ENCRYPTION_ALGORITHM}|${CONTENT_ENCRYPTION_ALGORITHM}`, 'utf8');
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(serviceAccountKey), 'utf8'),
+    cipher.final()
+  ]);
+  const tag = cipher.getAuthTag();
+
+  const encryptedKey = crypto.publicEncrypt({
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, contentKey);
+
+  contentKey.fill(0);
+
+  return {
+    encrypted: true,
+    version: ENVELOPE_VERSION,
+    keyId: keyId,
+    algorithm: {
+      keyEncryption: KEY_ENCRYPTION_ALGORITHM,
+      contentEncryption: CONTENT_ENCRYPTION_ALGORITHM
+    },
+    aad: aad.toString('base64'),
+    encryptedKey: encryptedKey.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    serviceAccountKeyId: serviceAccountKey?.private_key_id || null
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptServiceAccountKey with the recipient's private key.
+ * Mirrors what the AWS side does; kept here so the format is documented in one place.
+ */
+function decryptServiceAccountKey(envelope, privateKey) {
+  const contentKey = crypto.privateDecrypt({
+    key: privateKey,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, Buffer.from(envelope.encryptedKey, 'base64'));
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(envelope.aad, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  encryptServiceAccountKey,
+  decryptServiceAccountKey
+};
@@ -0,0 +1,425 @@
+const axios = require('axios');
+const { GoogleAuth } = require('google-auth-library');
+const { getStateStore } = require('./state-store');
+const { getCognitoAccessToken } = require('./cognito');
+const { sendToAwsEndpoint } = require('./aws-requests');
+const { getLifecycleEndpointPath } = require('./aws-endpoints');
+const { encryptServiceAccountKey } = require('./key-encryption');
+const { validateOutgoingPayload, PAYLOAD_SCHEMA_VERSION } = require('./schema-validation');
+const { isSecretReference, parseSecretReference, addSecretVersion } = require('./secret-manager');
+const { getProjectNumberFromMetadata } = require('./gcp-metadata');
+const { getCredentialMode, CREDENTIAL_MODE_KEYLESS } = require('./credential-config');
+const { getCorrelationId } = require('./logger');
+const { getConfig } = require('./config');
+const { createOnboardingError, toOnboardingError, fromGoogleApiError } = require('./errors');
+
+const IAM_API = 'https://iam.googleapis.com/v1';
+const ROTATIONS_COLLECTION = 'keyRotations';
+
+const ROTATION_IN_PROGRESS = 'in-progress';
+const ROTATION_COMPLETED = 'completed';
+const ROTATION_ROLLED_BACK = 'rolled-back';
+const ROTATION_FAILED = 'failed';
+
+const ROTATION_ROTATED = 'rotated';
+const ROTATION_SKIPPED = 'skipped';
+
+// What happened to the previous keys after a rotation
+const RETIREMENT_KEPT = 'kept';
+const RETIREMENT_SCHEDULED = 'scheduled';
+
+async function callIam(method, resourceName, { data, params } = {}) {
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
+  return axios.request({
+    method,
+    url: `${IAM_API}/${resourceName}`,
+    data,
+    params,
+    headers: {
+      'Authorization': `Bearer ${accessToken.token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+}
+
+function getKeyId(keyName) {
+  return keyName.split('/').pop();
+}
+
+/**
+ * User-managed keys of a service account, newest first: [{ keyId, name, createdAt, disabled }].
+ */
+async function listUserManagedKeys(serviceAccountEmail) {
+  let response;
+  try {
+    response = await callIam('GET', `projects/-/serviceAccounts/${serviceAccountEmail}/keys`, {
+      params: { keyTypes: 'USER_MANAGED' }
+    });
+  } catch (error) {
+    throw fromGoogleApiError(error, `Failed to list keys of ${serviceAccountEmail}`);
+  }
+  return (response.data?.keys || [])
+    .map(key => ({
+      keyId: getKeyId(key.name),
+      name: key.name,
+      createdAt: key.validAfterTime || null,
+      disabled: Boolean(key.disabled)
+    }))
+    .sort((a, b) => Date.parse(b.createdAt || 0) - Date.parse(a.createdAt || 0));
+}
+
+/**
+ * Create a JSON key for the service account. Returns { keyId, name, credentials } where
+ * credentials is the parsed key file; it only exists in memory and is never logged.
+ */
+async function createServiceAccountKey(serviceAccountEmail) {
+  let response;
+  try {
+    response = await callIam('POST', `projects/-/serviceAccounts/${serviceAccountEmail}/keys`, {
+      data: { privateKeyType: 'TYPE_GOOGLE_CREDENTIALS_FILE', keyAlgorithm: 'KEY_ALG_RSA_2048' }
+    });
+  } catch (error) {
+    throw fromGoogleApiError(error, `Failed to create a key for ${serviceAccountEmail}`);
+  }
+  return {
+    keyId: getKeyId(response.data.name),
+    name: response.data.name,
+    credentials: JSON.parse(Buffer.from(response.data.privateKeyData, 'base64').toString('utf8'))
+  };
+}
+
+async function deleteServiceAccountKey(keyName) {
+  try {
+    await callIam('DELETE', keyName);
+  } catch (error) {
+    // Already gone is what we wanted
+    if (error.response?.status !== 404) {
+      throw fromGoogleApiError(error, `Failed to delete key ${getKeyId(keyName)}`);
+    }
+  }
+}
+
+/**
+ * Disable, then delete, each key. Disabling first means a key that cannot be deleted
+ * at least stops working. Returns [{ keyId, disabled, deleted, error }].
+ */
+async function retireKeys(keys) {
+  const results = [];
+  for (const key of keys) {
+    const result = { keyId: key.keyId, disabled: key.disabled, deleted: false, error: null };
+    try {
+      if (!key.disabled) {
+        await callIam('POST', `${key.name}:disable`, { data: {} }).catch(error => {
+          throw fromGoogleApiError(error, `Failed to disable key ${key.keyId}`);
+        });
+        result.disabled = true;
+      }
+      await deleteServiceAccountKey(key.name);
+      result.deleted = true;
+      console.log(`Retired service account key ${key.keyId}`);
+    } catch (error) {
+      console.error(`Failed to retire service account key ${key.keyId} (${error.code}):`, error.message);
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Take the per-service-account rotation lock, mirroring the idempotency reservations:
+ * a lock older than KEY_ROTATION_LOCK_TIMEOUT_SECONDS is treated as abandoned, and taking it
+ * over is a conditional write so only one instance wins.
+ * Returns { acquired, record } where record is the previous state (or the holder's lock).
+ */
+async function acquireRotationLock(serviceAccountEmail) {
+  const store = getStateStore();
+  const now = Date.now();
+  const lock = {
+    status: ROTATION_IN_PROGRESS,
+    startedAt: new Date(now).toISOString(),
+    correlationId: getCorrelationId()
+  };
+
+  if (await store.create(ROTATIONS_COLLECTION, serviceAccountEmail, lock)) {
+    return { acquired: true, record: null };
+  }
+
+  const existing = await store.get(ROTATIONS_COLLECTION, serviceAccountEmail);
+  const lockTimeoutMs = getConfig().keyRotation.lockTimeoutSeconds * 1000;
+  if (existing?.status === ROTATION_IN_PROGRESS && now - Date.parse(existing.startedAt) <= lockTimeoutMs) {
+    return { acquired: false, record: existing };
+  }
+
+  if (!existing || !await store.replace(ROTATIONS_COLLECTION, serviceAccountEmail, existing, { ...existing, ...lock })) {
+    // Another instance took or released the lock between our reads
+    return { acquired: false, record: await store.get(ROTATIONS_COLLECTION, serviceAccountEmail) || lock };
+  }
+  return { acquired: true, record: existing };
+}
+
+function buildRotationPayload({ projectId, projectNumber, serviceAccountEmail, serviceAccountKey, newKeyId, previousKeyIds }) {
+  return {
+    detail: {
+      schemaVersion: PAYLOAD_SCHEMA_VERSION,
+      vendor: 'GCP',
+      operation: 'rotate-key',
+      correlationId: getCorrelationId(),
+      projectId,
+      projectNumber,
+      serviceAccountName: serviceAccountEmail,
+      poolId: null,
+      identityName: null,
+      providerResourceName: null,
+      timestamp: new Date().toISOString(),
+      credentialMode: 'key',
+      serviceAccountKey,
+      keyRotation: { newKeyId, previousKeyIds }
+    }
+  };
+}
+
+/**
+ * AWS acknowledges a rotation with a 2xx response whose body echoes the new key:
+ * { "acknowledged": true, "serviceAccountKeyId": "<newKeyId>" }. Anything else, an empty body
+ * included, is not an acknowledgment.
+ */
+function isRotationAcknowledged(response, newKeyId) {
+  const body = response?.data;
+  return Boolean(body) && typeof body === 'object' && body.acknowledged === true && body.serviceAccountKeyId === newKeyId;
+}
+
+/**
+ * Why the key onboarding sends could not follow a rotation, or null when it can. Only a
+ * secretmanager:// reference that follows "latest" can be given the new key; a literal key or a
+ * pinned version would keep sending a key the rotation deletes.
+ */
+function getConfiguredKeyProblem() {
+  const configured = getConfig().onboarding.serviceAccountKeyB64;
+  if (configured && (!isSecretReference(configured) || parseSecretReference(configured).pinned)) {
+    return 'AWS_SERVICE_ACCOUNT_KEY_B64 is not a secretmanager:// reference that follows "latest"';
+  }
+  return null;
+}
+
+/**
+ * Store the new key as the latest version of the secret onboarding reads it from.
+ */
+async function updateConfiguredKey(credentials) {
+  const config = getConfig();
+  const configured = config.onboarding.serviceAccountKeyB64;
+  if (!configured) {
+    return { updated: false, reason: 'AWS_SERVICE_ACCOUNT_KEY_B64 is not set' };
+  }
+  const secretVersion = await addSecretVersion(configured, JSON.stringify(credentials), config.secrets);
+  return { updated: true, secretVersion };
+}
+
+/**
+ * Attach the rotation report to a failure so callers see how far the rotation got.
+ */
+function withRotationReport(error, report) {
+  const onboardingError = toOnboardingError(error);
+  return createOnboardingError(onboardingError.code, `Key rotation failed: ${onboardingError.message}`, {
+    cause: onboardingError,
+    details: { ...(onboardingError.details || {}), rotation: report }
+  });
+}
+
+/**
+ * Deliver a freshly created key to AWS on the lifecycle path (context.path), deleting it again
+ * if AWS does not acknowledge it.
+ * Returns the delivery summary; throws with the rollback outcome in the rotation report.
+ */
+async function deliverNewKey(newKey, context, report) {
+  try {
+    const payload = buildRotationPayload({
+      ...context,
+      serviceAccountKey: encryptServiceAccountKey(newKey.credentials),
+      newKeyId: newKey.keyId,
+      previousKeyIds: report.previousKeyIds
+    });
+
+    const payloadValidation = validateOutgoingPayload(payload);
+    if (!payloadValidation.valid) {
+      throw createOnboardingError('PAYLOAD_SCHEMA_INVALID', `Rotation payload does not match schema version ${PAYLOAD_SCHEMA_VERSION}`, {
+        details: { errors: payloadValidation.errors }
+      });
+    }
+
+    const result = await sendToAwsEndpoint(payload, await getCognitoAccessToken(), { path: context.path });
+    if (!result.success) {
+      throw result.failure;
+    }
+    if (!isRotationAcknowledged(result.response, newKey.keyId)) {
+      throw createOnboardingError('KEY_ROTATION_NOT_ACKNOWLEDGED', `AWS did not acknowledge key ${newKey.keyId}`, {
+        details: { endpoint: result.endpoint, upstreamStatus: result.response?.status || null }
+      });
+    }
+    return { endpoint: result.endpoint, region: result.region, attempts: result.attempts.length };
+  } catch (error) {
+    console.error(`Key delivery failed (${error.code}), rolling back key ${newKey.keyId}:`, error.message);
+    try {
+      await deleteServiceAccountKey(newKey.name);
+      report.rollback = { deleted: true, keyId: newKey.keyId };
+    } catch (rollbackError) {
+      report.rollback = { deleted: false, keyId: newKey.keyId, error: rollbackError.message };
+      throw createOnboardingError('KEY_ROLLBACK_FAILED', `Key ${newKey.keyId} was not acknowledged by AWS and could not be deleted; delete it manually`, {
+        cause: error,
+        details: { deliveryError: error.code || null, rotation: report }
+      });
+    }
+    throw withRotationReport(error, report);
+  }
+}
+
+/**
+ * Rotate the onboarding service account's key: create a new key, deliver it to AWS through
+ * sendToAwsEndpoint and wait for the acknowledgment, store it as the latest version of the
+ * AWS_SERVICE_ACCOUNT_KEY_B64 secret, then disable and delete the previous keys.
+ * If delivery fails the new key is deleted and the previous keys are untouched; if the secret
+ * cannot be updated the previous keys are kept, since onboarding still sends one of them.
+ *
+ * Other instances may serve the previous key from their secret cache for SECRET_CACHE_TTL_SECONDS,
+ * so the previous keys are only retired by the first run after that has passed.
+ *
+ * Safe to run on a schedule: one rotation per service account runs at a time (the lock lives in
+ * the firestore state store, which rotation requires), a rotation is skipped while the newest key
+ * is younger than KEY_ROTATION_INTERVAL_DAYS (unless `force`), and keys that are due for
+ * retirement or could not be retired last time are retired.
+ * Resolves to a report with status "rotated" or "skipped".
+ */
+async function rotateServiceAccountKey({ projectId, serviceAccountEmail, force = false }) {
+  if (getCredentialMode() === CREDENTIAL_MODE_KEYLESS) {
+    return {
+      status: ROTATION_SKIPPED,
+      serviceAccount: serviceAccountEmail,
+      reason: 'Keyless credential mode sends no service account key to rotate'
+    };
+  }
+
+  // The in-memory store only locks within one instance; two instances would both rotate
+  if (getConfig().stateStore.backend !== 'firestore') {
+    throw createOnboardingError('CONFIG_INVALID', 'Key rotation requires STATE_STORE_BACKEND "firestore" so concurrent instances share the rotation lock');
+  }
+  // Checked before a key is created, so a missing path does not cost a create and rollback
+  const path = getLifecycleEndpointPath(getConfig().aws);
+  const configuredKeyProblem = getConfiguredKeyProblem();
+  if (configuredKeyProblem) {
+    throw createOnboardingError('CONFIG_INVALID', `Key rotation would delete the key onboarding sends: ${configuredKeyProblem}`);
+  }
+
+  const lock = await acquireRotationLock(serviceAccountEmail);
+  if (!lock.acquired) {
+    console.log(`Key rotation for ${serviceAccountEmail} skipped: rotation ${lock.record.correlationId} is in progress`);
+    return {
+      status: ROTATION_SKIPPED,
+      serviceAccount: serviceAccountEmail,
+      reason: `A rotation started at ${lock.record.startedAt} is still in progress`
+    };
+  }
+
+  const report = { status: null, serviceAccount: serviceAccountEmail, newKeyId: null, previousKeyIds: [], retired: [] };
+  let finalRecord = { ...lock.record, status: ROTATION_FAILED };
+  try {
+    const keys = await listUserManagedKeys(serviceAccountEmail);
+
+    // Retire the keys a previous rotation replaced once no instance can still be sending them
+    const pending = lock.record?.pendingRetirement || [];
+    const retirementDue = Date.now() >= (lock.record?.retireAfter ? Date.parse(lock.record.retireAfter) : 0);
+    const leftovers = retirementDue ? keys.filter(key => pending.includes(key.keyId)) : [];
+    if (leftovers.length > 0) {
+      console.log(`Retiring ${leftovers.length} key(s) replaced by the previous rotation`);
+      report.retired.push(...await retireKeys(leftovers));
+    }
+    const remaining = keys.filter(key => !report.retired.some(result => result.keyId === key.keyId && result.deleted));
+    const stillPending = retirementDue
+      ? report.retired.filter(result => !result.deleted).map(result => result.keyId)
+      : pending.filter(keyId => remaining.some(key => key.keyId === keyId));
+
+    const { intervalDays } = getConfig().keyRotation;
+    const newest = remaining.find(key => !key.disabled);
+    const ageDays = newest?.createdAt ? (Date.now() - Date.parse(newest.createdAt)) / 86400000 : null;
+    if (!force && ageDays !== null && ageDays < intervalDays) {
+      report.status = ROTATION_SKIPPED;
+      report.reason = `Newest key ${newest.keyId} is ${Math.floor(ageDays)} day(s) old; rotation interval is ${intervalDays} day(s)`;
+      finalRecord = { ...lock.record, status: ROTATION_COMPLETED, pendingRetirement: stillPending };
+      console.log(`Key rotation for ${serviceAccountEmail} skipped: ${report.reason}`);
+      return report;
+    }
+
+    report.previousKeyIds = remaining.map(key => key.keyId);
+    const newKey = await createServiceAccountKey(serviceAccountEmail);
+    report.newKeyId = newKey.keyId;
+    console.log(`Created service account key ${newKey.keyId} for ${serviceAccountEmail}`);
+
+    const config = getConfig();
+    const projectNumber = config.gcp.projectNumber || await getProjectNumberFromMetadata().catch(() => null);
+    try {
+      report.delivery = await deliverNewKey(newKey, { projectId, projectNumber, serviceAccountEmail, path }, report);
+    } catch (error) {
+      finalRecord = { ...lock.record, status: ROTATION_ROLLED_BACK, failedAt: new Date().toISOString(), error: error.message };
+      throw error;
+    }
+    console.log(`AWS acknowledged key ${newKey.keyId}`);
+
+    // Onboarding must send the new key before the old one is deleted
+    try {
+      report.configuredKey = await updateConfiguredKey(newKey.credentials);
+    } catch (error) {
+      report.configuredKey = { updated: false, reason: error.message };
+    }
+    newKey.credentials = null;
+
+    let retireAfter = null;
+    let toRetire = [];
+    if (!report.configuredKey.updated && config.onboarding.serviceAccountKeyB64) {
+      // The next rotation replaces them again once the secret can be written
+      console.warn(`Previous keys of ${serviceAccountEmail} kept: onboarding still sends one of them (${report.configuredKey.reason})`);
+      report.retirement = { status: RETIREMENT_KEPT, keyIds: report.previousKeyIds, reason: report.configuredKey.reason };
+      toRetire = stillPending;
+      retireAfter = lock.record?.retireAfter || null;
+    } else if (config.secrets.cacheTtlSeconds > 0 && report.configuredKey.updated) {
+      retireAfter = new Date(Date.now() + config.secrets.cacheTtlSeconds * 1000).toISOString();
+      toRetire = report.previousKeyIds;
+      report.retirement = { status: RETIREMENT_SCHEDULED, keyIds: toRetire, retireAfter };
+      console.log(`Previous keys of ${serviceAccountEmail} will be retired by the first rotation run after ${retireAfter}`);
+    } else {
+      report.retired.push(...await retireKeys(remaining));
+    }
+
+    report.status = ROTATION_ROTATED;
+    finalRecord = {
+      status: ROTATION_COMPLETED,
+      lastRotatedAt: new Date().toISOString(),
+      lastKeyId: newKey.keyId,
+      correlationId: getCorrelationId(),
+      pendingRetirement: [...new Set([...report.retired.filter(result => !result.deleted).map(result => result.keyId), ...toRetire])],
+      retireAfter
+    };
+    return report;
+  } catch (error) {
+    throw error.details?.rotation ? error : withRotationReport(error, report);
+  } finally {
+    try {
+      await getStateStore().set(ROTATIONS_COLLECTION, serviceAccountEmail, { ...finalRecord, finishedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error(`Failed to release key rotation lock for ${serviceAccountEmail}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  ROTATION_ROTATED,
+  ROTATION_SKIPPED,
+  RETIREMENT_KEPT,
+  RETIREMENT_SCHEDULED,
+  listUserManagedKeys,
+  retireKeys,
+  rotateServiceAccountKey
+};
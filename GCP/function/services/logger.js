@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CORRELATION_ID_HEADER = 'x-correlation-id';
+
+const SEVERITY_BY_METHOD = {
+  debug: 'DEBUG',
+  log: 'INFO',
+  info: 'INFO',
+  warn: 'WARNING',
+  error: 'ERROR'
+};
+
+// Per-request logging context: { correlationId, traceId, spanId, labels }
+const logContextStorage = new AsyncLocalStorage();
+
+function getHeader(req, name) {
+  if (typeof req.get === 'function') {
+    return req.get(name) || null;
+  }
+  return req.headers?.[name] || null;
+}
+
+/**
+ * Derive trace and correlation IDs from the incoming request.
+ * Priority: traceparent > X-Cloud-Trace-Context > X-Correlation-Id > newly generated ID.
+ */
+function extractCorrelation(req) {
+  const traceparent = getHeader(req, 'traceparent');
+  const traceparentMatch = traceparent && traceparent.trim().match(/^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/i);
+  if (traceparentMatch) {
+    return { correlationId: traceparentMatch[1].toLowerCase(), traceId: traceparentMatch[1].toLowerCase(), spanId: traceparentMatch[2].toLowerCase(), source: 'traceparent' };
+  }
+
+  const cloudTrace = getHeader(req, 'x-cloud-trace-context');
+  const cloudTraceMatch = cloudTrace && cloudTrace.trim().match(/^([0-9a-f]{32})(?:\/(\d+))?/i);
+  if (cloudTraceMatch) {
+    const spanId = cloudTraceMatch[2] ? BigInt(cloudTraceMatch[2]).toString(16).padStart(16, '0').slice(-16) : null;
+    return { correlationId: cloudTraceMatch[1].toLowerCase(), traceId: cloudTraceMatch[1].toLowerCase(), spanId, source: 'x-cloud-trace-context' };
+  }
+
+  const correlationHeader = getHeader(req, CORRELATION_ID_HEADER);
+  if (correlationHeader && /^[A-Za-z0-9._-]{8,128}$/.test(correlationHeader.trim())) {
+    return { correlationId: correlationHeader.trim(), traceId: null, spanId: null, source: 'x-correlation-id' };
+  }
+
+  const generated = crypto.randomBytes(16).toString('hex');
+  return { correlationId: generated, traceId: generated, spanId: null, source: 'generated' };
+}
+
+/**
+ * Run fn with a logging context bound to this request. Logs emitted anywhere
+ * inside fn (including awaited service calls) carry its correlation ID and labels.
+ */
+function runWithRequestLogContext(req, fn) {
+  const correlation = extractCorrelation(req);
+  const context = {
+    correlationId: correlation.correlationId,
+    traceId: correlation.traceId,
+    spanId: correlation.spanId,
+    correlationSource: correlation.source,
+    labels: {}
+  };
+  return logContextStorage.run(context, fn);
+}
+
+/**
+ * Run fn in a child of the current logging context with its own labels, so concurrent work
+ * within one request (e.g. one task per project) can label its logs without affecting the others.
+ */
+function runWithLogLabels(labels, fn) {
+  const parent = getLogContext();
+  if (!parent) {
+    return fn();
+  }
+  // Traces stay in the project the request runs in, whatever projectId the child labels
+  const child = { ...parent, traceProjectId: getTraceProjectId(parent), labels: { ...parent.labels } };
+  return logContextStorage.run(child, () => {
+    setLogLabels(labels);
+    return fn();
+  });
+}
+
+function getLogContext() {
+  return logContextStorage.getStore() || null;
+}
+
+function getCorrelationId() {
+  return getLogContext()?.correlationId || null;
+}
+
+/**
+ * Add labels (e.g. companyId, projectId) to every subsequent log line of this request.
+ */
+function setLogLabels(labels) {
+  const context = getLogContext();
+  if (!context) {
+    return;
+  }
+  for (const [key, value] of Object.entries(labels)) {
+    if (value !== null && value !== undefined && value !== '') {
+      context.labels[key] = String(value);
+    }
+  }
+}
+
+/**
+ * Mark the onboarding step subsequent log lines belong to.
+ */
+function setLogStep(step) {
+  setLogLabels({ step });
+}
+
+// Project that trace IDs belong to when the request has not labelled one; set by installStructuredLogging
+let defaultTraceProjectId = null;
+
+function getTraceProjectId(context) {
+  return context.traceProjectId || context.labels.projectId || defaultTraceProjectId;
+}
+
+/**
+ * Build a Cloud Logging structured entry for one log call.
+ */
+function buildLogEntry(severity, args) {
+  const entry = {
+    severity,
+    message: util.format(...args),
+    time: new Date().toISOString()
+  };
+
+  const context = getLogContext();
+  if (context) {
+    entry.correlationId = context.correlationId;
+    entry['logging.googleapis.com/labels'] = { correlationId: context.correlationId, ...context.labels };
+
+    const traceProjectId = getTraceProjectId(context);
+    if (context.traceId && traceProjectId) {
+      entry['logging.googleapis.com/trace'] = `projects/${traceProjectId}/traces/${context.traceId}`;
+      if (context.spanId) {
+        entry['logging.googleapis.com/spanId'] = context.spanId;
+      }
+    }
+  }
+
+  return entry;
+}
+
+let structuredLoggingInstalled = false;
+
+/**
+ * Replace console methods with structured JSON output understood by Cloud Logging.
+ * format "text" (LOG_FORMAT=text) keeps plain console output (useful when running locally).
+ */
+function installStructuredLogging({ format = 'json', projectId = null } = {}) {
+  if (structuredLoggingInstalled || format === 'text') {
+    return;
+  }
+  structuredLoggingInstalled = true;
+  defaultTraceProjectId = projectId;
+
+  for (const [method, severity] of Object.entries(SEVERITY_BY_METHOD)) {
+    const stream = severity === 'ERROR' || severity === 'WARNING' ? process.stderr : process.stdout;
+    console[method] = (...args) => {
+      stream.write(JSON.stringify(buildLogEntry(severity, args)) + '\n');
+    };
+  }
+}
+
+/**
+ * Headers that propagate the correlation ID of the current request to downstream services.
+ */
+function getCorrelationHeaders() {
+  const context = getLogContext();
+  if (!context) {
+    return {};
+  }
+
+  const headers = { 'X-Correlation-Id': context.correlationId };
+  if (context.traceId) {
+    const spanId = context.spanId || crypto.randomBytes(8).toString('hex');
+    headers['traceparent'] = `00-${context.traceId}-${spanId}-01`;
+  }
+  return headers;
+}
+
+module.exports = {
+  CORRELATION_ID_HEADER,
+  runWithRequestLogContext,
+  runWithLogLabels,
+  getLogContext,
+  getCorrelationId,
+  getCorrelationHeaders,
+  setLogLabels,
+  setLogStep,
+  installStructuredLogging
+};
@@ -0,0 +1,61 @@
+const { listProjectsUnder } = require('./gcp-metadata');
+const { createOnboardingError } = require('./errors');
+const { getConfig } = require('./config');
+
+/**
+ * Projects a request asks to onboard besides the function's own: body.projectIds, or every active
+ * project under body.folderId / body.organizationId. Returns null for a single-project request,
+ * otherwise { source: { type, id }, projects: [{ projectId, projectNumber }] } where projectNumber
+ * is null for listed projects (it is looked up during discovery).
+ */
+async function resolveTargetProjects(requestBody) {
+  const { maxProjects } = getConfig().multiProject;
+
+  if (Array.isArray(requestBody.projectIds)) {
+    const projectIds = [...new Set(requestBody.projectIds)];
+    if (projectIds.length > maxProjects) {
+      throw createOnboardingError('INVALID_REQUEST', `At most ${maxProjects} projects can be onboarded in one request (MULTI_PROJECT_MAX_PROJECTS)`);
+    }
+    return {
+      source: { type: 'projectIds', id: null },
+      projects: projectIds.map(projectId => ({ projectId, projectNumber: null }))
+    };
+  }
+
+  const parent = requestBody.folderId
+    ? { type: 'folder', id: String(requestBody.folderId), name: `folders/${requestBody.folderId}` }
+    : requestBody.organizationId
+      ? { type: 'organization', id: String(requestBody.organizationId), name: `organizations/${requestBody.organizationId}` }
+      : null;
+  if (!parent) {
+    return null;
+  }
+
+  const projects = await listProjectsUnder(parent.name, { limit: maxProjects });
+  if (projects.length === 0) {
+    throw createOnboardingError('INVALID_REQUEST', `No active projects found under ${parent.name}, or the function cannot list them`);
+  }
+  return { source: { type: parent.type, id: parent.id }, projects };
+}
+
+/**
+ * Map items through an async fn with at most `limit` calls in flight; results keep the item order.
+ * fn is expected to report failures in its result rather than throw.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  resolveTargetProjects,
+  mapWithConcurrency
+};
@@ -0,0 +1,249 @@
+const axios = require('axios');
+const { GoogleAuth } = require('google-auth-library');
+const { extractWorkloadIdentityInfo } = require('./gcp-metadata');
+const { listUserManagedKeys, retireKeys } = require('./key-rotation');
+const { getCognitoAccessToken } = require('./cognito');
+const { sendToAwsEndpoint } = require('./aws-requests');
+const { getLifecycleEndpointPath } = require('./aws-endpoints');
+const { getCredentialMode } = require('./credential-config');
+const { validateOutgoingPayload, PAYLOAD_SCHEMA_VERSION } = require('./schema-validation');
+const { getCorrelationId } = require('./logger');
+const { getConfig } = require('./config');
+const { createOnboardingError, toOnboardingError, fromGoogleApiError } = require('./errors');
+
+const IAM_API = 'https://iam.googleapis.com/v1';
+
+const RESULT_DONE = 'done';
+const RESULT_PLANNED = 'planned';
+const RESULT_SKIPPED = 'skipped';
+const RESULT_FAILED = 'failed';
+
+// Service account roles main.tf grants to the AWS workload identity principals
+const FEDERATED_ROLES = ['roles/iam.workloadIdentityUser', 'roles/iam.serviceAccountTokenCreator'];
+
+function isFederatedMember(member) {
+  return /^principal(Set)?:\/\/iam\.googleapis\.com\//.test(member);
+}
+
+async function postIam(resourceName, body) {
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+  const client = await auth.getClient();
+  const accessToken = await client.getAccessToken();
+  const response = await axios.post(`${IAM_API}/${resourceName}`, body, {
+    headers: {
+      'Authorization': `Bearer ${accessToken.token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+function failedResult(result, error) {
+  const onboardingError = toOnboardingError(error);
+  console.error(`Offboarding ${result.type} ${result.resource} failed (${onboardingError.code}):`, onboardingError.message);
+  return { ...result, status: RESULT_FAILED, error: { code: onboardingError.code, message: onboardingError.message } };
+}
+
+/**
+ * Tell AWS the project is leaving, so it stops assessments before the credentials are revoked.
+ * Posted to the lifecycle path, not the run-assessment path.
+ */
+async function notifyAws({ projectId, serviceAccountEmail, companyId, workloadIdentity, dryRun }) {
+  const result = { type: 'aws-registration', resource: projectId, action: 'deregister' };
+  const payload = {
+    detail: {
+      schemaVersion: PAYLOAD_SCHEMA_VERSION,
+      vendor: 'GCP',
+      operation: 'offboard',
+      correlationId: getCorrelationId(),
+      projectId,
+      projectNumber: workloadIdentity.projectNumber,
+      serviceAccountName: serviceAccountEmail,
+      poolId: workloadIdentity.poolId,
+      identityName: workloadIdentity.identityName,
+      providerResourceName: workloadIdentity.providerResourceName,
+      timestamp: new Date().toISOString(),
+      credentialMode: getCredentialMode(),
+      ...(companyId && { companyId })
+    }
+  };
+
+  try {
+    const payloadValidation = validateOutgoingPayload(payload);
+    if (!payloadValidation.valid) {
+      throw createOnboardingError('PAYLOAD_SCHEMA_INVALID', `Offboarding payload does not match schema version ${PAYLOAD_SCHEMA_VERSION}`, {
+        details: { errors: payloadValidation.errors }
+      });
+    }
+    const path = getLifecycleEndpointPath(getConfig().aws);
+    if (dryRun) {
+      return { ...result, status: RESULT_PLANNED, path, payload };
+    }
+
+    const delivery = await sendToAwsEndpoint(payload, await getCognitoAccessToken(), { path });
+    if (!delivery.success) {
+      throw delivery.failure;
+    }
+    return { ...result, status: RESULT_DONE, endpoint: delivery.endpoint };
+  } catch (error) {
+    return failedResult(result, error);
+  }
+}
+
+/**
+ * Disable and delete every user-managed key of the service account, one result per key.
+ */
+async function revokeKeys(serviceAccountEmail, dryRun) {
+  const result = { type: 'service-account-key', action: 'delete' };
+  let keys;
+  try {
+    keys = await listUserManagedKeys(serviceAccountEmail);
+  } catch (error) {
+    return [failedResult({ ...result, resource: `${serviceAccountEmail}/keys` }, error)];
+  }
+  if (keys.length === 0) {
+    return [{ ...result, resource: `${serviceAccountEmail}/keys`, status: RESULT_SKIPPED, detail: 'No user-managed keys' }];
+  }
+  if (dryRun) {
+    return keys.map(key => ({ ...result, resource: key.name, status: RESULT_PLANNED, detail: { createdAt: key.createdAt, disabled: key.disabled } }));
+  }
+
+  const retired = await retireKeys(keys);
+  return keys.map((key, index) => {
+    const { deleted, disabled, error } = retired[index];
+    if (deleted) {
+      return { ...result, resource: key.name, status: RESULT_DONE };
+    }
+    // A disabled key no longer grants access, so that much of the revocation is reported
+    return { ...result, resource: key.name, status: RESULT_FAILED, disabled, error: { code: 'IAM_API_FAILED', message: error } };
+  });
+}
+
+/**
+ * Remove the workload identity principals from the federation roles on the service account,
+ * one result per role. Other members of those roles (people, other service accounts) are kept.
+ */
+async function removeFederatedBindings(serviceAccountEmail, dryRun) {
+  const resource = `projects/-/serviceAccounts/${serviceAccountEmail}`;
+  const results = FEDERATED_ROLES.map(role => ({ type: 'iam-binding', resource: serviceAccountEmail, role, action: 'remove' }));
+
+  let policy;
+  try {
+    // Version 3 returns conditional bindings intact, so writing the policy back does not drop them
+    policy = await postIam(`${resource}:getIamPolicy`, { options: { requestedPolicyVersion: 3 } });
+  } catch (error) {
+    const apiError = fromGoogleApiError(error, `Failed to read the IAM policy of ${serviceAccountEmail}`);
+    return results.map(result => failedResult(result, apiError));
+  }
+
+  const removed = {};
+  const bindings = (policy.bindings || []).map(binding => {
+    if (!FEDERATED_ROLES.includes(binding.role)) {
+      return binding;
+    }
+    const members = binding.members || [];
+    removed[binding.role] = [...(removed[binding.role] || []), ...members.filter(isFederatedMember)];
+    return { ...binding, members: members.filter(member => !isFederatedMember(member)) };
+  }).filter(binding => (binding.members || []).length > 0);
+
+  const withMembers = results.map(result => ({ ...result, members: removed[result.role] || [] }));
+  const pending = withMembers.filter(result => result.members.length > 0);
+  const unbound = withMembers
+    .filter(result => result.members.length === 0)
+    .map(result => ({ ...result, status: RESULT_SKIPPED, detail: 'No workload identity principals are bound' }));
+
+  if (pending.length === 0 || dryRun) {
+    return [...pending.map(result => ({ ...result, status: RESULT_PLANNED })), ...unbound];
+  }
+
+  try {
+    // The etag from getIamPolicy makes a concurrent policy change fail instead of being overwritten
+    await postIam(`${resource}:setIamPolicy`, { policy: { ...policy, version: 3, bindings, etag: policy.etag } });
+    console.log(`Removed workload identity bindings from ${serviceAccountEmail}: ${pending.map(result => result.role).join(', ')}`);
+    return [...pending.map(result => ({ ...result, status: RESULT_DONE })), ...unbound];
+  } catch (error) {
+    const apiError = fromGoogleApiError(error, `Failed to update the IAM policy of ${serviceAccountEmail}`);
+    return [...pending.map(result => failedResult(result, apiError)), ...unbound];
+  }
+}
+
+function getPoolName(projectId, workloadIdentity) {
+  if (workloadIdentity.providerResourceName) {
+    return workloadIdentity.providerResourceName.split('/providers/')[0];
+  }
+  return workloadIdentity.poolId
+    ? `projects/${projectId}/locations/global/workloadIdentityPools/${workloadIdentity.poolId}`
+    : null;
+}
+
+/**
+ * Disable (not delete) the discovered workload identity pool; a disabled pool can be re-enabled
+ * and keeps its providers, but exchanges no more AWS tokens.
+ */
+async function disableWorkloadIdentityPool(projectId, workloadIdentity, { requested, dryRun }) {
+  const poolName = getPoolName(projectId, workloadIdentity);
+  const result = { type: 'workload-identity-pool', resource: poolName, action: 'disable' };
+  if (!requested) {
+    return { ...result, status: RESULT_SKIPPED, detail: 'Not requested (set disablePool to disable the pool)' };
+  }
+  if (!poolName) {
+    return { ...result, status: RESULT_SKIPPED, detail: 'No active workload identity pool was discovered' };
+  }
+  if (dryRun) {
+    return { ...result, status: RESULT_PLANNED };
+  }
+
+  try {
+    const { v1beta } = require('@google-cloud/iam');
+    const poolsClient = new v1beta.WorkloadIdentityPoolsClient();
+    const [operation] = await poolsClient.updateWorkloadIdentityPool({
+      workloadIdentityPool: { name: poolName, disabled: true },
+      updateMask: { paths: ['disabled'] }
+    });
+    await operation.promise();
+    console.log(`Disabled workload identity pool ${poolName}`);
+    return { ...result, status: RESULT_DONE };
+  } catch (error) {
+    return failedResult(result, fromGoogleApiError(error, `Failed to disable workload identity pool ${poolName}`));
+  }
+}
+
+/**
+ * Offboard a project: notify AWS through the Cognito-authenticated endpoint, delete the onboarding
+ * service account's keys, remove its workload identity bindings and, when `disablePool` is set,
+ * disable the discovered pool. Every step runs even if an earlier one failed, so a leaving customer's
+ * access is revoked as far as possible. With `dryRun` nothing is changed and results are "planned".
+ * Resolves to { success, dryRun, projectId, serviceAccount, resources } with one result per resource.
+ */
+async function offboardProject({ projectId, serviceAccountEmail, companyId = null, disablePool = false, dryRun = false }) {
+  const resources = [];
+
+  // Keys and bindings are revoked without the pool, so a failed discovery does not stop them
+  let workloadIdentity = { poolId: null, identityName: null, providerResourceName: null, projectNumber: null };
+  try {
+    workloadIdentity = await extractWorkloadIdentityInfo(projectId);
+  } catch (error) {
+    resources.push(failedResult({ type: 'workload-identity-pool', resource: `projects/${projectId}/locations/global`, action: 'discover' }, error));
+  }
+
+  resources.push(await notifyAws({ projectId, serviceAccountEmail, companyId, workloadIdentity, dryRun }));
+  resources.push(...await revokeKeys(serviceAccountEmail, dryRun));
+  resources.push(...await removeFederatedBindings(serviceAccountEmail, dryRun));
+  resources.push(await disableWorkloadIdentityPool(projectId, workloadIdentity, { requested: disablePool, dryRun }));
+
+  return {
+    success: resources.every(result => result.status !== RESULT_FAILED),
+    dryRun,
+    projectId,
+    serviceAccount: serviceAccountEmail,
+    resources
+  };
+}
+
+module.exports = {
+  removeFederatedBindings,
+  offboardProject
+};
@@ -0,0 +1,81 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getConfig } = require('./config');
+
+/**
+ * Outbox backend that keeps one JSON file per entry in a local directory.
+ * Meant for tests and local runs; /tmp on Cloud Functions does not survive instance shutdown.
+ */
+function createFileOutboxStore({ directory = getConfig().outbox.fileDir } = {}) {
+  const deadLetterDirectory = path.join(directory, 'dead-letter');
+
+  const entryPath = (id, dir = directory) => path.join(dir, `${id}.json`);
+
+  async function writeEntry(filePath, entry) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash never leaves a half-written entry behind
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  return {
+    name: 'file',
+
+    async enqueue(entry) {
+      await writeEntry(entryPath(entry.id), entry);
+      return entry.id;
+    },
+
+    /**
+     * Entries whose nextAttemptAt has passed, oldest first.
+     */
+    async claimDue({ limit, now = Date.now() }) {
+      let files;
+      try {
+        files = await fs.readdir(directory);
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+        throw err;
+      }
+
+      const entries = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(directory, file);
+        try {
+          const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          if (Date.parse(entry.nextAttemptAt) <= now) {
+            entries.push({ entry, handle: filePath });
+          }
+        } catch (err) {
+          console.warn(`Skipping unreadable outbox entry ${file}:`, err.message);
+        }
+      }
+
+      entries.sort((a, b) => Date.parse(a.entry.createdAt) - Date.parse(b.entry.createdAt));
+      return entries.slice(0, limit);
+    },
+
+    // Nothing is locked while an entry is claimed
+    async release() {},
+
+    async markDelivered(handle) {
+      await fs.rm(handle, { force: true });
+    },
+
+    async reschedule(handle, entry) {
+      await writeEntry(handle, entry);
+    },
+
+    async deadLetter(handle, entry) {
+      await writeEntry(entryPath(entry.id, deadLetterDirectory), entry);
+      await fs.rm(handle, { force: true });
+    }
+  };
+}
+
+module.exports = {
+  createFileOutboxStore
+};
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { GoogleAuth } = require('google-auth-library');
+const { getConfig } = require('./config');
+
+const PUBSUB_API = 'https://pubsub.googleapis.com/v1';
+// Pub/Sub caps ack deadline extensions at 600 seconds
+const MAX_ACK_DEADLINE_SECONDS = 600;
+
+/**
+ * Outbox backend on Pub/Sub through its REST API.
+ * Entries are published to `topic` and pulled back from `subscription` on replay;
+ * a rescheduled entry is republished with its new state and the old message acknowledged.
+ * Resource names are full paths: projects/{project}/topics/{topic}, projects/{project}/subscriptions/{sub}.
+ */
+function createPubSubOutboxStore({
+  topic = getConfig().outbox.pubsubTopic,
+  subscription = getConfig().outbox.pubsubSubscription,
+  deadLetterTopic = getConfig().outbox.pubsubDeadLetterTopic
+} = {}) {
+  if (!topic) {
+    throw new Error('Pub/Sub outbox requires OUTBOX_PUBSUB_TOPIC');
+  }
+
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/pubsub']
+  });
+
+  async function callPubSub(resource, method, body) {
+    const client = await auth.getClient();
+    const accessToken = await client.getAccessToken();
+    const response = await axios.post(`${PUBSUB_API}/${resource}:${method}`, body, {
+      headers: {
+        'Authorization': `Bearer ${accessToken.token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  async function publish(topicName, entry) {
+    const result = await callPubSub(topicName, 'publish', {
+      messages: [{
+        data: Buffer.from(JSON.stringify(entry), 'utf8').toString('base64'),
+        attributes: {
+          outboxId: entry.id,
+          attempts: String(entry.attempts)
+        }
+      }]
+    });
+    return result.messageIds?.[0] || null;
+  }
+
+  function requireSubscription() {
+    if (!subscription) {
+      throw new Error('Replaying the Pub/Sub outbox requires OUTBOX_PUBSUB_SUBSCRIPTION');
+    }
+  }
+
+  return {
+    name: 'pubsub',
+
+    async enqueue(entry) {
+      const messageId = await publish(topic, entry);
+      console.log(`Outbox entry ${entry.id} published to ${topic} as message ${messageId}`);
+      return entry.id;
+    },
+
+    /**
+     * Pull messages and return the ones that are due. Messages that are not due yet
+     * have their ack deadline extended so Pub/Sub redelivers them later.
+     */
+    async claimDue({ limit, now = Date.now() }) {
+      requireSubscription();
+      const result = await callPubSub(subscription, 'pull', { maxMessages: limit });
+      const due = [];
+
+      for (const received of result.receivedMessages || []) {
+        let entry;
+        try {
+          entry = JSON.parse(Buffer.from(received.message.data, 'base64').toString('utf8'));
+        } catch (err) {
+          console.error(`Dropping unreadable outbox message ${received.message.messageId}:`, err.message);
+          await callPubSub(subscription, 'acknowledge', { ackIds: [received.ackId] });
+          continue;
+        }
+
+        const waitMs = Date.parse(entry.nextAttemptAt) - now;
+        if (waitMs > 0) {
+          await callPubSub(subscription, 'modifyAckDeadline', {
+            ackIds: [received.ackId],
+            ackDeadlineSeconds: Math.min(MAX_ACK_DEADLINE_SECONDS, Math.ceil(waitMs / 1000))
+          });
+          continue;
+        }
+
+        due.push({ entry, handle: received.ackId });
+      }
+
+      return due;
+    },
+
+    // Make a claimed message available again right away instead of after its ack deadline
+    async release(handle) {
+      await callPubSub(subscription, 'modifyAckDeadline', { ackIds: [handle], ackDeadlineSeconds: 0 });
+    },
+
+    async markDelivered(handle) {
+      await callPubSub(subscription, 'acknowledge', { ackIds: [handle] });
+    },
+
+    async reschedule(handle, entry) {
+      await publish(topic, entry);
+      await callPubSub(subscription, 'acknowledge', { ackIds: [handle] });
+    },
+
+    async deadLetter(handle, entry) {
+      if (deadLetterTopic) {
+        await publish(deadLetterTopic, entry);
+      } else {
+        console.error(`No OUTBOX_PUBSUB_DEAD_LETTER_TOPIC configured; dropping dead-lettered outbox entry ${entry.id}`);
+      }
+      await callPubSub(subscription, 'acknowledge', { ackIds: [handle] });
+    }
+  };
+}
+
+module.exports = {
+  createPubSubOutboxStore
+};
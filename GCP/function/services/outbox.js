@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { createFileOutboxStore } = require('./outbox-file-store');
+const { createPubSubOutboxStore } = require('./outbox-pubsub-store');
+const { getCognitoAccessToken } = require('./cognito');
+const { sendToAwsEndpoint } = require('./aws-requests');
+const { getConfig } = require('./config');
+const { validateOutgoingPayload } = require('./schema-validation');
+const { completeSubmission } = require('./idempotency');
+const { redact } = require('./redaction');
+
+const ENTRY_STATUS_PENDING = 'pending';
+const ENTRY_STATUS_DEAD_LETTER = 'dead-letter';
+
+// Backend factories by name; OUTBOX_BACKEND selects one
+const outboxBackends = {
+  file: createFileOutboxStore,
+  pubsub: createPubSubOutboxStore
+};
+
+let outboxStore = null;
+
+/**
+ * Register an outbox backend factory, replacing the built-in one of the same name.
+ * OUTBOX_BACKEND only accepts the names listed in config.js.
+ */
+function registerOutboxBackend(name, factory) {
+  outboxBackends[name] = factory;
+}
+
+/**
+ * The configured outbox store. OUTBOX_BACKEND defaults to "pubsub" when
+ * OUTBOX_PUBSUB_TOPIC is set and to "file" otherwise.
+ */
+function getOutboxStore() {
+  if (!outboxStore) {
+    const { backend } = getConfig().outbox;
+    const factory = outboxBackends[backend];
+    if (!factory) {
+      throw new Error(`Unknown OUTBOX_BACKEND "${backend}". Expected one of: ${Object.keys(outboxBackends).join(', ')}`);
+    }
+    outboxStore = factory();
+    console.log(`Using ${outboxStore.name} outbox backend`);
+  }
+  return outboxStore;
+}
+
+/**
+ * Replace the outbox store (e.g. with a file store in a temporary directory).
+ */
+function setOutboxStore(store) {
+  outboxStore = store;
+}
+
+function getReplayPolicy() {
+  const { maxAttempts, retryBaseDelayMs, retryMaxDelayMs } = getConfig().outbox;
+  return {
+    maxAttempts,
+    baseDelayMs: retryBaseDelayMs,
+    maxDelayMs: retryMaxDelayMs
+  };
+}
+
+function getReplayDelay(attempts, policy) {
+  return Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+function summarizeFailure(result) {
+  const error = result.lastError || result.error;
+  return {
+    code: result.failure?.code || null,
+    message: error?.message || 'Failed to send to AWS endpoint',
+    statusCode: error?.response?.status || error?.statusCode || null,
+    endpoint: result.endpoint || null,
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Persist a payload that could not be delivered so it can be replayed later.
+ * The submission that just failed counts as the first attempt. `onboardingId` is the
+ * idempotency key of the submission, completed once a replay delivers it.
+ */
+async function enqueueFailedSubmission(payload, result, { onboardingId = null } = {}) {
+  const policy = getReplayPolicy();
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    status: ENTRY_STATUS_PENDING,
+    onboardingId,
+    payload,
+    attempts: 1,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now + getReplayDelay(1, policy)).toISOString(),
+    lastError: summarizeFailure(result)
+  };
+
+  const store = getOutboxStore();
+  await store.enqueue(entry);
+  console.log(`Queued failed AWS submission in outbox as ${entry.id}; next attempt at ${entry.nextAttemptAt}`);
+  return { outboxId: entry.id, nextAttemptAt: entry.nextAttemptAt, backend: store.name };
+}
+
+/**
+ * Answer later duplicates of a replayed submission, and GET /status, with the delivery.
+ * The delivery already happened, so a state store failure is logged and not raised.
+ */
+async function recordDelivery(entry, result, attempts) {
+  if (!entry.onboardingId) {
+    return;
+  }
+  try {
+    await completeSubmission(entry.onboardingId, {
+      statusCode: 200,
+      body: redact({
+        success: true,
+        onboardingId: entry.onboardingId,
+        message: `Data sent successfully from the outbox on attempt ${attempts}`,
+        data: entry.payload,
+        awsResponse: {
+          status: result.response.status,
+          statusText: result.response.statusText,
+          endpoint: result.endpoint,
+          region: result.region,
+          attempts: result.attempts
+        }
+      })
+    });
+  } catch (stateError) {
+    console.error(`Failed to record delivery of outbox entry ${entry.id} for idempotency:`, stateError.message);
+  }
+}
+
+/**
+ * Redeliver due outbox entries. Failed entries are rescheduled with exponential backoff
+ * and dead-lettered once they reach OUTBOX_MAX_ATTEMPTS; entries that no longer match their
+ * payload schema are dead-lettered right away. Entries are sent one at a time, and none is
+ * started once OUTBOX_REPLAY_DEADLINE_MS leaves less than an AWS retry deadline: those are
+ * released for the next run and reported as deferred. Returns a per-entry report.
+ */
+async function replayOutbox({ limit = getConfig().outbox.replayBatchSize } = {}) {
+  const config = getConfig();
+  const deadline = Date.now() + config.outbox.replayDeadlineMs;
+  const store = getOutboxStore();
+  const policy = getReplayPolicy();
+  const due = await store.claimDue({ limit });
+  console.log(`Outbox replay: ${due.length} due entr${due.length === 1 ? 'y' : 'ies'}`);
+
+  const results = [];
+  for (const { entry, handle } of due) {
+    if (Date.now() + config.aws.retry.deadlineMs > deadline) {
+      await store.release(handle);
+      results.push({ outboxId: entry.id, status: 'deferred', attempts: entry.attempts });
+      continue;
+    }
+
+    const attempts = entry.attempts + 1;
+    // Queued before an upgrade or edited at rest: never send what breaks the published contract
+    const validation = validateOutgoingPayload(entry.payload);
+    let result;
+    if (!validation.valid) {
+      const error = new Error(`Queued payload does not match schema version ${entry.payload?.detail?.schemaVersion}`);
+      result = { success: false, failure: { code: 'PAYLOAD_SCHEMA_INVALID' }, lastError: error };
+    } else {
+      try {
+        const cognitoAuth = await getCognitoAccessToken();
+        result = await sendToAwsEndpoint(entry.payload, cognitoAuth);
+      } catch (err) {
+        result = { success: false, lastError: err };
+      }
+    }
+
+    if (result.success) {
+      await store.markDelivered(handle);
+      await recordDelivery(entry, result, attempts);
+      console.log(`Outbox entry ${entry.id} delivered on attempt ${attempts}`);
+      results.push({ outboxId: entry.id, status: 'delivered', attempts, endpoint: result.endpoint });
+      continue;
+    }
+
+    const updated = {
+      ...entry,
+      attempts,
+      lastError: summarizeFailure(result),
+      ...(!validation.valid && { schemaErrors: validation.errors })
+    };
+
+    if (!validation.valid || attempts >= policy.maxAttempts) {
+      updated.status = ENTRY_STATUS_DEAD_LETTER;
+      updated.deadLetteredAt = new Date().toISOString();
+      await store.deadLetter(handle, updated);
+      console.error(`Outbox entry ${entry.id} dead-lettered after ${attempts} attempts:`, updated.lastError.message);
+      results.push({ outboxId: entry.id, status: 'dead-lettered', attempts, lastError: updated.lastError });
+      continue;
+    }
+
+    updated.nextAttemptAt = new Date(Date.now() + getReplayDelay(attempts, policy)).toISOString();
+    await store.reschedule(handle, updated);
+    console.warn(`Outbox entry ${entry.id} failed attempt ${attempts}; next attempt at ${updated.nextAttemptAt}`);
+    results.push({ outboxId: entry.id, status: 'rescheduled', attempts, nextAttemptAt: updated.nextAttemptAt, lastError: updated.lastError });
+  }
+
+  const deferred = results.filter(result => result.status === 'deferred').length;
+  if (deferred > 0) {
+    console.warn(`Outbox replay deadline reached; ${deferred} entr${deferred === 1 ? 'y' : 'ies'} left for the next run`);
+  }
+  return { processed: results.length - deferred, deferred, results };
+}
+
+module.exports = {
+  registerOutboxBackend,
+  getOutboxStore,
+  setOutboxStore,
+  enqueueFailedSubmission,
+  replayOutbox
+};
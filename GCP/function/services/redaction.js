@@ -0,0 +1,181 @@
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// Field names whose values are always secret, compared case-insensitively with "-" and "_" ignored
+const DEFAULT_SECRET_FIELD_NAMES = [
+  'token',
+  'accessToken',
+  'idToken',
+  'refreshToken',
+  'authToken',
+  'authorization',
+  'clientSecret',
+  'secret',
+  'password',
+  'privateKey',
+  'xApiKey',
+  'apiKey',
+  'rawKeyBase64',
+  'cookie',
+  'setCookie',
+  'signature',
+  'xArchmateSignature',
+  'tokenPreview',
+  'tokenStartsWith',
+  'authTokenHeaderPreview',
+  'authorizationHeaderPreview'
+];
+
+// Value patterns redacted wherever they appear inside strings
+const DEFAULT_VALUE_PATTERNS = [
+  { name: 'pem', pattern: /-----BEGIN [A-Z0-9 ]+-----[\s\S]*?(?:-----END [A-Z0-9 ]+-----|$)/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{6,}(?:\.[A-Za-z0-9_-]*){0,2}/g },
+  { name: 'bearer', pattern: /\b((?:Bearer|Basic)\s+)[A-Za-z0-9._~+\/=-]{8,}/g },
+  { name: 'client_secret', pattern: /(client_secret=)[^&\s]+/g }
+];
+
+// Patterns whose first capture group is a non-secret prefix kept in the output
+const DEFAULT_PREFIXED_PATTERNS = new Set(['bearer', 'client_secret']);
+
+const extraFieldNames = [];
+const extraValuePatterns = [];
+let debugMode = false;
+
+function normalizeFieldName(name) {
+  return String(name).replace(/[-_\s]/g, '').toLowerCase();
+}
+
+function getSecretFieldNames() {
+  return new Set([...DEFAULT_SECRET_FIELD_NAMES, ...extraFieldNames].map(normalizeFieldName));
+}
+
+/**
+ * Debug mode keeps a short prefix and the length of redacted values.
+ * It is opt-in only through REDACTION_DEBUG=true and never reveals full values.
+ */
+function isDebugMode() {
+  return debugMode;
+}
+
+function mask(value) {
+  if (!isDebugMode() || typeof value !== 'string') {
+    return REDACTED;
+  }
+  return `${REDACTED}(${value.substring(0, 4)}…, length ${value.length})`;
+}
+
+/**
+ * Register additional redaction rules: field names and/or value regular expressions.
+ */
+function addRedactionRules({ fieldNames = [], valuePatterns = [] } = {}) {
+  extraFieldNames.push(...fieldNames);
+  for (const pattern of valuePatterns) {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'g');
+    extraValuePatterns.push({ name: 'custom', pattern: regex.global ? regex : new RegExp(regex.source, regex.flags + 'g') });
+  }
+}
+
+/**
+ * Redact secret-shaped substrings (PEM blocks, JWTs, bearer credentials) inside a string.
+ */
+function redactString(value) {
+  let result = value;
+  for (const { name, pattern } of [...DEFAULT_VALUE_PATTERNS, ...extraValuePatterns]) {
+    pattern.lastIndex = 0;
+    result = result.replace(pattern, (match, prefix) => {
+      // Patterns with a capture group keep the prefix (e.g. "Bearer ") and mask the rest
+      if (typeof prefix === 'string' && DEFAULT_PREFIXED_PATTERNS.has(name)) {
+        return `${prefix}${mask(match.substring(prefix.length))}`;
+      }
+      return mask(match);
+    });
+  }
+  return result;
+}
+
+/**
+ * Return a redacted copy of any value: strings, errors, arrays and nested objects.
+ * Secret field names are masked entirely; other strings are scanned for secret-shaped values.
+ */
+function redact(value, secretFieldNames = getSecretFieldNames(), depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer length ${value.length}]`;
+  }
+  if (value instanceof Error) {
+    return redactString(value.stack || `${value.name}: ${value.message}`);
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secretFieldNames, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (typeof fieldValue === 'function') {
+      continue;
+    }
+    if (secretFieldNames.has(normalizeFieldName(key)) && fieldValue !== null && fieldValue !== undefined && typeof fieldValue !== 'boolean') {
+      result[key] = mask(typeof fieldValue === 'string' ? fieldValue : JSON.stringify(fieldValue));
+      continue;
+    }
+    result[key] = redact(fieldValue, secretFieldNames, depth + 1, seen);
+  }
+  return result;
+}
+
+let consoleRedactionInstalled = false;
+
+/**
+ * Route every console log call through the redactor. Safe to call more than once.
+ * `fieldNames` (REDACTION_FIELD_NAMES) extends the secret field names; `debug` (REDACTION_DEBUG) enables debug masking.
+ */
+function installConsoleRedaction({ fieldNames = [], debug = false } = {}) {
+  if (consoleRedactionInstalled) {
+    return;
+  }
+  consoleRedactionInstalled = true;
+  addRedactionRules({ fieldNames });
+  debugMode = debug;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const secretFieldNames = getSecretFieldNames();
+      original(...args.map(arg => redact(arg, secretFieldNames)));
+    };
+  }
+}
+
+/**
+ * Redact every JSON body sent through this response object.
+ */
+function applyResponseRedaction(res) {
+  const originalJson = res.json.bind(res);
+  res.json = body => originalJson(redact(body));
+  return res;
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  redactString,
+  addRedactionRules,
+  installConsoleRedaction,
+  applyResponseRedaction
+};
@@ -0,0 +1,162 @@
+const { getConfig } = require('./config');
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half-open';
+
+// Circuit state per endpoint, kept at module level so it persists across warm invocations
+const circuits = new Map();
+
+/**
+ * Retry policy for AWS submissions (AWS_RETRY_* and AWS_REQUEST_TIMEOUT_MS).
+ */
+function getRetryPolicy() {
+  return { ...getConfig().aws.retry };
+}
+
+function getCircuitPolicy() {
+  return { ...getConfig().aws.circuit };
+}
+
+/**
+ * Transient failures worth retrying: throttling, gateway/server errors and timeouts.
+ */
+function isRetryableError(error) {
+  const status = error?.response?.status;
+  if (status) {
+    return RETRYABLE_STATUS_CODES.includes(status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) {
+    return Math.max(0, date - now);
+  }
+  return null;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter,
+ * or the server's Retry-After when it asks for longer.
+ */
+function computeRetryDelay(attempt, policy, error) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  const jittered = Math.floor(Math.random() * exponential);
+  const retryAfterMs = parseRetryAfter(error?.response?.headers?.['retry-after']);
+  return retryAfterMs !== null ? Math.max(jittered, retryAfterMs) : jittered;
+}
+
+function getCircuit(key) {
+  if (!circuits.has(key)) {
+    circuits.set(key, { state: CIRCUIT_CLOSED, consecutiveFailures: 0, openedAt: null, trialStartedAt: null });
+  }
+  return circuits.get(key);
+}
+
+/**
+ * Whether a request to this endpoint may be attempted. An open circuit moves to
+ * half-open after the reset timeout and lets a single trial request through; every other
+ * request is rejected until the trial settles with recordSuccess or recordFailure. A trial
+ * that never settles (e.g. a failure that is not counted) gives way to a new one once it
+ * has outlived the request timeout.
+ */
+function canAttempt(key, now = Date.now()) {
+  const circuit = getCircuit(key);
+  if (circuit.state === CIRCUIT_OPEN) {
+    if (now - circuit.openedAt < getCircuitPolicy().resetTimeoutMs) {
+      return false;
+    }
+    circuit.state = CIRCUIT_HALF_OPEN;
+    circuit.trialStartedAt = now;
+    console.log(`Circuit for ${key} is half-open; allowing a trial request`);
+    return true;
+  }
+  if (circuit.state === CIRCUIT_HALF_OPEN) {
+    if (now - circuit.trialStartedAt < getRetryPolicy().requestTimeoutMs) {
+      return false;
+    }
+    circuit.trialStartedAt = now;
+    console.log(`Trial request for ${key} did not settle; allowing another`);
+    return true;
+  }
+  return true;
+}
+
+function recordSuccess(key) {
+  const circuit = getCircuit(key);
+  if (circuit.state !== CIRCUIT_CLOSED) {
+    console.log(`Circuit for ${key} closed after a successful request`);
+  }
+  circuit.state = CIRCUIT_CLOSED;
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.trialStartedAt = null;
+}
+
+/**
+ * Count a transient failure; opens the circuit once the threshold is reached
+ * or immediately when a half-open trial request fails.
+ */
+function recordFailure(key, now = Date.now()) {
+  const circuit = getCircuit(key);
+  circuit.consecutiveFailures += 1;
+  if (circuit.state === CIRCUIT_HALF_OPEN || circuit.consecutiveFailures >= getCircuitPolicy().failureThreshold) {
+    if (circuit.state !== CIRCUIT_OPEN) {
+      console.warn(`Circuit for ${key} opened after ${circuit.consecutiveFailures} consecutive failure(s)`);
+    }
+    circuit.state = CIRCUIT_OPEN;
+    circuit.openedAt = now;
+    circuit.trialStartedAt = null;
+  }
+}
+
+function getCircuitState(key) {
+  const circuit = getCircuit(key);
+  return {
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+  };
+}
+
+/**
+ * Forget every circuit, e.g. between tests.
+ */
+function resetCircuits() {
+  circuits.clear();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  CIRCUIT_CLOSED,
+  CIRCUIT_OPEN,
+  CIRCUIT_HALF_OPEN,
+  getRetryPolicy,
+  isRetryableError,
+  parseRetryAfter,
+  computeRetryDelay,
+  canAttempt,
+  recordSuccess,
+  recordFailure,
+  getCircuitState,
+  resetCircuits,
+  sleep
+};
@@ -0,0 +1,130 @@
+const Ajv = require('ajv');
+const ONBOARDING_REQUEST_SCHEMA = require('../schemas/onboarding-request.schema.json');
+const ONBOARDING_PAYLOAD_SCHEMA_V1 = require('../schemas/onboarding-payload.v1.schema.json');
+
+// Version written to detail.schemaVersion.
+// Compatibility policy: a published schema file never changes. Every change to the payload, even an
+// added optional field, ships as a new schema file and version together with the code that sends it.
+// Older versions stay listed so payloads queued in the outbox before an upgrade still validate.
+const PAYLOAD_SCHEMA_VERSION = '6';
+
+const PAYLOAD_SCHEMAS = {
+  '1': ONBOARDING_PAYLOAD_SCHEMA_V1,
+  '2': require('../schemas/onboarding-payload.v2.schema.json'),
+  '3': require('../schemas/onboarding-payload.v3.schema.json'),
+  '4': require('../schemas/onboarding-payload.v4.schema.json'),
+  '5': require('../schemas/onboarding-payload.v5.schema.json'),
+  '6': require('../schemas/onboarding-payload.v6.schema.json')
+};
+
+// Union types (e.g. ["string", "null"]) are part of the published schemas
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateRequestSchema = ajv.compile(ONBOARDING_REQUEST_SCHEMA);
+const payloadValidators = Object.fromEntries(
+  Object.entries(PAYLOAD_SCHEMAS).map(([version, schema]) => [version, ajv.compile(schema)])
+);
+
+/**
+ * Turn Ajv errors into { field, message } pairs with dotted field paths,
+ * e.g. "body.companyId" or "detail.serviceAccountKey".
+ * A failed top-level anyOf in the request schema only means companyId is missing everywhere,
+ * so its per-branch errors are folded into one.
+ */
+function formatSchemaErrors(errors = []) {
+  const formatted = [];
+  for (const error of errors) {
+    if (error.schemaPath.startsWith('#/anyOf/')) {
+      continue;
+    }
+    // "if" only reports that its then/else branch failed; the branch's own errors say why
+    if (error.keyword === 'if') {
+      continue;
+    }
+    if (error.schemaPath === '#/anyOf') {
+      formatted.push({ field: 'companyId', message: 'is required in the body, the query string or the X-Company-Id header' });
+      continue;
+    }
+
+    const path = error.instancePath.split('/').filter(Boolean).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (error.keyword === 'required') {
+      path.push(error.params.missingProperty);
+    }
+    let message = error.message;
+    if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    } else if (error.keyword === 'const') {
+      message = `must be ${JSON.stringify(error.params.allowedValue)}`;
+    } else if (error.keyword === 'false schema') {
+      message = 'is not allowed here';
+    }
+    formatted.push({ field: path.join('.') || '(root)', message });
+  }
+
+  // The same field can fail through several $refs; report it once
+  const seen = new Set();
+  return formatted.filter(error => {
+    const key = `${error.field}|${error.message}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Validate the incoming request's body, query string and headers against the request schema.
+ * A string body is parsed as JSON first. Returns { valid, errors, body } where body is the parsed body.
+ */
+function validateOnboardingRequest(req) {
+  let body = req.body ?? {};
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+  if (typeof body === 'string') {
+    if (!body.trim()) {
+      body = {};
+    } else {
+      try {
+        body = JSON.parse(body);
+      } catch (err) {
+        return { valid: false, errors: [{ field: 'body', message: 'must be a JSON object' }], body: null };
+      }
+    }
+  }
+
+  const input = {
+    body,
+    query: req.query || {},
+    headers: req.headers || {}
+  };
+
+  if (validateRequestSchema(input)) {
+    return { valid: true, errors: [], body };
+  }
+  return { valid: false, errors: formatSchemaErrors(validateRequestSchema.errors), body };
+}
+
+/**
+ * Validate an outgoing payload against the schema named by its detail.schemaVersion.
+ */
+function validateOutgoingPayload(payload) {
+  const version = payload?.detail?.schemaVersion;
+  const validate = payloadValidators[version];
+  if (!validate) {
+    return { valid: false, errors: [{ field: 'detail.schemaVersion', message: `must be one of: ${Object.keys(payloadValidators).join(', ')}` }] };
+  }
+  if (validate(payload)) {
+    return { valid: true, errors: [] };
+  }
+  return { valid: false, errors: formatSchemaErrors(validate.errors) };
+}
+
+module.exports = {
+  ONBOARDING_REQUEST_SCHEMA,
+  ONBOARDING_PAYLOAD_SCHEMA_V1,
+  PAYLOAD_SCHEMA_VERSION,
+  PAYLOAD_SCHEMAS,
+  validateOnboardingRequest,
+  validateOutgoingPayload
+};
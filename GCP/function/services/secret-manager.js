@@ -0,0 +1,237 @@
+const fs = require('fs');
+const axios = require('axios');
+const { GoogleAuth } = require('google-auth-library');
+const { createOnboardingError } = require('./errors');
+
+const SECRET_MANAGER_API = 'https://secretmanager.googleapis.com/v1';
+const SECRET_REFERENCE_PREFIX = 'secretmanager://';
+// secretmanager://projects/{project}/secrets/{secret}[/versions/{version}]
+const SECRET_REFERENCE_PATTERN = /^secretmanager:\/\/(projects\/[^/]+\/secrets\/[^/]+)(?:\/versions\/([^/]+))?$/;
+const LATEST_VERSION = 'latest';
+
+// Resolved values shared across warm invocations, keyed by backend and version name.
+// Entries look like { value, expiresAt } or { pending }.
+const secretCache = new Map();
+
+/**
+ * Backends that read and write secret versions, keyed by name; SECRET_MANAGER_BACKEND selects one.
+ * Each factory takes the secrets settings and returns { name, access(versionName), addVersion(secretName, value) }
+ * where access resolves to the secret value as a string and addVersion to the new version's name.
+ */
+const secretBackends = {
+  api: createApiSecretBackend,
+  local: createLocalSecretBackend
+};
+
+/**
+ * Register a secret backend factory, replacing the built-in one of the same name.
+ * SECRET_MANAGER_BACKEND only accepts the names listed in config.js.
+ */
+function registerSecretBackend(name, factory) {
+  secretBackends[name] = factory;
+}
+
+function isSecretReference(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_REFERENCE_PREFIX);
+}
+
+/**
+ * Parse a secretmanager:// reference. Without a version the reference follows "latest".
+ * A numeric version is pinned: its value never changes, so it is cached until the instance stops.
+ */
+function parseSecretReference(reference) {
+  const match = SECRET_REFERENCE_PATTERN.exec(String(reference).trim());
+  if (!match) {
+    throw new Error(`Invalid secret reference "${reference}". Expected ${SECRET_REFERENCE_PREFIX}projects/{project}/secrets/{secret}[/versions/{version}]`);
+  }
+  const [, secretName, version = LATEST_VERSION] = match;
+  return {
+    secretName,
+    version,
+    versionName: `${secretName}/versions/${version}`,
+    pinned: /^[0-9]+$/.test(version)
+  };
+}
+
+function accessError(code, versionName, message, { cause, upstreamStatus = null } = {}) {
+  return createOnboardingError(code, `Secret ${versionName} could not be accessed: ${message}`, {
+    cause,
+    details: { secret: versionName, upstreamStatus }
+  });
+}
+
+/**
+ * Secret Manager REST API backend, authenticated as the function's runtime service account
+ * (needs roles/secretmanager.secretAccessor on the secret, and secretVersionAdder to add versions).
+ */
+function createApiSecretBackend() {
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform']
+  });
+
+  async function request(method, resourceName, data) {
+    try {
+      const client = await auth.getClient();
+      const accessToken = await client.getAccessToken();
+      return await axios.request({
+        method,
+        url: `${SECRET_MANAGER_API}/${resourceName}`,
+        data,
+        headers: { 'Authorization': `Bearer ${accessToken.token}` },
+        timeout: 10000
+      });
+    } catch (err) {
+      const status = err.response?.status || null;
+      const apiMessage = err.response?.data?.error?.message || err.message;
+      // Missing secrets, missing grants and malformed names will not fix themselves on retry
+      const permanent = [400, 401, 403, 404].includes(status);
+      throw accessError(permanent ? 'SECRET_ACCESS_FAILED' : 'SECRET_UNAVAILABLE', resourceName.split(':')[0], apiMessage, { cause: err, upstreamStatus: status });
+    }
+  }
+
+  return {
+    name: 'api',
+
+    async access(versionName) {
+      const response = await request('GET', `${versionName}:access`);
+      const data = response.data?.payload?.data;
+      if (typeof data !== 'string') {
+        throw accessError('SECRET_ACCESS_FAILED', versionName, 'response has no payload');
+      }
+      return Buffer.from(data, 'base64').toString('utf8');
+    },
+
+    async addVersion(secretName, value) {
+      const response = await request('POST', `${secretName}:addVersion`, {
+        payload: { data: Buffer.from(value, 'utf8').toString('base64') }
+      });
+      return response.data.name;
+    }
+  };
+}
+
+/**
+ * Offline stand-in for local runs and tests. SECRET_MANAGER_LOCAL_FILE is a JSON object keyed by
+ * secret name ("projects/p/secrets/s") whose values are either a string (version 1) or an object
+ * of version number to value. "latest" is the highest version. The file is re-read on every access.
+ */
+function createLocalSecretBackend({ localFile } = {}) {
+  if (!localFile) {
+    throw new Error('Local secret backend requires SECRET_MANAGER_LOCAL_FILE');
+  }
+
+  function readSecrets(resourceName) {
+    try {
+      return JSON.parse(fs.readFileSync(localFile, 'utf8'));
+    } catch (err) {
+      throw accessError('SECRET_UNAVAILABLE', resourceName, `local secrets file ${localFile} could not be read`, { cause: err });
+    }
+  }
+
+  const getVersions = entry => (typeof entry === 'string' ? { 1: entry } : entry);
+  const numericVersions = versions => Object.keys(versions).filter(key => /^[0-9]+$/.test(key)).sort((a, b) => Number(b) - Number(a));
+
+  return {
+    name: 'local',
+
+    async access(versionName) {
+      const { secretName, version } = parseSecretReference(`${SECRET_REFERENCE_PREFIX}${versionName}`);
+      const versions = getVersions(readSecrets(versionName)?.[secretName]);
+      if (!versions || typeof versions !== 'object') {
+        throw accessError('SECRET_ACCESS_FAILED', versionName, `not found in ${localFile}`, { upstreamStatus: 404 });
+      }
+
+      const resolvedVersion = version === LATEST_VERSION ? numericVersions(versions)[0] : version;
+      const value = versions[resolvedVersion];
+      if (typeof value !== 'string') {
+        throw accessError('SECRET_ACCESS_FAILED', versionName, `version not found in ${localFile}`, { upstreamStatus: 404 });
+      }
+      return value;
+    },
+
+    async addVersion(secretName, value) {
+      const secrets = readSecrets(secretName) || {};
+      const versions = getVersions(secrets[secretName]) || {};
+      const version = String(Number(numericVersions(versions)[0] || 0) + 1);
+      secrets[secretName] = { ...versions, [version]: value };
+      fs.writeFileSync(localFile, JSON.stringify(secrets, null, 2));
+      return `${secretName}/versions/${version}`;
+    }
+  };
+}
+
+function getSecretBackend(settings) {
+  const factory = secretBackends[settings.backend];
+  if (!factory) {
+    throw new Error(`Unknown SECRET_MANAGER_BACKEND "${settings.backend}". Expected one of: ${Object.keys(secretBackends).join(', ')}`);
+  }
+  return factory(settings);
+}
+
+/**
+ * Resolve a secretmanager:// reference to its value. `settings` are the loaded secrets settings
+ * ({ backend, localFile, cacheTtlSeconds }). Pinned versions are cached until the instance stops,
+ * "latest" and aliases for cacheTtlSeconds; concurrent callers share a single request.
+ */
+async function resolveSecretReference(reference, settings) {
+  const { versionName, pinned } = parseSecretReference(reference);
+  const cacheKey = `${settings.backend}|${versionName}`;
+  const entry = secretCache.get(cacheKey);
+
+  if (entry?.pending) {
+    return entry.pending;
+  }
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const pending = getSecretBackend(settings).access(versionName)
+    .then(value => {
+      secretCache.set(cacheKey, {
+        value,
+        expiresAt: pinned ? Infinity : Date.now() + settings.cacheTtlSeconds * 1000
+      });
+      console.log(`Resolved secret ${versionName} through the ${settings.backend} backend`);
+      return value;
+    })
+    .catch(err => {
+      secretCache.delete(cacheKey);
+      throw err;
+    });
+
+  secretCache.set(cacheKey, { pending });
+  return pending;
+}
+
+/**
+ * Store `value` as a new version of the secret a reference points to and drop its cached values,
+ * so "latest" references pick it up on the next access. Resolves to the new version's name.
+ */
+async function addSecretVersion(reference, value, settings) {
+  const { secretName } = parseSecretReference(reference);
+  const versionName = await getSecretBackend(settings).addVersion(secretName, value);
+  for (const cacheKey of secretCache.keys()) {
+    if (cacheKey.startsWith(`${settings.backend}|${secretName}/`)) {
+      secretCache.delete(cacheKey);
+    }
+  }
+  console.log(`Added secret version ${versionName} through the ${settings.backend} backend`);
+  return versionName;
+}
+
+/**
+ * Drop cached secret values so the next access reads them again.
+ */
+function invalidateSecretCache() {
+  secretCache.clear();
+}
+
+module.exports = {
+  SECRET_REFERENCE_PREFIX,
+  registerSecretBackend,
+  isSecretReference,
+  parseSecretReference,
+  resolveSecretReference,
+  addSecretVersion,
+  invalidateSecretCache
+};
@@ -0,0 +1,231 @@
+const axios = require('axios');
+const { GoogleAuth } = require('google-auth-library');
+const { getConfig } = require('./config');
+
+const FIRESTORE_API = 'https://firestore.googleapis.com/v1';
+
+/**
+ * In-memory state store. Survives warm invocations of one instance only;
+ * used for local runs, tests and as the fallback when no Firestore is configured.
+ */
+function createMemoryStateStore() {
+  const collections = new Map();
+
+  const getCollection = name => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  const copy = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'memory',
+
+    async get(collection, id) {
+      return copy(getCollection(collection).get(id));
+    },
+
+    /**
+     * Create a document only if it does not exist yet. Returns false when it already exists.
+     */
+    async create(collection, id, document) {
+      const docs = getCollection(collection);
+      if (docs.has(id)) {
+        return false;
+      }
+      docs.set(id, copy(document));
+      return true;
+    },
+
+    async set(collection, id, document) {
+      getCollection(collection).set(id, copy(document));
+    },
+
+    /**
+     * Overwrite a document only if it still equals `expected`. Returns false when it changed.
+     */
+    async replace(collection, id, expected, document) {
+      const docs = getCollection(collection);
+      if (!docs.has(id) || JSON.stringify(docs.get(id)) !== JSON.stringify(expected)) {
+        return false;
+      }
+      docs.set(id, copy(document));
+      return true;
+    },
+
+    async delete(collection, id) {
+      getCollection(collection).delete(id);
+    }
+  };
+}
+
+/**
+ * Firestore-backed state store using the Firestore REST API.
+ * Each document stores the JSON-encoded value in a "data" string field, plus an
+ * "expiresAt" timestamp field when the value has one (usable by a Firestore TTL policy).
+ */
+function createFirestoreStateStore({
+  projectId = getConfig().stateStore.firestoreProject,
+  database = getConfig().stateStore.firestoreDatabase
+} = {}) {
+  if (!projectId) {
+    throw new Error('Firestore state store requires STATE_STORE_FIRESTORE_PROJECT (or GCP_PROJECT)');
+  }
+
+  const auth = new GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/datastore']
+  });
+  const documentsPath = `projects/${projectId}/databases/${database}/documents`;
+
+  async function request(method, path, { params, data } = {}) {
+    const client = await auth.getClient();
+    const accessToken = await client.getAccessToken();
+    return axios.request({
+      method,
+      url: `${FIRESTORE_API}/${documentsPath}/${path}`,
+      params,
+      data,
+      headers: {
+        'Authorization': `Bearer ${accessToken.token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+  }
+
+  const toFirestoreDocument = document => ({
+    fields: {
+      data: { stringValue: JSON.stringify(document) },
+      ...(document?.expiresAt && { expiresAt: { timestampValue: document.expiresAt } })
+    }
+  });
+
+  const fromFirestoreDocument = firestoreDocument => {
+    const data = firestoreDocument?.fields?.data?.stringValue;
+    return data ? JSON.parse(data) : null;
+  };
+
+  async function getFirestoreDocument(collection, id) {
+    try {
+      const response = await request('GET', `${collection}/${encodeURIComponent(id)}`);
+      return response.data;
+    } catch (err) {
+      if (err.response?.status === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  return {
+    name: 'firestore',
+
+    async get(collection, id) {
+      return fromFirestoreDocument(await getFirestoreDocument(collection, id));
+    },
+
+    async create(collection, id, document) {
+      try {
+        await request('POST', collection, {
+          params: { documentId: id },
+          data: toFirestoreDocument(document)
+        });
+        return true;
+      } catch (err) {
+        if (err.response?.status === 409) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async set(collection, id, document) {
+      await request('PATCH', `${collection}/${encodeURIComponent(id)}`, {
+        data: toFirestoreDocument(document)
+      });
+    },
+
+    /**
+     * Overwrite a document only if it still equals `expected`, using its updateTime as a
+     * precondition so a concurrent writer on another instance makes this call return false.
+     */
+    async replace(collection, id, expected, document) {
+      const current = await getFirestoreDocument(collection, id);
+      if (!current || current.fields?.data?.stringValue !== JSON.stringify(expected)) {
+        return false;
+      }
+      try {
+        await request('PATCH', `${collection}/${encodeURIComponent(id)}`, {
+          params: { 'currentDocument.updateTime': current.updateTime },
+          data: toFirestoreDocument(document)
+        });
+        return true;
+      } catch (err) {
+        const status = err.response?.status;
+        if (status === 404 || status === 409 || (status === 400 && err.response?.data?.error?.status === 'FAILED_PRECONDITION')) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async delete(collection, id) {
+      try {
+        await request('DELETE', `${collection}/${encodeURIComponent(id)}`);
+      } catch (err) {
+        if (err.response?.status !== 404) {
+          throw err;
+        }
+      }
+    }
+  };
+}
+
+// Backend factories by name; STATE_STORE_BACKEND selects one
+const stateStoreBackends = {
+  memory: createMemoryStateStore,
+  firestore: createFirestoreStateStore
+};
+
+let stateStore = null;
+
+/**
+ * Register a state store backend factory, replacing the built-in one of the same name.
+ * STATE_STORE_BACKEND only accepts the names listed in config.js.
+ */
+function registerStateStoreBackend(name, factory) {
+  stateStoreBackends[name] = factory;
+}
+
+/**
+ * The configured state store (STATE_STORE_BACKEND, default "memory").
+ */
+function getStateStore() {
+  if (!stateStore) {
+    const { backend } = getConfig().stateStore;
+    const factory = stateStoreBackends[backend];
+    if (!factory) {
+      throw new Error(`Unknown STATE_STORE_BACKEND "${backend}". Expected one of: ${Object.keys(stateStoreBackends).join(', ')}`);
+    }
+    stateStore = factory();
+    console.log(`Using ${stateStore.name} state store`);
+  }
+  return stateStore;
+}
+
+/**
+ * Replace the state store (e.g. with a fresh in-memory store).
+ */
+function setStateStore(store) {
+  stateStore = store;
+}
+
+module.exports = {
+  createMemoryStateStore,
+  createFirestoreStateStore,
+  registerStateStoreBackend,
+  getStateStore,
+  setStateStore
+};
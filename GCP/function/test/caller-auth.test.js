@@ -0,0 +1,143 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+const HMAC_SECRET = 'caller-hmac-secret';
+const ALLOWED_CALLER = 'scheduler@test-project.iam.gserviceaccount.com';
+
+const BASE_ENV = {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  LOG_FORMAT: 'json'
+};
+
+Object.assign(process.env, BASE_ENV, {
+  // A single local instance: the memory store may hold the HMAC nonces
+  NODE_ENV: 'development',
+  CALLER_AUTH_MODES: 'oidc,hmac',
+  CALLER_AUTH_AUDIENCE: 'https://onboard.example.com',
+  CALLER_AUTH_ALLOWED_EMAILS: ALLOWED_CALLER,
+  CALLER_AUTH_HMAC_SECRET: HMAC_SECRET,
+  CALLER_AUTH_MAX_SKEW_SECONDS: '300'
+});
+
+let callerAuth;
+let config;
+let stateStore;
+let idTokenClaims;
+
+function signedRequest({ body = '{"companyId":"acme"}', timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID(), secret = HMAC_SECRET } = {}) {
+  const req = { method: 'POST', originalUrl: '/onboard', rawBody: Buffer.from(body), headers: {} };
+  req.headers[callerAuth.HMAC_TIMESTAMP_HEADER] = String(timestamp);
+  req.headers[callerAuth.HMAC_NONCE_HEADER] = nonce;
+  req.headers[callerAuth.HMAC_SIGNATURE_HEADER] = crypto
+    .createHmac('sha256', secret)
+    .update(callerAuth.buildHmacSigningString(req, String(timestamp), nonce))
+    .digest('hex');
+  return req;
+}
+
+function bearerRequest() {
+  return { method: 'POST', originalUrl: '/onboard', headers: { authorization: 'Bearer id-token' } };
+}
+
+before(() => {
+  const { OAuth2Client } = require(require.resolve('google-auth-library', { paths: [root] }));
+  OAuth2Client.prototype.verifyIdToken = async () => ({ getPayload: () => idTokenClaims });
+
+  callerAuth = require('../services/caller-auth');
+  config = require('../services/config');
+  stateStore = require('../services/state-store');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+beforeEach(() => {
+  stateStore.setStateStore(stateStore.createMemoryStateStore());
+  idTokenClaims = { email: ALLOWED_CALLER, email_verified: true };
+});
+
+test('a correctly signed request is accepted', async () => {
+  const result = await callerAuth.authenticateCaller(signedRequest(), { companyId: 'acme' });
+  assert.deepStrictEqual(result, { authenticated: true, method: 'hmac', principal: 'hmac-shared-secret' });
+});
+
+test('a request signed with another secret or altered after signing is rejected', async () => {
+  const wrongSecret = await callerAuth.authenticateCaller(signedRequest({ secret: 'other-secret' }));
+  assert.strictEqual(wrongSecret.status, 401);
+  assert.match(wrongSecret.error, /signature does not match/);
+
+  const altered = signedRequest();
+  altered.rawBody = Buffer.from('{"companyId":"globex"}');
+  assert.match((await callerAuth.authenticateCaller(altered)).error, /signature does not match/);
+});
+
+test('a timestamp outside the allowed clock skew is rejected', async () => {
+  const stale = await callerAuth.authenticateCaller(signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 301 }));
+  assert.strictEqual(stale.status, 401);
+  assert.match(stale.error, /outside the allowed clock skew/);
+
+  const future = await callerAuth.authenticateCaller(signedRequest({ timestamp: Math.floor(Date.now() / 1000) + 301 }));
+  assert.match(future.error, /outside the allowed clock skew/);
+});
+
+test('a replayed nonce is rejected, an expired one may be reused', async () => {
+  const req = signedRequest({ nonce: 'nonce-1' });
+  assert.strictEqual((await callerAuth.authenticateCaller(req)).authenticated, true);
+
+  const replay = await callerAuth.authenticateCaller(req);
+  assert.strictEqual(replay.status, 401);
+  assert.match(replay.error, /nonce has already been used/);
+
+  // The recorded nonce has outlived the skew window
+  const store = stateStore.getStateStore();
+  const id = crypto.createHash('sha256').update('nonce-1').digest('hex');
+  await store.set('callerNonces', id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.strictEqual((await callerAuth.authenticateCaller(signedRequest({ nonce: 'nonce-1' }))).authenticated, true);
+});
+
+test('an ID token is accepted only for a verified principal on the allow-list', async () => {
+  assert.deepStrictEqual(await callerAuth.authenticateCaller(bearerRequest()), {
+    authenticated: true,
+    method: 'oidc',
+    principal: ALLOWED_CALLER
+  });
+
+  idTokenClaims = { email: 'someone@example.com', email_verified: true };
+  const stranger = await callerAuth.authenticateCaller(bearerRequest());
+  assert.strictEqual(stranger.status, 403);
+  assert.match(stranger.error, /not in the allowed caller list/);
+
+  idTokenClaims = { email: ALLOWED_CALLER, email_verified: false };
+  assert.strictEqual((await callerAuth.authenticateCaller(bearerRequest())).status, 403);
+
+  idTokenClaims = { sub: '1234567890' };
+  assert.strictEqual((await callerAuth.authenticateCaller(bearerRequest())).status, 403);
+});
+
+test('OIDC without an allow-list fails the configuration', () => {
+  assert.throws(() => config.loadConfig({
+    env: { ...BASE_ENV, NODE_ENV: 'development', CALLER_AUTH_MODES: 'oidc', CALLER_AUTH_AUDIENCE: 'https://onboard.example.com' }
+  }), error => {
+    assert.strictEqual(error.code, 'CONFIG_INVALID');
+    assert.match(error.message, /CALLER_AUTH_ALLOWED_EMAILS is not set/);
+    return true;
+  });
+  config.resetConfig();
+});
+
+test('HMAC with the memory state store fails the configuration outside local development', () => {
+  const env = { ...BASE_ENV, CALLER_AUTH_MODES: 'hmac', CALLER_AUTH_HMAC_SECRET: HMAC_SECRET, STATE_STORE_BACKEND: 'memory' };
+  assert.throws(() => config.loadConfig({ env: { ...env, NODE_ENV: 'production' } }), /HMAC nonces are only remembered per instance/);
+
+  config.loadConfig({ env: { ...env, NODE_ENV: 'development' } });
+  assert.ok(config.getConfigWarnings().some(warning => warning.includes('HMAC nonces are only remembered per instance')));
+  config.resetConfig();
+});
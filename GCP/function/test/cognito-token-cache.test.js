@@ -0,0 +1,118 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+const TOKEN_URL = 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token';
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: TOKEN_URL,
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  COGNITO_REFRESH_MARGIN_SECONDS: '60',
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  CALLER_AUTH_MODES: 'none',
+  LOG_FORMAT: 'json'
+});
+
+// Token requests in the order they were made; each is answered by the test
+let tokenRequests;
+let cognito;
+
+function answer(request, token, expiresIn = 3600) {
+  request.resolve({ status: 200, data: { access_token: token, token_type: 'Bearer', expires_in: expiresIn } });
+}
+
+// Let the requests that are waiting on the client secret reach axios.post
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.post = () => new Promise((resolve, reject) => tokenRequests.push({ resolve, reject }));
+
+  cognito = require('../services/cognito');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  tokenRequests = [];
+  cognito.invalidateCognitoToken();
+});
+
+test('concurrent callers share one token request', async () => {
+  const callers = [cognito.getCognitoAccessToken(), cognito.getCognitoAccessToken(), cognito.getCognitoAccessToken()];
+  await settle();
+  assert.strictEqual(tokenRequests.length, 1);
+
+  answer(tokenRequests[0], 'token-1');
+  const tokens = await Promise.all(callers);
+  assert.deepStrictEqual(tokens.map(auth => auth.token), ['token-1', 'token-1', 'token-1']);
+
+  // Served from the cache while it is fresh
+  assert.strictEqual((await cognito.getCognitoAccessToken()).token, 'token-1');
+  assert.strictEqual(tokenRequests.length, 1);
+});
+
+test('a token within the refresh margin is replaced', async () => {
+  const first = cognito.getCognitoAccessToken();
+  await settle();
+  answer(tokenRequests[0], 'short-lived', 30);
+  await first;
+
+  const second = cognito.getCognitoAccessToken();
+  await settle();
+  assert.strictEqual(tokenRequests.length, 2);
+  answer(tokenRequests[1], 'token-2');
+  assert.strictEqual((await second).token, 'token-2');
+});
+
+test('concurrent forced refreshes share one new token', async () => {
+  const first = cognito.getCognitoAccessToken();
+  await settle();
+  answer(tokenRequests[0], 'rejected-token');
+  await first;
+
+  const refreshes = [cognito.getCognitoAccessToken({ forceRefresh: true }), cognito.getCognitoAccessToken({ forceRefresh: true })];
+  // A plain caller arriving during the refresh waits for it instead of using the rejected token
+  const waiting = cognito.getCognitoAccessToken();
+  await settle();
+  assert.strictEqual(tokenRequests.length, 2);
+
+  answer(tokenRequests[1], 'refreshed-token');
+  const tokens = await Promise.all([...refreshes, waiting]);
+  assert.deepStrictEqual(tokens.map(auth => auth.token), ['refreshed-token', 'refreshed-token', 'refreshed-token']);
+});
+
+test('a slower earlier request does not overwrite the token of a forced refresh', async () => {
+  const initial = cognito.getCognitoAccessToken();
+  const refresh = cognito.getCognitoAccessToken({ forceRefresh: true });
+  await settle();
+  assert.strictEqual(tokenRequests.length, 2);
+
+  answer(tokenRequests[1], 'refreshed-token');
+  await refresh;
+  answer(tokenRequests[0], 'stale-token');
+  assert.strictEqual((await initial).token, 'stale-token');
+
+  assert.strictEqual((await cognito.getCognitoAccessToken()).token, 'refreshed-token');
+  assert.strictEqual(tokenRequests.length, 2);
+});
+
+test('a failed request is not cached', async () => {
+  const failing = cognito.getCognitoAccessToken();
+  await settle();
+  const error = new Error('Request failed with status code 503');
+  error.response = { status: 503, data: {} };
+  tokenRequests[0].reject(error);
+  await assert.rejects(failing, { code: 'COGNITO_AUTH_FAILED' });
+
+  const retry = cognito.getCognitoAccessToken();
+  await settle();
+  assert.strictEqual(tokenRequests.length, 2);
+  answer(tokenRequests[1], 'token-2');
+  assert.strictEqual((await retry).token, 'token-2');
+});
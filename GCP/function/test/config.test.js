@@ -0,0 +1,157 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../services/config');
+
+const BASE_ENV = {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  CALLER_AUTH_MODES: 'none'
+};
+
+const tempDirs = [];
+
+function writeConfigFile(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+// Problems reported by a load that must fail
+function loadProblems(env) {
+  let problems;
+  assert.throws(() => config.loadConfig({ env }), error => {
+    assert.strictEqual(error.code, 'CONFIG_INVALID');
+    assert.strictEqual(error.retryable, false);
+    problems = error.details.problems;
+    assert.ok(problems.every(problem => error.message.includes(problem)));
+    return true;
+  });
+  return problems;
+}
+
+afterEach(() => {
+  config.resetConfig();
+  tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('a complete environment loads into a frozen config with defaults and sources', () => {
+  const loaded = config.loadConfig({ env: BASE_ENV });
+
+  assert.strictEqual(loaded.cognito.clientId, 'test-client');
+  assert.strictEqual(loaded.aws.retry.maxAttempts, 4);
+  assert.ok(Object.isFrozen(loaded) && Object.isFrozen(loaded.aws.retry));
+  assert.throws(() => Object.assign(loaded.aws.retry, { maxAttempts: 1 }), TypeError);
+
+  assert.deepStrictEqual(config.getConfigSource('cognito.clientId'), { source: 'environment', detail: 'COGNITO_CLIENT_ID' });
+  assert.deepStrictEqual(config.getConfigSource('aws.retry.maxAttempts'), { source: 'default' });
+  assert.strictEqual(config.getConfigSource('onboarding.serviceAccount').source, 'none');
+  assert.strictEqual(config.describeConfig()['cognito.clientSecretB64'].value, 'set');
+});
+
+test('every missing required setting is reported at once', () => {
+  const problems = loadProblems({ GCP_PROJECT: 'test-project', AWS_ENDPOINT: BASE_ENV.AWS_ENDPOINT, CALLER_AUTH_MODES: 'none' });
+  assert.deepStrictEqual(problems, [
+    'COGNITO_TOKEN_URL is required',
+    'COGNITO_CLIENT_ID is required',
+    'COGNITO_CLIENT_SECRET_B64 is required'
+  ]);
+});
+
+test('values of the wrong type are rejected with the setting name', () => {
+  const problems = loadProblems({
+    ...BASE_ENV,
+    AWS_RETRY_MAX_ATTEMPTS: 'three',
+    AWS_CIRCUIT_FAILURE_THRESHOLD: '0',
+    COMPUTE_INVENTORY_ENABLED: 'maybe',
+    LOG_FORMAT: 'xml',
+    COGNITO_TOKEN_URL: 'http://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+    AWS_ENDPOINTS: '[{',
+    GCP_PROJECT_NUMBER: 'abc'
+  });
+
+  [
+    'AWS_RETRY_MAX_ATTEMPTS must be an integer, got "three"',
+    'AWS_CIRCUIT_FAILURE_THRESHOLD must be at least 1, got 0',
+    'COMPUTE_INVENTORY_ENABLED must be true or false, got "maybe"',
+    'LOG_FORMAT must be one of "json", "text", got "xml"',
+    'COGNITO_TOKEN_URL must use HTTPS',
+    'GCP_PROJECT_NUMBER has an invalid format: "abc"'
+  ].forEach(expected => assert.ok(problems.includes(expected), `missing "${expected}" in ${JSON.stringify(problems)}`));
+  assert.ok(problems.some(problem => problem.startsWith('AWS_ENDPOINTS is not valid JSON')));
+});
+
+test('secret values are checked without being echoed', () => {
+  const problems = loadProblems({ ...BASE_ENV, COGNITO_CLIENT_SECRET_B64: 'not base64 at all!' });
+  assert.deepStrictEqual(problems, ['COGNITO_CLIENT_SECRET_B64 must be base64-encoded or a secretmanager:// reference']);
+
+  const badReference = loadProblems({ ...BASE_ENV, COGNITO_CLIENT_SECRET_B64: 'secretmanager://projects/test-project' });
+  assert.strictEqual(badReference.length, 1);
+  assert.match(badReference[0], /^COGNITO_CLIENT_SECRET_B64: /);
+});
+
+test('config files fill in settings the environment does not set', () => {
+  const first = writeConfigFile('first.json', { COGNITO_CLIENT_ID: 'file-client', AWS_RETRY_MAX_ATTEMPTS: 2 });
+  const second = writeConfigFile('second.json', { AWS_RETRY_MAX_ATTEMPTS: 6, OUTBOX_MAX_ATTEMPTS: '3' });
+  const loaded = config.loadConfig({ env: { ...BASE_ENV, COGNITO_CLIENT_ID: '', CONFIG_FILE: `${first}, ${second}`, OUTBOX_MAX_ATTEMPTS: '7' } });
+
+  assert.strictEqual(loaded.cognito.clientId, 'file-client');
+  // Later files win, the environment wins over every file
+  assert.strictEqual(loaded.aws.retry.maxAttempts, 6);
+  assert.strictEqual(loaded.outbox.maxAttempts, 7);
+  assert.deepStrictEqual(config.getConfigSource('cognito.clientId'), { source: 'file', detail: `${first} (COGNITO_CLIENT_ID)` });
+  assert.deepStrictEqual(config.getConfigSource('outbox.maxAttempts'), { source: 'environment', detail: 'OUTBOX_MAX_ATTEMPTS' });
+});
+
+test('unreadable or malformed config files are reported', () => {
+  const missing = path.join(os.tmpdir(), 'config-test-does-not-exist.json');
+  const broken = writeConfigFile('broken.json', '{"COGNITO_CLIENT_ID":');
+  const list = writeConfigFile('list.json', ['COGNITO_CLIENT_ID']);
+  const problems = loadProblems({ ...BASE_ENV, CONFIG_FILE: [missing, broken, list].join(',') });
+
+  assert.strictEqual(problems.length, 3);
+  assert.ok(problems[0].startsWith(`CONFIG_FILE ${missing} could not be read as JSON`));
+  assert.ok(problems[1].startsWith(`CONFIG_FILE ${broken} could not be read as JSON`));
+  assert.strictEqual(problems[2], `CONFIG_FILE ${list} must contain a JSON object keyed by setting name`);
+});
+
+test('settings that cannot work together are rejected', () => {
+  assert.deepStrictEqual(loadProblems({ ...BASE_ENV, AWS_SERVICE_ACCOUNT_KEY_B64: Buffer.from('{}').toString('base64') }), [
+    'AWS_SERVICE_ACCOUNT_KEY_B64 is set in "key" mode but the key cannot be encrypted without SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY and SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID'
+  ]);
+  assert.deepStrictEqual(loadProblems({ ...BASE_ENV, SECRET_MANAGER_BACKEND: 'local' }), [
+    'SECRET_MANAGER_BACKEND is "local" but SECRET_MANAGER_LOCAL_FILE is not set'
+  ]);
+  assert.deepStrictEqual(loadProblems({ ...BASE_ENV, OUTBOX_BACKEND: 'pubsub' }), [
+    'OUTBOX_BACKEND is "pubsub" but OUTBOX_PUBSUB_TOPIC is not set'
+  ]);
+  assert.match(loadProblems({ ...BASE_ENV, AWS_ENDPOINT: 'https://api.example.com' })[0], /api\.example\.com is not in the allowed hosts/);
+});
+
+test('caller authentication must have a usable, safe mode', () => {
+  const unusable = loadProblems({ ...BASE_ENV, CALLER_AUTH_MODES: 'hmac' });
+  assert.deepStrictEqual(unusable, ['No caller authentication mode in CALLER_AUTH_MODES (hmac) is usable: CALLER_AUTH_HMAC_SECRET is not set']);
+
+  const oidc = loadProblems({ ...BASE_ENV, CALLER_AUTH_MODES: 'oidc', CALLER_AUTH_AUDIENCE: 'https://function.example.com' });
+  assert.deepStrictEqual(oidc, ['CALLER_AUTH_MODES enables "oidc" but CALLER_AUTH_ALLOWED_EMAILS is not set']);
+
+  const hmacEnv = { ...BASE_ENV, CALLER_AUTH_MODES: 'hmac', CALLER_AUTH_HMAC_SECRET: 'shared-secret', STATE_STORE_BACKEND: 'memory' };
+  assert.match(loadProblems(hmacEnv)[0], /HMAC nonces are only remembered per instance/);
+  // A single local instance only gets a warning
+  config.loadConfig({ env: { ...hmacEnv, NODE_ENV: 'development' } });
+  assert.ok(config.getConfigWarnings().some(warning => warning.startsWith('HMAC nonces are only remembered per instance')));
+});
+
+test('a failed load keeps the previous configuration', () => {
+  const loaded = config.loadConfig({ env: BASE_ENV });
+  loadProblems({ ...BASE_ENV, LOG_FORMAT: 'xml' });
+  assert.strictEqual(config.getConfig(), loaded);
+});
@@ -0,0 +1,164 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  CALLER_AUTH_MODES: 'none',
+  IDEMPOTENCY_WINDOW_SECONDS: '3600',
+  IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS: '60',
+  LOG_FORMAT: 'json'
+});
+
+const SUBMISSIONS_COLLECTION = 'onboardingSubmissions';
+
+function request(body, idempotencyKey) {
+  return { headers: idempotencyKey ? { 'idempotency-key': idempotencyKey } : {}, body };
+}
+
+let idempotency;
+let stateStore;
+let store;
+
+before(() => {
+  idempotency = require('../services/idempotency');
+  stateStore = require('../services/state-store');
+  // Keep the runner's output readable
+  console.log = () => {};
+});
+
+beforeEach(() => {
+  store = stateStore.createMemoryStateStore();
+  stateStore.setStateStore(store);
+});
+
+test('a header key is bound to the company and project it was used for', () => {
+  const req = request({ companyId: 'acme' }, 'retry-1');
+  const key = idempotency.getSubmissionKey(req, { projectId: 'project-a', companyId: 'acme' });
+
+  assert.strictEqual(key.source, 'Idempotency-Key header');
+  assert.match(key.key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(idempotency.getSubmissionKey(req, { projectId: 'project-a', companyId: 'acme' }).key, key.key);
+  assert.notStrictEqual(idempotency.getSubmissionKey(req, { projectId: 'project-a', companyId: 'globex' }).key, key.key);
+  assert.notStrictEqual(idempotency.getSubmissionKey(req, { projectId: 'project-b', companyId: 'acme' }).key, key.key);
+});
+
+test('the request fingerprint ignores key order and dryRun but not the values', () => {
+  const fingerprint = body => idempotency.getSubmissionKey(request(body, 'retry-1'), { projectId: 'p', companyId: 'c' }).requestFingerprint;
+
+  assert.strictEqual(fingerprint({ companyId: 'c', projectIds: ['a', 'b'] }), fingerprint({ projectIds: ['a', 'b'], companyId: 'c', dryRun: false }));
+  assert.notStrictEqual(fingerprint({ companyId: 'c', projectIds: ['a', 'b'] }), fingerprint({ companyId: 'c', projectIds: ['a'] }));
+});
+
+test('without a header the key is a fingerprint of project, company, pool and key ID', () => {
+  const identity = { projectId: 'p', companyId: 'c', poolId: 'aws-pool', serviceAccountKeyId: 'key-1' };
+  const key = idempotency.getSubmissionKey(request({}), identity);
+
+  assert.strictEqual(key.source, 'fingerprint');
+  assert.strictEqual(key.requestFingerprint, null);
+  assert.strictEqual(idempotency.getSubmissionKey(request({ dryRun: true }), identity).key, key.key);
+  assert.notStrictEqual(idempotency.getSubmissionKey(request({}), { ...identity, serviceAccountKeyId: 'key-2' }).key, key.key);
+});
+
+test('a repeated submission is answered with the recorded outcome', async () => {
+  const { key, requestFingerprint } = idempotency.getSubmissionKey(request({ companyId: 'c' }, 'retry-1'), { projectId: 'p', companyId: 'c' });
+
+  assert.deepStrictEqual(await idempotency.beginSubmission(key, { requestFingerprint }), { duplicate: false });
+
+  const inProgress = await idempotency.beginSubmission(key, { requestFingerprint });
+  assert.strictEqual(inProgress.duplicate, true);
+  assert.strictEqual(inProgress.record.status, idempotency.SUBMISSION_IN_PROGRESS);
+
+  await idempotency.completeSubmission(key, { statusCode: 200, body: { success: true } });
+  const completed = await idempotency.beginSubmission(key, { requestFingerprint });
+  assert.strictEqual(completed.record.status, idempotency.SUBMISSION_COMPLETED);
+  assert.deepStrictEqual(completed.record.response, { statusCode: 200, body: { success: true } });
+  assert.strictEqual((await idempotency.findDuplicateSubmission(key, requestFingerprint)).status, idempotency.SUBMISSION_COMPLETED);
+});
+
+test('reusing a header key for a different request is rejected', async () => {
+  const identity = { projectId: 'p', companyId: 'c' };
+  const first = idempotency.getSubmissionKey(request({ companyId: 'c' }, 'retry-1'), identity);
+  const other = idempotency.getSubmissionKey(request({ companyId: 'c', folderId: '123' }, 'retry-1'), identity);
+  assert.strictEqual(other.key, first.key);
+
+  await idempotency.beginSubmission(first.key, { requestFingerprint: first.requestFingerprint });
+
+  await assert.rejects(idempotency.beginSubmission(other.key, { requestFingerprint: other.requestFingerprint }), error => {
+    assert.strictEqual(error.code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.strictEqual(error.status, 422);
+    return true;
+  });
+  await assert.rejects(idempotency.findDuplicateSubmission(other.key, other.requestFingerprint), { code: 'IDEMPOTENCY_KEY_REUSED' });
+});
+
+test('an expired record is taken over', async () => {
+  const key = idempotency.getSubmissionKey(request({}), { projectId: 'p', companyId: 'c' }).key;
+  await store.set(SUBMISSIONS_COLLECTION, key, {
+    status: idempotency.SUBMISSION_COMPLETED,
+    startedAt: new Date(Date.now() - 7200000).toISOString(),
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+    response: { statusCode: 200, body: {} }
+  });
+
+  assert.strictEqual(await idempotency.findDuplicateSubmission(key, null), null);
+  assert.deepStrictEqual(await idempotency.beginSubmission(key, { correlationId: 'second' }), { duplicate: false });
+  const record = await store.get(SUBMISSIONS_COLLECTION, key);
+  assert.strictEqual(record.status, idempotency.SUBMISSION_IN_PROGRESS);
+  assert.strictEqual(record.correlationId, 'second');
+});
+
+test('of two instances taking over a stale record only one gets the reservation', async () => {
+  const key = idempotency.getSubmissionKey(request({}), { projectId: 'p', companyId: 'c' }).key;
+  await store.set(SUBMISSIONS_COLLECTION, key, {
+    status: idempotency.SUBMISSION_IN_PROGRESS,
+    startedAt: new Date(Date.now() - 120000).toISOString(),
+    expiresAt: new Date(Date.now() + 3600000).toISOString(),
+    correlationId: 'crashed'
+  });
+
+  // The other instance writes its reservation between this instance's read and its write
+  const replace = store.replace;
+  store.replace = async (collection, id, expected, document) => {
+    await replace(collection, id, expected, { ...expected, startedAt: new Date().toISOString(), correlationId: 'other' });
+    return replace(collection, id, expected, document);
+  };
+
+  const result = await idempotency.beginSubmission(key, { correlationId: 'this' });
+  assert.strictEqual(result.duplicate, true);
+  assert.strictEqual(result.record.correlationId, 'other');
+});
+
+test('the Firestore store makes the takeover conditional on the document update time', async () => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  const { GoogleAuth } = require(require.resolve('google-auth-library', { paths: [root] }));
+  GoogleAuth.prototype.getClient = async () => ({ getAccessToken: async () => ({ token: 'token' }) });
+
+  const expected = { status: idempotency.SUBMISSION_IN_PROGRESS, correlationId: 'crashed' };
+  const requests = [];
+  axios.request = async options => {
+    requests.push(options);
+    if (options.method === 'GET') {
+      return { data: { fields: { data: { stringValue: JSON.stringify(expected) } }, updateTime: '2026-01-01T00:00:00.000001Z' } };
+    }
+    const error = new Error('Request failed with status code 400');
+    error.response = { status: 400, data: { error: { status: 'FAILED_PRECONDITION' } } };
+    throw error;
+  };
+
+  const firestore = stateStore.createFirestoreStateStore({ projectId: 'test-project', database: '(default)' });
+  assert.strictEqual(await firestore.replace(SUBMISSIONS_COLLECTION, 'key', expected, { status: 'in-progress' }), false);
+  assert.strictEqual(requests[1].method, 'PATCH');
+  assert.deepStrictEqual(requests[1].params, { 'currentDocument.updateTime': '2026-01-01T00:00:00.000001Z' });
+
+  // A document that no longer matches is not written at all
+  requests.length = 0;
+  assert.strictEqual(await firestore.replace(SUBMISSIONS_COLLECTION, 'key', { status: 'completed' }, {}), false);
+  assert.deepStrictEqual(requests.map(options => options.method), ['GET']);
+});
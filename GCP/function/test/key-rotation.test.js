@@ -0,0 +1,237 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const SECRETS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'key-rotation-test-'));
+const SECRETS_FILE = path.join(SECRETS_DIR, 'secrets.json');
+const KEY_SECRET = 'projects/test-project/secrets/sa-key';
+const SERVICE_ACCOUNT = 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com';
+const TOKEN_URL = 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token';
+
+const { publicKey: RECIPIENT_PUBLIC_KEY } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const BASE_ENV = {
+  GCP_PROJECT: 'test-project',
+  GCP_PROJECT_NUMBER: '123456789',
+  COGNITO_TOKEN_URL: TOKEN_URL,
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  AWS_LIFECYCLE_ENDPOINT_PATH: '/prod/lifecycle',
+  AWS_RETRY_MAX_ATTEMPTS: '1',
+  CALLER_AUTH_MODES: 'none',
+  STATE_STORE_BACKEND: 'firestore',
+  SECRET_MANAGER_BACKEND: 'local',
+  SECRET_MANAGER_LOCAL_FILE: SECRETS_FILE,
+  AWS_SERVICE_ACCOUNT_KEY_B64: `secretmanager://${KEY_SECRET}`,
+  SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY: RECIPIENT_PUBLIC_KEY,
+  SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID: 'recipient-1',
+  KEY_ROTATION_INTERVAL_DAYS: '30',
+  LOG_FORMAT: 'json'
+};
+
+let config;
+let keyRotation;
+let stateStore;
+let secretManager;
+let logger;
+// Keys of the service account as the IAM API reports them, and every IAM call made
+let iamKeys;
+let iamCalls;
+// Builds the AWS response to the rotation notice from the new key's ID
+let acknowledge;
+
+function useConfig(overrides = {}) {
+  config.resetConfig();
+  config.loadConfig({ env: { ...BASE_ENV, ...overrides } });
+}
+
+function iamKey(keyId, daysOld) {
+  return {
+    name: `projects/test-project/serviceAccounts/${SERVICE_ACCOUNT}/keys/${keyId}`,
+    validAfterTime: new Date(Date.now() - daysOld * 86400000).toISOString(),
+    disabled: false
+  };
+}
+
+function keyIds() {
+  return iamKeys.map(key => key.name.split('/').pop());
+}
+
+function storedKeys() {
+  return JSON.parse(fs.readFileSync(SECRETS_FILE, 'utf8'))[KEY_SECRET];
+}
+
+// Rotations run in a request's logging context, which supplies the payload's correlation ID
+function rotate(options = {}) {
+  return logger.runWithRequestLogContext({ headers: {} }, () => keyRotation.rotateServiceAccountKey({
+    projectId: 'test-project',
+    serviceAccountEmail: SERVICE_ACCOUNT,
+    ...options
+  }));
+}
+
+async function getRotationRecord() {
+  return stateStore.getStateStore().get('keyRotations', SERVICE_ACCOUNT);
+}
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.request = async ({ method, url }) => {
+    const resource = url.replace('https://iam.googleapis.com/v1/', '');
+    iamCalls.push(`${method} ${resource.split('/').pop()}`);
+    if (method === 'GET') {
+      return { status: 200, data: { keys: iamKeys } };
+    }
+    if (method === 'POST' && resource.endsWith('/keys')) {
+      const key = iamKey(`new-key-${iamCalls.length}`, 0);
+      iamKeys.unshift(key);
+      const credentials = { type: 'service_account', private_key_id: key.name.split('/').pop(), private_key: 'not-a-real-key' };
+      return { status: 200, data: { name: key.name, privateKeyData: Buffer.from(JSON.stringify(credentials)).toString('base64') } };
+    }
+    if (method === 'POST' && resource.endsWith(':disable')) {
+      iamKeys.find(key => `${key.name}:disable` === resource).disabled = true;
+      return { status: 200, data: {} };
+    }
+    iamKeys = iamKeys.filter(key => key.name !== resource);
+    return { status: 200, data: {} };
+  };
+  axios.post = async (url, payload) => {
+    if (url === TOKEN_URL) {
+      return { status: 200, data: { access_token: 'cognito-token', token_type: 'Bearer', expires_in: 3600 } };
+    }
+    return { status: 200, statusText: 'OK', data: acknowledge(payload.detail.keyRotation.newKeyId) };
+  };
+  const { GoogleAuth } = require(require.resolve('google-auth-library', { paths: [root] }));
+  GoogleAuth.prototype.getClient = async () => ({ getAccessToken: async () => ({ token: 'gcp-token' }) });
+
+  config = require('../services/config');
+  keyRotation = require('../services/key-rotation');
+  stateStore = require('../services/state-store');
+  secretManager = require('../services/secret-manager');
+  logger = require('../services/logger');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  useConfig();
+  stateStore.setStateStore(stateStore.createMemoryStateStore());
+  secretManager.invalidateSecretCache();
+  fs.writeFileSync(SECRETS_FILE, JSON.stringify({ [KEY_SECRET]: { 1: '{"private_key_id":"old-key"}' } }));
+  iamKeys = [iamKey('old-key', 40)];
+  iamCalls = [];
+  acknowledge = newKeyId => ({ acknowledged: true, serviceAccountKeyId: newKeyId });
+});
+
+after(() => {
+  fs.rmSync(SECRETS_DIR, { recursive: true, force: true });
+});
+
+test('the new key is published and the old one retired once the secret cache has expired', async () => {
+  const report = await rotate();
+
+  assert.strictEqual(report.status, keyRotation.ROTATION_ROTATED);
+  assert.deepStrictEqual(report.previousKeyIds, ['old-key']);
+  assert.strictEqual(report.configuredKey.updated, true);
+  assert.strictEqual(JSON.parse(storedKeys()[2]).private_key_id, report.newKeyId);
+  // Other instances may still send the old key from their cache
+  assert.strictEqual(report.retirement.status, keyRotation.RETIREMENT_SCHEDULED);
+  assert.deepStrictEqual(report.retired, []);
+  assert.deepStrictEqual(keyIds(), [report.newKeyId, 'old-key']);
+
+  // Runs before retireAfter leave the old key alone
+  const early = await rotate();
+  assert.strictEqual(early.status, keyRotation.ROTATION_SKIPPED);
+  assert.deepStrictEqual(early.retired, []);
+  assert.deepStrictEqual((await getRotationRecord()).pendingRetirement, ['old-key']);
+
+  const record = await getRotationRecord();
+  await stateStore.getStateStore().set('keyRotations', SERVICE_ACCOUNT, { ...record, retireAfter: new Date(Date.now() - 1000).toISOString() });
+  const later = await rotate();
+  assert.strictEqual(later.status, keyRotation.ROTATION_SKIPPED);
+  assert.deepStrictEqual(later.retired, [{ keyId: 'old-key', disabled: true, deleted: true, error: null }]);
+  assert.deepStrictEqual(keyIds(), [report.newKeyId]);
+  assert.deepStrictEqual((await getRotationRecord()).pendingRetirement, []);
+});
+
+test('without a secret cache the old keys are disabled, then deleted, straight away', async () => {
+  useConfig({ SECRET_CACHE_TTL_SECONDS: '0' });
+  const report = await rotate();
+
+  assert.deepStrictEqual(report.retired.map(result => [result.keyId, result.deleted]), [['old-key', true]]);
+  assert.deepStrictEqual(iamCalls.slice(-2), ['POST old-key:disable', 'DELETE old-key']);
+  assert.deepStrictEqual(keyIds(), [report.newKeyId]);
+});
+
+test('a rotation that AWS does not acknowledge is rolled back', async () => {
+  for (const response of [() => ({}), () => '', newKeyId => ({ acknowledged: true, serviceAccountKeyId: `${newKeyId}-other` })]) {
+    acknowledge = response;
+    iamCalls = [];
+    await assert.rejects(rotate(), error => {
+      assert.strictEqual(error.code, 'KEY_ROTATION_NOT_ACKNOWLEDGED');
+      assert.strictEqual(error.details.rotation.rollback.deleted, true);
+      return true;
+    });
+    assert.deepStrictEqual(keyIds(), ['old-key']);
+    assert.ok(!iamCalls.some(call => call.startsWith('POST old-key')));
+    assert.strictEqual((await getRotationRecord()).status, 'rolled-back');
+  }
+  assert.deepStrictEqual(Object.keys(storedKeys()), ['1']);
+});
+
+test('the old keys are kept when the new key cannot be stored for onboarding', async () => {
+  useConfig({ SECRET_MANAGER_LOCAL_FILE: path.join(SECRETS_DIR, 'missing', 'secrets.json'), SECRET_CACHE_TTL_SECONDS: '0' });
+  const report = await rotate();
+
+  assert.strictEqual(report.status, keyRotation.ROTATION_ROTATED);
+  assert.strictEqual(report.configuredKey.updated, false);
+  assert.strictEqual(report.retirement.status, keyRotation.RETIREMENT_KEPT);
+  assert.deepStrictEqual(keyIds(), [report.newKeyId, 'old-key']);
+  assert.ok(!iamCalls.some(call => call.startsWith('POST old-key') || call === 'DELETE old-key'));
+  assert.deepStrictEqual((await getRotationRecord()).pendingRetirement, []);
+});
+
+test('a key onboarding cannot be pointed away from is never rotated', async () => {
+  for (const configured of [Buffer.from('{}').toString('base64'), `secretmanager://${KEY_SECRET}/versions/1`]) {
+    useConfig({ AWS_SERVICE_ACCOUNT_KEY_B64: configured });
+    await assert.rejects(rotate({ force: true }), error => {
+      assert.strictEqual(error.code, 'CONFIG_INVALID');
+      assert.match(error.message, /not a secretmanager:\/\/ reference that follows "latest"/);
+      return true;
+    });
+  }
+  assert.deepStrictEqual(iamCalls, []);
+});
+
+test('only one instance takes over an abandoned rotation lock', async () => {
+  const store = stateStore.getStateStore();
+  const abandoned = { status: 'in-progress', startedAt: new Date(Date.now() - 3600000).toISOString(), correlationId: 'crashed' };
+  await store.set('keyRotations', SERVICE_ACCOUNT, abandoned);
+  // Another instance takes the lock between our read and our write
+  const replace = store.replace;
+  store.replace = async (...args) => {
+    await store.set('keyRotations', SERVICE_ACCOUNT, { ...abandoned, startedAt: new Date().toISOString(), correlationId: 'other-instance' });
+    return replace.apply(store, args);
+  };
+
+  const report = await rotate();
+  assert.strictEqual(report.status, keyRotation.ROTATION_SKIPPED);
+  assert.match(report.reason, /still in progress/);
+  assert.strictEqual((await getRotationRecord()).correlationId, 'other-instance');
+  assert.deepStrictEqual(iamCalls, []);
+
+  store.replace = replace;
+  await store.set('keyRotations', SERVICE_ACCOUNT, abandoned);
+  assert.strictEqual((await rotate()).status, keyRotation.ROTATION_ROTATED);
+});
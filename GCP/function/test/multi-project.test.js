@@ -0,0 +1,194 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+const TOKEN_URL = 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token';
+const { privateKey: SA_PRIVATE_KEY } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const { publicKey: RECIPIENT_PUBLIC_KEY } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const BASE_ENV = {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: TOKEN_URL,
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  AWS_RETRY_MAX_ATTEMPTS: '1',
+  AWS_SERVICE_ACCOUNT: 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com',
+  AWS_SERVICE_ACCOUNT_KEY_B64: Buffer.from(JSON.stringify({
+    type: 'service_account',
+    client_email: 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com',
+    private_key_id: 'key-1',
+    private_key: SA_PRIVATE_KEY
+  })).toString('base64'),
+  SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY: RECIPIENT_PUBLIC_KEY,
+  SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID: 'recipient-1',
+  CALLER_AUTH_MODES: 'none',
+  IAM_READINESS_MODE: 'off',
+  COMPUTE_INVENTORY_ENABLED: 'false',
+  MULTI_PROJECT_CONCURRENCY: '2',
+  LOG_FORMAT: 'json'
+};
+
+Object.assign(process.env, BASE_ENV);
+
+let config;
+let extractAndSendGCPInfo;
+// Builds the AWS response for the project a payload is about
+let awsResponder;
+let awsProjects;
+
+function useConfig(overrides = {}) {
+  config.resetConfig();
+  config.loadConfig({ env: { ...BASE_ENV, ...overrides } });
+}
+
+function awsError(status, message) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.config = { url: BASE_ENV.AWS_ENDPOINT, method: 'post', headers: {} };
+  error.response = { status, statusText: 'Error', data: { message }, headers: {} };
+  return error;
+}
+
+function onboard(body) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      set() {
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+      },
+      send(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+      }
+    };
+    const req = { method: 'POST', url: '/onboard', path: '/onboard', query: {}, headers: { 'content-type': 'application/json' }, body, get: () => undefined };
+    extractAndSendGCPInfo(req, res).catch(reject);
+  });
+}
+
+function byProject(report) {
+  return Object.fromEntries(report.projects.map(project => [project.projectId, [project.statusCode, project.code || null]]));
+}
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.post = async (url, payload) => {
+    if (url === TOKEN_URL) {
+      return { status: 200, data: { access_token: 'cognito-token', token_type: 'Bearer', expires_in: 3600 } };
+    }
+    const projectId = payload.detail.projectId;
+    awsProjects.push(projectId);
+    return awsResponder(projectId);
+  };
+  const { GoogleAuth } = require(require.resolve('google-auth-library', { paths: [root] }));
+  GoogleAuth.prototype.getClient = async () => ({ email: 'function@test-project.iam.gserviceaccount.com' });
+
+  // The handler takes these from the module when it is loaded
+  const metadata = require('../services/gcp-metadata');
+  metadata.extractWorkloadIdentityInfo = async () => ({
+    poolId: 'aws-pool',
+    identityName: 'aws-provider',
+    providerResourceName: 'projects/42/locations/global/workloadIdentityPools/aws-pool/providers/aws-provider',
+    projectNumber: '42',
+    validation: { status: 'valid' },
+    sources: {}
+  });
+  metadata.collectProjectContext = async () => ({
+    ancestry: [],
+    labels: {},
+    lifecycleState: 'ACTIVE',
+    billing: null,
+    enabledServices: [],
+    unavailable: []
+  });
+  metadata.getProjectNumber = async projectId => {
+    if (projectId === 'project-missing') {
+      throw require('../services/errors').createOnboardingError('IAM_PERMISSION_DENIED', `Failed to read project ${projectId}: permission denied`);
+    }
+    return String(100 + projectId.length);
+  };
+
+  config = require('../services/config');
+  ({ extractAndSendGCPInfo } = require('../handlers/cloudFunction'));
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  useConfig();
+  require('../services/cognito').invalidateCognitoToken();
+  const stateStore = require('../services/state-store');
+  stateStore.setStateStore(stateStore.createMemoryStateStore());
+  awsProjects = [];
+  awsResponder = async () => ({ status: 200, statusText: 'OK', data: {} });
+});
+
+test('failed projects are reported next to the ones that succeeded', async () => {
+  awsResponder = async projectId => {
+    if (projectId === 'project-rejected') {
+      throw awsError(400, 'Unknown company');
+    }
+    return { status: 200, statusText: 'OK', data: {} };
+  };
+
+  const response = await onboard({ companyId: 'company-1', projectIds: ['project-a', 'project-rejected', 'project-missing', 'project-b'] });
+
+  assert.strictEqual(response.statusCode, 207);
+  assert.strictEqual(response.body.success, false);
+  assert.deepStrictEqual(response.body.summary, { total: 4, succeeded: 2, queued: 0, failed: 2, notAttempted: 0 });
+  assert.strictEqual(response.body.message, 'Onboarded 2 of 4 project(s)');
+  const outcomes = byProject(response.body);
+  assert.deepStrictEqual(outcomes['project-a'], [200, null]);
+  assert.deepStrictEqual(outcomes['project-b'], [200, null]);
+  assert.strictEqual(outcomes['project-rejected'][0], 502);
+  assert.deepStrictEqual(outcomes['project-missing'], [500, 'IAM_PERMISSION_DENIED']);
+  // Projects are reported in request order, and one that cannot be looked up is never sent
+  assert.deepStrictEqual(response.body.projects.map(project => project.projectId), ['project-a', 'project-rejected', 'project-missing', 'project-b']);
+  assert.deepStrictEqual(awsProjects.sort(), ['project-a', 'project-b', 'project-rejected']);
+});
+
+test('a request where every project succeeds is a 200', async () => {
+  const response = await onboard({ companyId: 'company-1', projectIds: ['project-a', 'project-b', 'project-c'] });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.body.success, true);
+  assert.deepStrictEqual(response.body.summary, { total: 3, succeeded: 3, queued: 0, failed: 0, notAttempted: 0 });
+});
+
+test('projects that cannot finish before the request deadline are not attempted', async () => {
+  useConfig({ MULTI_PROJECT_DEADLINE_MS: '1000', AWS_RETRY_DEADLINE_MS: '500' });
+  awsResponder = async () => {
+    await new Promise(resolve => setTimeout(resolve, 600));
+    return { status: 200, statusText: 'OK', data: {} };
+  };
+
+  const response = await onboard({ companyId: 'company-1', projectIds: ['project-a', 'project-b', 'project-c', 'project-d', 'project-e'] });
+
+  assert.strictEqual(response.statusCode, 207);
+  assert.strictEqual(response.body.success, false);
+  // The first two run in parallel; after them less than AWS_RETRY_DEADLINE_MS is left
+  assert.deepStrictEqual(response.body.summary, { total: 5, succeeded: 2, queued: 0, failed: 0, notAttempted: 3 });
+  assert.strictEqual(response.body.message, 'Onboarded 2 of 5 project(s); 3 not attempted before the request deadline');
+  const skipped = response.body.projects.slice(2);
+  assert.ok(skipped.every(project => project.statusCode === 503 && project.code === 'REQUEST_DEADLINE_EXCEEDED' && project.retryable === true));
+  assert.deepStrictEqual(awsProjects.sort(), ['project-a', 'project-b']);
+});
@@ -0,0 +1,140 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  CALLER_AUTH_MODES: 'none',
+  LOG_FORMAT: 'json'
+});
+
+const SERVICE_ACCOUNT = 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com';
+const POOL_PRINCIPALS = 'principalSet://iam.googleapis.com/projects/123456789/locations/global/workloadIdentityPools/aws-pool/attribute.aws_role/arn:aws:sts::123456789012:assumed-role/archmate';
+const POOL_PRINCIPAL = 'principal://iam.googleapis.com/projects/123456789/locations/global/workloadIdentityPools/aws-pool/subject/archmate';
+const ADMIN = 'user:admin@example.com';
+const DEPLOYER = 'serviceAccount:deployer@test-project.iam.gserviceaccount.com';
+
+let offboarding;
+// The service account's IAM policy as getIamPolicy returns it, and every IAM call made
+let policy;
+let iamCalls;
+let setPolicyError;
+
+function httpError(status, message) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { message } } };
+  return error;
+}
+
+function byRole(results) {
+  return Object.fromEntries(results.map(result => [result.role, result]));
+}
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.post = async (url, body) => {
+    const method = url.split(':').pop();
+    iamCalls.push({ method, body });
+    if (method === 'getIamPolicy') {
+      if (policy instanceof Error) {
+        throw policy;
+      }
+      return { status: 200, data: JSON.parse(JSON.stringify(policy)) };
+    }
+    if (setPolicyError) {
+      throw setPolicyError;
+    }
+    return { status: 200, data: body.policy };
+  };
+  const { GoogleAuth } = require(require.resolve('google-auth-library', { paths: [root] }));
+  GoogleAuth.prototype.getClient = async () => ({ getAccessToken: async () => ({ token: 'gcp-token' }) });
+
+  offboarding = require('../services/offboarding');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  policy = {
+    version: 3,
+    etag: 'BwX1',
+    bindings: [
+      { role: 'roles/iam.workloadIdentityUser', members: [POOL_PRINCIPALS, ADMIN] },
+      { role: 'roles/iam.serviceAccountTokenCreator', members: [POOL_PRINCIPAL] },
+      {
+        role: 'roles/iam.serviceAccountTokenCreator',
+        members: [DEPLOYER],
+        condition: { title: 'office-hours', expression: 'request.time.getHours("Europe/Berlin") < 18' }
+      },
+      { role: 'roles/iam.serviceAccountUser', members: [POOL_PRINCIPALS] }
+    ]
+  };
+  iamCalls = [];
+  setPolicyError = null;
+});
+
+test('only workload identity principals are removed from the federation roles', async () => {
+  const results = await offboarding.removeFederatedBindings(SERVICE_ACCOUNT, false);
+
+  assert.deepStrictEqual(iamCalls.map(call => call.method), ['getIamPolicy', 'setIamPolicy']);
+  assert.deepStrictEqual(iamCalls[0].body, { options: { requestedPolicyVersion: 3 } });
+  const written = iamCalls[1].body.policy;
+  // Version 3 and the etag keep conditional bindings and make a concurrent change fail
+  assert.strictEqual(written.version, 3);
+  assert.strictEqual(written.etag, 'BwX1');
+  assert.deepStrictEqual(written.bindings, [
+    { role: 'roles/iam.workloadIdentityUser', members: [ADMIN] },
+    policy.bindings[2],
+    // Roles outside the federation roles are not touched
+    policy.bindings[3]
+  ]);
+
+  const report = byRole(results);
+  assert.deepStrictEqual(report['roles/iam.workloadIdentityUser'].members, [POOL_PRINCIPALS]);
+  assert.deepStrictEqual(report['roles/iam.serviceAccountTokenCreator'].members, [POOL_PRINCIPAL]);
+  assert.ok(results.every(result => result.status === 'done' && result.action === 'remove'));
+});
+
+test('a dry run reports the planned removals without writing the policy', async () => {
+  const results = await offboarding.removeFederatedBindings(SERVICE_ACCOUNT, true);
+
+  assert.deepStrictEqual(iamCalls.map(call => call.method), ['getIamPolicy']);
+  assert.deepStrictEqual(results.map(result => [result.role, result.status, result.members]), [
+    ['roles/iam.workloadIdentityUser', 'planned', [POOL_PRINCIPALS]],
+    ['roles/iam.serviceAccountTokenCreator', 'planned', [POOL_PRINCIPAL]]
+  ]);
+});
+
+test('roles without workload identity principals are skipped', async () => {
+  policy.bindings = policy.bindings.filter(binding => binding.role !== 'roles/iam.workloadIdentityUser');
+  policy.bindings[0].members = [];
+  const unchanged = await offboarding.removeFederatedBindings(SERVICE_ACCOUNT, false);
+  assert.deepStrictEqual(iamCalls.map(call => call.method), ['getIamPolicy']);
+  assert.ok(unchanged.every(result => result.status === 'skipped'));
+
+  policy.bindings[0].members = [POOL_PRINCIPAL];
+  const partial = byRole(await offboarding.removeFederatedBindings(SERVICE_ACCOUNT, false));
+  assert.strictEqual(partial['roles/iam.serviceAccountTokenCreator'].status, 'done');
+  assert.strictEqual(partial['roles/iam.workloadIdentityUser'].status, 'skipped');
+});
+
+test('a policy that cannot be read or written fails every role it affects', async () => {
+  setPolicyError = httpError(409, 'There were concurrent policy changes.');
+  const conflict = await offboarding.removeFederatedBindings(SERVICE_ACCOUNT, false);
+  assert.deepStrictEqual(conflict.map(result => [result.status, result.error.code]), [['failed', 'IAM_API_FAILED'], ['failed', 'IAM_API_FAILED']]);
+  assert.match(conflict[0].error.message, /concurrent policy changes/);
+
+  policy = httpError(403, 'Permission iam.serviceAccounts.getIamPolicy denied');
+  const denied = await offboarding.removeFederatedBindings(SERVICE_ACCOUNT, false);
+  assert.deepStrictEqual(denied.map(result => [result.role, result.status, result.error.code]), [
+    ['roles/iam.workloadIdentityUser', 'failed', 'IAM_PERMISSION_DENIED'],
+    ['roles/iam.serviceAccountTokenCreator', 'failed', 'IAM_PERMISSION_DENIED']
+  ]);
+});
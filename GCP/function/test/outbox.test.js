@@ -0,0 +1,172 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const OUTBOX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+const TOKEN_URL = 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token';
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: TOKEN_URL,
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  AWS_RETRY_MAX_ATTEMPTS: '1',
+  AWS_RETRY_DEADLINE_MS: '1000',
+  AWS_CIRCUIT_FAILURE_THRESHOLD: '100',
+  OUTBOX_BACKEND: 'file',
+  OUTBOX_FILE_DIR: OUTBOX_DIR,
+  OUTBOX_MAX_ATTEMPTS: '3',
+  // Rescheduled entries are due again right away
+  OUTBOX_RETRY_BASE_DELAY_MS: '0',
+  OUTBOX_REPLAY_DEADLINE_MS: '1500',
+  CALLER_AUTH_MODES: 'none',
+  LOG_FORMAT: 'json'
+});
+
+let outbox;
+let idempotency;
+let stateStore;
+// Answers AWS submissions in the order they are made
+let awsResponses;
+let awsRequestCount;
+
+function buildPayload(overrides = {}) {
+  return {
+    detail: {
+      schemaVersion: '6',
+      vendor: 'GCP',
+      operation: 'onboard',
+      correlationId: 'correlation-1',
+      projectId: 'test-project',
+      projectNumber: '123456789',
+      serviceAccountName: 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com',
+      poolId: 'aws-pool',
+      identityName: 'aws-provider',
+      providerResourceName: 'projects/123456789/locations/global/workloadIdentityPools/aws-pool/providers/aws-provider',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      credentialMode: 'keyless',
+      credentialConfiguration: {
+        type: 'external_account',
+        audience: '//iam.googleapis.com/projects/123456789/locations/global/workloadIdentityPools/aws-pool/providers/aws-provider'
+      },
+      companyId: 'acme',
+      ...overrides
+    }
+  };
+}
+
+function deliveryFailure(status = 503) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: 'Error', headers: {}, data: {} };
+  return { success: false, failure: { code: 'AWS_DELIVERY_FAILED' }, lastError: error, endpoint: 'https://abc123.execute-api.us-east-1.amazonaws.com' };
+}
+
+function queuedFiles(dir = OUTBOX_DIR) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => name.endsWith('.json')) : [];
+}
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.post = async url => {
+    if (url === TOKEN_URL) {
+      return { status: 200, data: { access_token: 'cognito-token', token_type: 'Bearer', expires_in: 3600 } };
+    }
+    awsRequestCount += 1;
+    const next = awsResponses.shift();
+    return typeof next === 'function' ? next() : next;
+  };
+
+  outbox = require('../services/outbox');
+  idempotency = require('../services/idempotency');
+  stateStore = require('../services/state-store');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+  stateStore.setStateStore(stateStore.createMemoryStateStore());
+  awsResponses = [];
+  awsRequestCount = 0;
+});
+
+after(() => {
+  fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+});
+
+test('a failed submission is queued as a file counting the first attempt', async () => {
+  const queued = await outbox.enqueueFailedSubmission(buildPayload(), deliveryFailure(), { onboardingId: 'a'.repeat(64) });
+
+  assert.strictEqual(queued.backend, 'file');
+  const entry = JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, `${queued.outboxId}.json`), 'utf8'));
+  assert.strictEqual(entry.status, 'pending');
+  assert.strictEqual(entry.attempts, 1);
+  assert.strictEqual(entry.onboardingId, 'a'.repeat(64));
+  assert.strictEqual(entry.nextAttemptAt, queued.nextAttemptAt);
+  assert.deepStrictEqual({ code: entry.lastError.code, statusCode: entry.lastError.statusCode }, { code: 'AWS_DELIVERY_FAILED', statusCode: 503 });
+});
+
+test('a replayed delivery removes the entry and completes the submission', async () => {
+  const onboardingId = idempotency.getSubmissionKey({ headers: {} }, { projectId: 'test-project', companyId: 'acme' }).key;
+  await idempotency.beginSubmission(onboardingId, { projectId: 'test-project' });
+  await idempotency.completeSubmission(onboardingId, { statusCode: 202, body: { status: 'queued' } });
+  await outbox.enqueueFailedSubmission(buildPayload(), deliveryFailure(), { onboardingId });
+  awsResponses = [{ status: 200, statusText: 'OK', data: {} }];
+
+  const report = await outbox.replayOutbox();
+  assert.strictEqual(report.processed, 1);
+  assert.deepStrictEqual(report.results.map(result => [result.status, result.attempts]), [['delivered', 2]]);
+  assert.deepStrictEqual(queuedFiles(), []);
+
+  const record = await idempotency.getSubmission(onboardingId);
+  assert.strictEqual(record.status, idempotency.SUBMISSION_COMPLETED);
+  assert.strictEqual(record.response.statusCode, 200);
+  assert.strictEqual(record.response.body.onboardingId, onboardingId);
+});
+
+test('a failing entry is rescheduled, then dead-lettered at the attempt limit', async () => {
+  const { outboxId } = await outbox.enqueueFailedSubmission(buildPayload(), deliveryFailure());
+  awsResponses = [() => { throw deliveryFailure(502).lastError; }, () => { throw deliveryFailure(502).lastError; }];
+
+  const first = await outbox.replayOutbox();
+  assert.deepStrictEqual(first.results.map(result => [result.status, result.attempts]), [['rescheduled', 2]]);
+  assert.deepStrictEqual(queuedFiles(), [`${outboxId}.json`]);
+
+  const second = await outbox.replayOutbox();
+  assert.deepStrictEqual(second.results.map(result => [result.status, result.attempts]), [['dead-lettered', 3]]);
+  assert.deepStrictEqual(queuedFiles(), []);
+  const deadLettered = JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, 'dead-letter', `${outboxId}.json`), 'utf8'));
+  assert.strictEqual(deadLettered.status, 'dead-letter');
+  assert.strictEqual(deadLettered.lastError.statusCode, 502);
+});
+
+test('an entry that no longer matches its schema is dead-lettered without being sent', async () => {
+  const { outboxId } = await outbox.enqueueFailedSubmission(buildPayload({ projectId: '' }), deliveryFailure());
+
+  const report = await outbox.replayOutbox();
+  assert.deepStrictEqual(report.results.map(result => result.status), ['dead-lettered']);
+  assert.strictEqual(awsRequestCount, 0);
+  const deadLettered = JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, 'dead-letter', `${outboxId}.json`), 'utf8'));
+  assert.strictEqual(deadLettered.lastError.code, 'PAYLOAD_SCHEMA_INVALID');
+  assert.ok(deadLettered.schemaErrors.some(error => error.field.includes('projectId')));
+});
+
+test('entries that cannot finish before the replay deadline are left for the next run', async () => {
+  const first = await outbox.enqueueFailedSubmission(buildPayload({ correlationId: 'first' }), deliveryFailure());
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await outbox.enqueueFailedSubmission(buildPayload({ correlationId: 'second' }), deliveryFailure());
+  // The first delivery uses up enough of the run that a second AWS retry deadline no longer fits
+  awsResponses = [() => new Promise(resolve => setTimeout(() => resolve({ status: 200, statusText: 'OK', data: {} }), 600))];
+
+  const report = await outbox.replayOutbox();
+  assert.strictEqual(report.processed, 1);
+  assert.strictEqual(report.deferred, 1);
+  assert.deepStrictEqual(report.results.map(result => [result.outboxId, result.status]), [[first.outboxId, 'delivered'], [second.outboxId, 'deferred']]);
+  assert.deepStrictEqual(queuedFiles(), [`${second.outboxId}.json`]);
+});
@@ -0,0 +1,170 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  AWS_RETRY_MAX_ATTEMPTS: '3',
+  AWS_RETRY_BASE_DELAY_MS: '1',
+  AWS_RETRY_MAX_DELAY_MS: '4',
+  AWS_REQUEST_TIMEOUT_MS: '5000',
+  AWS_CIRCUIT_FAILURE_THRESHOLD: '3',
+  AWS_CIRCUIT_RESET_MS: '60000',
+  CALLER_AUTH_MODES: 'none',
+  LOG_FORMAT: 'json'
+});
+
+const ENDPOINT = 'https://aws.example.com/run-assessment';
+const COGNITO_AUTH = { token: 'cognito-token', tokenType: 'Bearer' };
+
+let retryPolicy;
+let awsRequests;
+// Answers AWS submissions in the order they are made
+let awsResponses;
+let awsRequestCount;
+
+function openCircuit(key, at) {
+  for (let failure = 0; failure < 3; failure++) {
+    retryPolicy.recordFailure(key, at);
+  }
+}
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: 'Error', headers, data: {} };
+  return error;
+}
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.post = async () => {
+    awsRequestCount += 1;
+    const next = awsResponses.shift();
+    return typeof next === 'function' ? next() : next;
+  };
+
+  retryPolicy = require('../services/retry-policy');
+  awsRequests = require('../services/aws-requests');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  retryPolicy.resetCircuits();
+  awsResponses = [];
+  awsRequestCount = 0;
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.strictEqual(retryPolicy.parseRetryAfter('3', now), 3000);
+  assert.strictEqual(retryPolicy.parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now), 5000);
+  assert.strictEqual(retryPolicy.parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  assert.strictEqual(retryPolicy.parseRetryAfter('soon', now), null);
+  assert.strictEqual(retryPolicy.parseRetryAfter(undefined, now), null);
+});
+
+test('the retry delay is jittered backoff unless Retry-After asks for longer', () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    const delay = retryPolicy.computeRetryDelay(attempt, policy, httpError(503));
+    assert.ok(delay >= 0 && delay < Math.min(1000, 100 * Math.pow(2, attempt - 1)), `attempt ${attempt} waited ${delay}ms`);
+  }
+  assert.strictEqual(retryPolicy.computeRetryDelay(1, policy, httpError(429, { 'retry-after': '7' })), 7000);
+});
+
+test('only throttling, server errors and network failures are retryable', () => {
+  [408, 429, 500, 502, 503, 504].forEach(status => assert.ok(retryPolicy.isRetryableError(httpError(status)), String(status)));
+  [400, 401, 403, 404, 422].forEach(status => assert.ok(!retryPolicy.isRetryableError(httpError(status)), String(status)));
+  assert.ok(retryPolicy.isRetryableError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })));
+  assert.ok(!retryPolicy.isRetryableError(Object.assign(new Error('bad url'), { code: 'ERR_INVALID_URL' })));
+});
+
+test('the circuit opens at the threshold, lets one trial through after the reset timeout and closes on success', () => {
+  const start = Date.now();
+  retryPolicy.recordFailure(ENDPOINT, start);
+  retryPolicy.recordFailure(ENDPOINT, start);
+  assert.strictEqual(retryPolicy.getCircuitState(ENDPOINT).state, retryPolicy.CIRCUIT_CLOSED);
+  retryPolicy.recordFailure(ENDPOINT, start);
+  assert.strictEqual(retryPolicy.getCircuitState(ENDPOINT).state, retryPolicy.CIRCUIT_OPEN);
+
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 59999), false);
+
+  const afterReset = start + 60000;
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, afterReset), true);
+  assert.strictEqual(retryPolicy.getCircuitState(ENDPOINT).state, retryPolicy.CIRCUIT_HALF_OPEN);
+  // Everyone else waits for the trial
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, afterReset + 1), false);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, afterReset + 2), false);
+
+  retryPolicy.recordSuccess(ENDPOINT);
+  assert.deepStrictEqual(retryPolicy.getCircuitState(ENDPOINT), { state: retryPolicy.CIRCUIT_CLOSED, consecutiveFailures: 0, openedAt: null });
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, afterReset + 3), true);
+});
+
+test('a failed trial reopens the circuit for another reset timeout', () => {
+  const start = Date.now();
+  openCircuit(ENDPOINT, start);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 60000), true);
+
+  retryPolicy.recordFailure(ENDPOINT, start + 60001);
+  assert.strictEqual(retryPolicy.getCircuitState(ENDPOINT).state, retryPolicy.CIRCUIT_OPEN);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 120000), false);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 120001), true);
+});
+
+test('a trial that never settles gives way to another after the request timeout', () => {
+  const start = Date.now();
+  openCircuit(ENDPOINT, start);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 60000), true);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 64999), false);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 65000), true);
+  assert.strictEqual(retryPolicy.canAttempt(ENDPOINT, start + 65001), false);
+});
+
+test('transient failures are retried until the submission is delivered', async () => {
+  awsResponses = [() => { throw httpError(503); }, () => { throw httpError(429, { 'retry-after': '0' }); }, { status: 200, statusText: 'OK', data: {} }];
+
+  const result = await awsRequests.sendToAwsEndpoint({ detail: {} }, COGNITO_AUTH);
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.attempts.map(attempt => attempt.outcome), ['failure', 'failure', 'success']);
+  assert.deepStrictEqual(result.attempts.slice(0, 2).map(attempt => attempt.nextAction), ['retry', 'retry']);
+});
+
+test('a rejected submission is not retried', async () => {
+  awsResponses = [() => { throw httpError(400); }];
+
+  const result = await awsRequests.sendToAwsEndpoint({ detail: {} }, COGNITO_AUTH);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.failure.code, 'AWS_DELIVERY_REJECTED');
+  assert.strictEqual(awsRequestCount, 1);
+  assert.strictEqual(result.attempts[0].nextAction, 'give-up-non-retryable');
+});
+
+test('concurrent submissions to a half-open endpoint send a single trial', async () => {
+  const [endpoint] = require('../services/aws-endpoints').getAwsEndpoints(require('../services/config').getConfig().aws);
+  const openedAt = Date.now() - 60000;
+  openCircuit(endpoint.url, openedAt);
+
+  let releaseTrial;
+  awsResponses = [() => new Promise(resolve => { releaseTrial = resolve; })];
+  const trial = awsRequests.sendToAwsEndpoint({ detail: {} }, COGNITO_AUTH);
+  const others = await Promise.all([
+    awsRequests.sendToAwsEndpoint({ detail: {} }, COGNITO_AUTH),
+    awsRequests.sendToAwsEndpoint({ detail: {} }, COGNITO_AUTH)
+  ]);
+  assert.deepStrictEqual(others.map(result => result.failure.code), ['AWS_CIRCUIT_OPEN', 'AWS_CIRCUIT_OPEN']);
+  assert.strictEqual(awsRequestCount, 1);
+
+  releaseTrial({ status: 200, statusText: 'OK', data: {} });
+  assert.strictEqual((await trial).success, true);
+  assert.strictEqual(retryPolicy.getCircuitState(endpoint.url).state, retryPolicy.CIRCUIT_CLOSED);
+});
@@ -0,0 +1,132 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+  AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+  CALLER_AUTH_MODES: 'none',
+  ALLOWED_COMPANY_IDS: 'acme,globex',
+  LOG_FORMAT: 'json'
+});
+
+const ONBOARDING_ID = 'a'.repeat(64);
+
+let createRouter;
+let extractAndSendGCPInfo;
+let idempotency;
+let stateStore;
+let storeReads;
+
+function invoke(handler, { method = 'GET', url = '/', query = {}, headers = {}, body = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const responseHeaders = {};
+    const res = {
+      statusCode: 200,
+      set(name, value) {
+        responseHeaders[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, headers: responseHeaders, body: payload });
+      },
+      send(payload) {
+        resolve({ statusCode: this.statusCode, headers: responseHeaders, body: payload });
+      }
+    };
+    const req = { method, url, path: url.split('?')[0], query, headers, body, get: name => headers[name.toLowerCase()] };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+before(() => {
+  ({ createRouter } = require('../handlers/router'));
+  ({ extractAndSendGCPInfo } = require('../handlers/cloudFunction'));
+  idempotency = require('../services/idempotency');
+  stateStore = require('../services/state-store');
+  // Keep the runner's output readable
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+beforeEach(() => {
+  const store = stateStore.createMemoryStateStore();
+  const get = store.get;
+  storeReads = 0;
+  store.get = (...args) => {
+    storeReads += 1;
+    return get.apply(store, args);
+  };
+  stateStore.setStateStore(store);
+});
+
+test('routes dispatch by path and method with decoded parameters', async () => {
+  const seen = [];
+  const route = createRouter([
+    { method: 'GET', path: '/items/:itemId', handler: (req, res) => { seen.push(req.params); res.status(200).json({ ok: true }); } },
+    { method: 'POST', path: '/items/:itemId', handler: (req, res) => res.status(201).json({ created: true }) }
+  ]);
+
+  assert.strictEqual((await invoke(route, { url: '/items/a%20b/' })).statusCode, 200);
+  assert.deepStrictEqual(seen, [{ itemId: 'a b' }]);
+  assert.strictEqual((await invoke(route, { method: 'POST', url: '/items/1' })).statusCode, 201);
+
+  const preflight = await invoke(route, { method: 'OPTIONS', url: '/items/1' });
+  assert.strictEqual(preflight.statusCode, 204);
+  assert.strictEqual(preflight.headers.Allow, 'GET, POST, OPTIONS');
+});
+
+test('unknown paths are 404, other methods 405 and malformed parameters 400', async () => {
+  const notFound = await invoke(extractAndSendGCPInfo, { url: '/unknown' });
+  assert.strictEqual(notFound.statusCode, 404);
+  assert.strictEqual(notFound.body.code, 'NOT_FOUND');
+
+  const wrongMethod = await invoke(extractAndSendGCPInfo, { method: 'PUT', url: '/onboard' });
+  assert.strictEqual(wrongMethod.statusCode, 405);
+  assert.strictEqual(wrongMethod.body.code, 'METHOD_NOT_ALLOWED');
+  assert.strictEqual(wrongMethod.headers.Allow, 'POST, OPTIONS');
+
+  const malformed = await invoke(extractAndSendGCPInfo, { url: '/status/%E0%A4%A' });
+  assert.strictEqual(malformed.statusCode, 400);
+  assert.strictEqual(malformed.body.code, 'INVALID_REQUEST');
+  assert.match(malformed.body.error, /onboardingId/);
+});
+
+test('an invalid onboarding request is rejected with field errors', async () => {
+  const response = await invoke(extractAndSendGCPInfo, { method: 'POST', url: '/onboard', body: { companyId: 'acme', dryRun: 'maybe' } });
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.body.code, 'INVALID_REQUEST');
+  assert.deepStrictEqual(response.body.errors.map(error => error.field), ['body.dryRun']);
+});
+
+test('status lookups authenticate the caller before reading the record', async () => {
+  await idempotency.beginSubmission(ONBOARDING_ID, { projectId: 'test-project', companyId: 'acme' });
+  storeReads = 0;
+
+  for (const query of [{}, { companyId: 'initech' }]) {
+    const rejected = await invoke(extractAndSendGCPInfo, { url: `/status/${ONBOARDING_ID}`, query });
+    assert.strictEqual(rejected.statusCode, 403);
+  }
+  assert.strictEqual(storeReads, 0);
+
+  const found = await invoke(extractAndSendGCPInfo, { url: `/status/${ONBOARDING_ID}`, query: { companyId: 'acme' } });
+  assert.strictEqual(found.statusCode, 200);
+  assert.deepStrictEqual([found.body.status, found.body.companyId], [idempotency.SUBMISSION_IN_PROGRESS, 'acme']);
+});
+
+test('another company cannot see an onboarding, not even that it exists', async () => {
+  await idempotency.beginSubmission(ONBOARDING_ID, { projectId: 'test-project', companyId: 'acme' });
+
+  const other = await invoke(extractAndSendGCPInfo, { url: `/status/${ONBOARDING_ID}`, headers: { 'x-company-id': 'globex' } });
+  const missing = await invoke(extractAndSendGCPInfo, { url: `/status/${'b'.repeat(64)}`, headers: { 'x-company-id': 'globex' } });
+  assert.deepStrictEqual([other.statusCode, other.body.code], [404, 'NOT_FOUND']);
+  assert.deepStrictEqual([missing.statusCode, missing.body.code], [404, 'NOT_FOUND']);
+  assert.strictEqual(other.body.error.replace(ONBOARDING_ID, 'x'), missing.body.error.replace('b'.repeat(64), 'x'));
+});
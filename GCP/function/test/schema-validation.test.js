@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  PAYLOAD_SCHEMA_VERSION,
+  PAYLOAD_SCHEMAS,
+  validateOnboardingRequest,
+  validateOutgoingPayload
+} = require('../services/schema-validation');
+
+const ENCRYPTED_KEY = {
+  encrypted: true,
+  version: 1,
+  keyId: 'recipient-1',
+  algorithm: { keyEncryption: 'RSA-OAEP-256', contentEncryption: 'A256GCM' },
+  encryptedKey: 'ZW5jcnlwdGVkLWtleQ==',
+  iv: 'aXY=',
+  tag: 'dGFn',
+  ciphertext: 'Y2lwaGVydGV4dA==',
+  serviceAccountKeyId: 'key-1'
+};
+
+// A version 1 payload as the function sent it before detail.operation existed
+function buildV1Payload(detail = {}) {
+  return {
+    detail: {
+      schemaVersion: '1',
+      vendor: 'GCP',
+      correlationId: 'correlation-1',
+      projectId: 'test-project',
+      projectNumber: '123456789',
+      serviceAccountName: 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com',
+      poolId: 'aws-pool',
+      identityName: 'aws-provider',
+      providerResourceName: 'projects/123456789/locations/global/workloadIdentityPools/aws-pool/providers/aws-provider',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      credentialMode: 'key',
+      serviceAccountKey: ENCRYPTED_KEY,
+      ...detail
+    }
+  };
+}
+
+function buildPayload(version, detail = {}) {
+  return buildV1Payload({ schemaVersion: version, operation: 'onboard', ...detail });
+}
+
+function fields(result) {
+  return result.errors.map(error => error.field);
+}
+
+test('every published schema pins its own version and the current one is listed', () => {
+  assert.ok(PAYLOAD_SCHEMAS[PAYLOAD_SCHEMA_VERSION]);
+  for (const [version, schema] of Object.entries(PAYLOAD_SCHEMAS)) {
+    assert.deepStrictEqual(schema.properties.detail.properties.schemaVersion, { const: version });
+  }
+});
+
+test('a payload built the way the function builds it matches the current version', () => {
+  assert.deepStrictEqual(validateOutgoingPayload(buildPayload(PAYLOAD_SCHEMA_VERSION)), { valid: true, errors: [] });
+
+  const keyless = buildPayload(PAYLOAD_SCHEMA_VERSION, {
+    credentialMode: 'keyless',
+    credentialConfiguration: { type: 'external_account', audience: '//iam.googleapis.com/projects/123456789/locations/global/workloadIdentityPools/aws-pool/providers/aws-provider' }
+  });
+  delete keyless.detail.serviceAccountKey;
+  assert.strictEqual(validateOutgoingPayload(keyless).valid, true);
+});
+
+test('an invalid payload reports the offending fields', () => {
+  const missing = buildPayload(PAYLOAD_SCHEMA_VERSION);
+  delete missing.detail.projectId;
+  assert.deepStrictEqual(fields(validateOutgoingPayload(missing)), ['detail.projectId']);
+
+  const wrongVendor = validateOutgoingPayload(buildPayload(PAYLOAD_SCHEMA_VERSION, { vendor: 'AWS', timestamp: 'yesterday' }));
+  assert.deepStrictEqual(fields(wrongVendor).sort(), ['detail.timestamp', 'detail.vendor']);
+  assert.ok(wrongVendor.errors.some(error => error.message === 'must be "GCP"'));
+
+  // Key mode carries the encrypted key, never a credential configuration as well
+  const both = validateOutgoingPayload(buildPayload(PAYLOAD_SCHEMA_VERSION, { credentialConfiguration: { type: 'external_account', audience: 'x' } }));
+  assert.deepStrictEqual(both.errors, [{ field: 'detail.credentialConfiguration', message: 'is not allowed here' }]);
+});
+
+test('a payload naming an unknown schema version is rejected', () => {
+  const result = validateOutgoingPayload(buildPayload('99'));
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors[0].field, 'detail.schemaVersion');
+});
+
+test('version 1 payloads still validate against version 1 only', () => {
+  assert.strictEqual(validateOutgoingPayload(buildV1Payload()).valid, true);
+  // The same detail labelled with a later version lacks detail.operation
+  const relabelled = buildV1Payload({ schemaVersion: PAYLOAD_SCHEMA_VERSION });
+  assert.deepStrictEqual(fields(validateOutgoingPayload(relabelled)), ['detail.operation']);
+});
+
+test('version 2 drops the error-only serviceAccountKey that version 1 accepted', () => {
+  const errorOnly = { serviceAccountKey: { error: 'Service account key could not be loaded' } };
+  assert.strictEqual(validateOutgoingPayload(buildV1Payload(errorOnly)).valid, true);
+
+  const v2 = validateOutgoingPayload(buildV1Payload({ schemaVersion: '2', ...errorOnly }));
+  assert.strictEqual(v2.valid, false);
+  assert.ok(fields(v2).every(field => field.startsWith('detail.serviceAccountKey')));
+  assert.strictEqual(validateOutgoingPayload(buildV1Payload({ schemaVersion: '2' })).valid, true);
+});
+
+test('a request names its company in the body, the query string or a header', () => {
+  assert.strictEqual(validateOnboardingRequest({ body: { companyId: 'acme' } }).valid, true);
+  assert.strictEqual(validateOnboardingRequest({ body: {}, query: { company_id: 'acme' } }).valid, true);
+  assert.strictEqual(validateOnboardingRequest({ body: '', headers: { 'x-company-id': 'acme' } }).valid, true);
+
+  assert.deepStrictEqual(validateOnboardingRequest({ body: {} }).errors, [
+    { field: 'companyId', message: 'is required in the body, the query string or the X-Company-Id header' }
+  ]);
+});
+
+test('invalid requests are rejected with field errors', () => {
+  const parsed = validateOnboardingRequest({ body: '{"companyId":"acme","dryRun":"true"}' });
+  assert.deepStrictEqual(parsed, { valid: true, errors: [], body: { companyId: 'acme', dryRun: 'true' } });
+
+  assert.deepStrictEqual(validateOnboardingRequest({ body: '{not json' }).errors, [{ field: 'body', message: 'must be a JSON object' }]);
+  assert.deepStrictEqual(fields(validateOnboardingRequest({ body: { companyId: 'acme', dryRun: 'maybe' } })), ['body.dryRun']);
+  assert.deepStrictEqual(fields(validateOnboardingRequest({ body: { companyId: 'acme', projectIds: ['Not_A_Project'] } })), ['body.projectIds.0']);
+  assert.strictEqual(validateOnboardingRequest({ body: { companyId: 'acme', projectIds: ['project-a'], folderId: '123' } }).valid, false);
+  assert.strictEqual(validateOnboardingRequest({ body: { companyId: 'acme' }, headers: { 'idempotency-key': '' } }).valid, false);
+});
@@ -0,0 +1,124 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRETS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-manager-test-'));
+const SECRETS_FILE = path.join(SECRETS_DIR, 'secrets.json');
+const SECRET = 'projects/test-project/secrets/hmac';
+const SETTINGS = { backend: 'local', localFile: SECRETS_FILE, cacheTtlSeconds: 300 };
+
+let secretManager;
+let config;
+
+function writeSecrets(secrets) {
+  fs.writeFileSync(SECRETS_FILE, JSON.stringify(secrets));
+}
+
+function assertAccessError(promise, code) {
+  return assert.rejects(promise, error => {
+    assert.strictEqual(error.code, code);
+    return true;
+  });
+}
+
+before(() => {
+  secretManager = require('../services/secret-manager');
+  config = require('../services/config');
+  // Keep the runner's output readable
+  console.log = () => {};
+});
+
+beforeEach(() => {
+  secretManager.invalidateSecretCache();
+  config.resetConfig();
+  writeSecrets({ [SECRET]: { 1: 'first', 2: 'second' }, 'projects/test-project/secrets/plain': 'only' });
+});
+
+after(() => {
+  fs.rmSync(SECRETS_DIR, { recursive: true, force: true });
+});
+
+test('a reference without a version follows latest and a numeric version is pinned', () => {
+  assert.deepStrictEqual(secretManager.parseSecretReference(`secretmanager://${SECRET}`), {
+    secretName: SECRET,
+    version: 'latest',
+    versionName: `${SECRET}/versions/latest`,
+    pinned: false
+  });
+  assert.strictEqual(secretManager.parseSecretReference(`secretmanager://${SECRET}/versions/2`).pinned, true);
+  assert.strictEqual(secretManager.parseSecretReference(`secretmanager://${SECRET}/versions/latest`).pinned, false);
+  assert.throws(() => secretManager.parseSecretReference('secretmanager://projects/test-project'), /Invalid secret reference/);
+});
+
+test('the local backend resolves latest to the highest version and pinned versions exactly', async () => {
+  assert.strictEqual(await secretManager.resolveSecretReference(`secretmanager://${SECRET}`, SETTINGS), 'second');
+  assert.strictEqual(await secretManager.resolveSecretReference(`secretmanager://${SECRET}/versions/1`, SETTINGS), 'first');
+  // A plain string is version 1
+  assert.strictEqual(await secretManager.resolveSecretReference('secretmanager://projects/test-project/secrets/plain/versions/1', SETTINGS), 'only');
+});
+
+test('latest is cached for the TTL while a pinned version is cached for good', async () => {
+  const latest = `secretmanager://${SECRET}`;
+  const pinned = `secretmanager://${SECRET}/versions/2`;
+  // Without a TTL latest is read again on every access, the pinned version never is
+  const uncached = { ...SETTINGS, cacheTtlSeconds: 0 };
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, uncached), 'second');
+  assert.strictEqual(await secretManager.resolveSecretReference(pinned, uncached), 'second');
+
+  writeSecrets({ [SECRET]: { 1: 'first', 2: 'changed', 3: 'third' } });
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, uncached), 'third');
+  assert.strictEqual(await secretManager.resolveSecretReference(pinned, uncached), 'second');
+
+  // With a TTL latest keeps its value until the cache is invalidated
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, SETTINGS), 'third');
+  writeSecrets({ [SECRET]: { 1: 'first', 2: 'changed', 3: 'third', 4: 'fourth' } });
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, SETTINGS), 'third');
+
+  secretManager.invalidateSecretCache();
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, SETTINGS), 'fourth');
+});
+
+test('an added version becomes latest straight away', async () => {
+  const latest = `secretmanager://${SECRET}`;
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, SETTINGS), 'second');
+
+  assert.strictEqual(await secretManager.addSecretVersion(latest, 'rotated', SETTINGS), `${SECRET}/versions/3`);
+  assert.strictEqual(await secretManager.resolveSecretReference(latest, SETTINGS), 'rotated');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(SECRETS_FILE, 'utf8'))[SECRET], { 1: 'first', 2: 'second', 3: 'rotated' });
+});
+
+test('missing secrets, versions and files are reported', async () => {
+  await assertAccessError(secretManager.resolveSecretReference('secretmanager://projects/test-project/secrets/missing', SETTINGS), 'SECRET_ACCESS_FAILED');
+  await assertAccessError(secretManager.resolveSecretReference(`secretmanager://${SECRET}/versions/9`, SETTINGS), 'SECRET_ACCESS_FAILED');
+  await assertAccessError(
+    secretManager.resolveSecretReference(`secretmanager://${SECRET}`, { ...SETTINGS, localFile: path.join(SECRETS_DIR, 'missing.json') }),
+    'SECRET_UNAVAILABLE'
+  );
+});
+
+test('a secret setting given as a reference is resolved through the configured backend', async () => {
+  config.loadConfig({
+    env: {
+      GCP_PROJECT: 'test-project',
+      COGNITO_TOKEN_URL: 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token',
+      COGNITO_CLIENT_ID: 'test-client',
+      COGNITO_CLIENT_SECRET_B64: Buffer.from('client-secret').toString('base64'),
+      AWS_ENDPOINT: 'https://abc123.execute-api.us-east-1.amazonaws.com',
+      CALLER_AUTH_MODES: 'hmac',
+      CALLER_AUTH_HMAC_SECRET: `secretmanager://${SECRET}/versions/1`,
+      SECRET_MANAGER_BACKEND: 'local',
+      SECRET_MANAGER_LOCAL_FILE: SECRETS_FILE,
+      STATE_STORE_BACKEND: 'firestore'
+    }
+  });
+
+  assert.strictEqual(await config.getSecretSetting('callerAuth.hmacSecret'), 'first');
+  assert.strictEqual(await config.getSecretSetting('cognito.clientSecretB64'), 'client-secret');
+  assert.deepStrictEqual(config.getConfigSource('callerAuth.hmacSecret'), {
+    source: 'secret-manager',
+    detail: `${SECRET}/versions/1 (from CALLER_AUTH_HMAC_SECRET)`
+  });
+  assert.strictEqual(config.describeConfig()['callerAuth.hmacSecret'].value, 'set');
+});
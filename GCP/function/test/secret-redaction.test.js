@@ -0,0 +1,219 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+// Secret values planted in the configuration and in upstream responses; none may leave the function
+const API_KEY = 'apikey-PLAINTEXT-1234';
+const CLIENT_SECRET = 'client-SECRET-9999';
+const COGNITO_TOKEN = 'cognito-OPAQUE-token-5678';
+const { privateKey: SA_PRIVATE_KEY } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const { publicKey: RECIPIENT_PUBLIC_KEY } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+// A line from the middle of the PEM body, so a partially masked key is still caught
+const SA_PRIVATE_KEY_FRAGMENT = SA_PRIVATE_KEY.split('\n')[5];
+const SECRETS = [API_KEY, CLIENT_SECRET, COGNITO_TOKEN, SA_PRIVATE_KEY_FRAGMENT];
+
+const TOKEN_URL = 'https://example.auth.us-east-1.amazoncognito.com/oauth2/token';
+const AWS_ENDPOINT = 'https://abc123.execute-api.us-east-1.amazonaws.com';
+
+Object.assign(process.env, {
+  GCP_PROJECT: 'test-project',
+  COGNITO_TOKEN_URL: TOKEN_URL,
+  COGNITO_CLIENT_ID: 'test-client',
+  COGNITO_CLIENT_SECRET_B64: Buffer.from(CLIENT_SECRET).toString('base64'),
+  AWS_ENDPOINT,
+  AWS_API_KEY: API_KEY,
+  AWS_RETRY_MAX_ATTEMPTS: '1',
+  AWS_SERVICE_ACCOUNT: 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com',
+  AWS_SERVICE_ACCOUNT_KEY_B64: Buffer.from(JSON.stringify({
+    type: 'service_account',
+    client_email: 'archmate-aws-readonly-test@test-project.iam.gserviceaccount.com',
+    private_key_id: 'key-1',
+    private_key: SA_PRIVATE_KEY
+  })).toString('base64'),
+  SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY: RECIPIENT_PUBLIC_KEY,
+  SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID: 'recipient-1',
+  CALLER_AUTH_MODES: 'none',
+  IAM_READINESS_MODE: 'off',
+  COMPUTE_INVENTORY_ENABLED: 'false',
+  LOG_FORMAT: 'json'
+});
+
+// Everything the function writes to stdout and stderr, which is where Cloud Logging reads from
+let logOutput = '';
+let awsResponder = null;
+let cognitoResponder = null;
+
+function captureStream(stream) {
+  const write = stream.write.bind(stream);
+  stream.write = (chunk, ...args) => {
+    logOutput += String(chunk);
+    // Keep the test runner's own protocol output flowing
+    return String(chunk).startsWith('{"severity"') ? true : write(chunk, ...args);
+  };
+}
+
+function axiosError(url, headers, status, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.config = { url, method: 'post', headers };
+  error.response = { status, statusText: 'Error', data, headers: {} };
+  return error;
+}
+
+function invoke(handler, { method = 'POST', url = '/onboard', query = {}, body = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      set(name, value) {
+        if (typeof name === 'object') Object.assign(headers, name);
+        else headers[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, headers, body: payload });
+      },
+      send(payload) {
+        resolve({ statusCode: this.statusCode, headers, body: payload });
+      }
+    };
+    handler({ method, url, path: url, query, headers: { 'content-type': 'application/json' }, body, get: () => undefined }, res).catch(reject);
+  });
+}
+
+function assertNoSecrets(text, where) {
+  for (const secret of SECRETS) {
+    assert.ok(!text.includes(secret), `${where} contains a secret value: ${secret}`);
+  }
+}
+
+let extractAndSendGCPInfo;
+
+before(() => {
+  const axios = require(require.resolve('axios', { paths: [root] }));
+  axios.post = async (url, data, options = {}) => {
+    if (url === TOKEN_URL) {
+      return cognitoResponder(url, data, options);
+    }
+    return awsResponder(url, data, options);
+  };
+
+  const { GoogleAuth } = require(require.resolve('google-auth-library', { paths: [root] }));
+  GoogleAuth.prototype.getClient = async () => ({ email: 'function@test-project.iam.gserviceaccount.com' });
+
+  const metadata = require('../services/gcp-metadata');
+  metadata.extractWorkloadIdentityInfo = async () => ({
+    poolId: 'aws-pool',
+    identityName: 'aws-provider',
+    providerResourceName: 'projects/42/locations/global/workloadIdentityPools/aws-pool/providers/aws-provider',
+    projectNumber: '42',
+    validation: { status: 'valid' },
+    sources: {}
+  });
+  metadata.collectProjectContext = async () => ({
+    ancestry: [],
+    labels: {},
+    lifecycleState: 'ACTIVE',
+    billing: null,
+    enabledServices: [],
+    unavailable: []
+  });
+
+  captureStream(process.stdout);
+  captureStream(process.stderr);
+  ({ extractAndSendGCPInfo } = require('../index'));
+});
+
+beforeEach(() => {
+  logOutput = '';
+  require('../services/cognito').invalidateCognitoToken();
+  require('../services/state-store').setStateStore(require('../services/state-store').createMemoryStateStore());
+  cognitoResponder = async () => ({
+    status: 200,
+    data: { access_token: COGNITO_TOKEN, token_type: 'Bearer', expires_in: 3600 }
+  });
+});
+
+test('a 401 from AWS refreshes the token and leaks neither the token nor the API key', async () => {
+  let calls = 0;
+  awsResponder = async (url, data, options) => {
+    calls++;
+    assert.strictEqual(options.headers['x-api-key'], API_KEY);
+    assert.strictEqual(options.headers['auth-token'], COGNITO_TOKEN);
+    throw axiosError(url, options.headers, 401, { message: 'Unauthorized' });
+  };
+
+  const response = await invoke(extractAndSendGCPInfo, { body: { companyId: 'company-1' } });
+
+  // With AWS_RETRY_MAX_ATTEMPTS=1 the refreshed retry runs outside the attempt budget
+  assert.strictEqual(calls, 2, 'the request is retried once with a refreshed token');
+  assert.deepStrictEqual(response.body.attempts.map(attempt => attempt.outcome), ['unauthorized', 'failure']);
+  assert.strictEqual(response.statusCode, 502);
+  assert.strictEqual(response.body.code, 'AWS_DELIVERY_REJECTED');
+  assert.strictEqual(response.body.deliveryError.diagnostics.apiKeyPresent, true);
+  assert.ok(!('tokenPreview' in response.body.deliveryError.diagnostics));
+  assertNoSecrets(JSON.stringify(response.body), 'response body');
+  assertNoSecrets(logOutput, 'log output');
+});
+
+test('a Cognito failure echoing the client secret does not return or log it', async () => {
+  cognitoResponder = async (url, data) => {
+    throw axiosError(url, { 'Content-Type': 'application/x-www-form-urlencoded' }, 400, {
+      error: 'invalid_client',
+      error_description: 'Client authentication failed',
+      request: data
+    });
+  };
+  awsResponder = async () => assert.fail('nothing is sent to AWS without a token');
+
+  const response = await invoke(extractAndSendGCPInfo, { body: { companyId: 'company-1' } });
+
+  assert.strictEqual(response.body.success, false);
+  assert.strictEqual(response.body.code, 'COGNITO_AUTH_REJECTED');
+  assertNoSecrets(JSON.stringify(response.body), 'response body');
+  assertNoSecrets(logOutput, 'log output');
+});
+
+test('a delivered payload carries the key only in encrypted form', async () => {
+  let sentPayload = null;
+  awsResponder = async (url, data) => {
+    sentPayload = data;
+    return { status: 200, statusText: 'OK', data: {} };
+  };
+
+  const response = await invoke(extractAndSendGCPInfo, { body: { companyId: 'company-1' } });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(sentPayload.detail.serviceAccountKey.encrypted, true);
+  assertNoSecrets(JSON.stringify(sentPayload), 'payload sent to AWS');
+  assertNoSecrets(JSON.stringify(response.body), 'response body');
+  assertNoSecrets(logOutput, 'log output');
+});
+
+test('a dry run previews the payload without secrets', async () => {
+  awsResponder = async () => assert.fail('a dry run sends nothing to AWS');
+
+  const response = await invoke(extractAndSendGCPInfo, { query: { dryRun: 'true' }, body: { companyId: 'company-1' } });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.body.dryRun, true);
+  assert.strictEqual(response.body.data.detail.serviceAccountKey.ciphertext, '[MASKED]');
+  assert.strictEqual(response.body.configuration['aws.apiKey'].value, 'set');
+  assert.strictEqual(response.body.cognito.tokenObtained, true);
+  assertNoSecrets(JSON.stringify(response.body), 'response body');
+  assertNoSecrets(logOutput, 'log output');
+});
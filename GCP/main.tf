@@ -48,11 +48,21 @@ resource "google_service_account" "aws_readonly_sa" {
   display_name = "archmate AWS Read-only Access Service Account"
 }
 
+# Only created in "key" mode; keyless onboarding sends a Workload Identity Federation config instead.
 resource "google_service_account_key" "aws_readonly_sa_key" {
+  count              = var.onboarding_credential_mode == "keyless" ? 0 : 1
   service_account_id = google_service_account.aws_readonly_sa.name
 
   public_key_type  = "TYPE_X509_PEM_FILE"
   private_key_type = "TYPE_GOOGLE_CREDENTIALS_FILE"
+
+  lifecycle {
+    # The function refuses to start with a key it cannot encrypt for AWS
+    precondition {
+      condition     = var.service_account_key_recipient_public_key != "" && var.service_account_key_recipient_key_id != ""
+      error_message = "onboarding_credential_mode \"key\" requires service_account_key_recipient_public_key and service_account_key_recipient_key_id; set them or use \"keyless\"."
+    }
+  }
 }
 
 # 2️⃣ Assign Viewer Role to the Service Account
@@ -153,6 +163,96 @@ resource "google_project_service" "compute" {
   service = "compute.googleapis.com"
 }
 
+resource "google_project_service" "pubsub" {
+  project = var.gcp_project_id
+  service = "pubsub.googleapis.com"
+}
+
+# Project context in the payload: ancestry/labels, billing link and enabled services
+resource "google_project_service" "cloudresourcemanager" {
+  project = var.gcp_project_id
+  service = "cloudresourcemanager.googleapis.com"
+}
+
+resource "google_project_service" "cloudbilling" {
+  project = var.gcp_project_id
+  service = "cloudbilling.googleapis.com"
+}
+
+resource "google_project_service" "serviceusage" {
+  project = var.gcp_project_id
+  service = "serviceusage.googleapis.com"
+}
+
+# Triggers the operator functions (outbox replay, key rotation) on a schedule
+resource "google_project_service" "cloudscheduler" {
+  project = var.gcp_project_id
+  service = "cloudscheduler.googleapis.com"
+}
+
+# Submission state shared by every instance: idempotency records, HMAC nonces and rotation locks
+resource "google_project_service" "firestore" {
+  count   = var.state_store_backend == "firestore" ? 1 : 0
+  project = var.gcp_project_id
+  service = "firestore.googleapis.com"
+}
+
+resource "google_firestore_database" "state_store" {
+  count       = var.state_store_backend == "firestore" ? 1 : 0
+  project     = var.gcp_project_id
+  name        = "(default)"
+  location_id = var.gcp_region
+  type        = "FIRESTORE_NATIVE"
+
+  depends_on = [google_project_service.firestore]
+}
+
+# Records carry an "expiresAt" timestamp; let Firestore delete them once they have expired
+resource "google_firestore_field" "state_store_ttl" {
+  for_each   = var.state_store_backend == "firestore" ? toset(["onboardingSubmissions", "callerNonces"]) : toset([])
+  project    = var.gcp_project_id
+  database   = google_firestore_database.state_store[0].name
+  collection = each.key
+  field      = "expiresAt"
+
+  ttl_config {}
+  index_config {}
+}
+
+# The function runs as the default compute service account
+resource "google_project_iam_member" "function_datastore_user" {
+  count   = var.state_store_backend == "firestore" ? 1 : 0
+  project = var.gcp_project_id
+  role    = "roles/datastore.user"
+  member  = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com"
+}
+
+# Durable outbox for AWS submissions that failed; replayed by the replayOnboardingOutbox entry point.
+resource "google_pubsub_topic" "onboarding_outbox" {
+  name       = "archmate-onboarding-outbox"
+  depends_on = [google_project_service.pubsub]
+}
+
+resource "google_pubsub_topic" "onboarding_outbox_dead_letter" {
+  name       = "archmate-onboarding-outbox-dead-letter"
+  depends_on = [google_project_service.pubsub]
+}
+
+resource "google_pubsub_subscription" "onboarding_outbox" {
+  name                       = "archmate-onboarding-outbox-replay"
+  topic                      = google_pubsub_topic.onboarding_outbox.id
+  # Covers a whole replay run (OUTBOX_REPLAY_DEADLINE_MS plus one AWS retry deadline), so a claimed
+  # message is not redelivered while it is being sent
+  ack_deadline_seconds       = 300
+  message_retention_duration = "604800s"
+}
+
+resource "google_pubsub_subscription" "onboarding_outbox_dead_letter" {
+  name                       = "archmate-onboarding-outbox-dead-letter"
+  topic                      = google_pubsub_topic.onboarding_outbox_dead_letter.id
+  message_retention_duration = "604800s"
+}
+
 # Temporary bucket to host the Cloud Function source package.
 resource "random_id" "function_bucket_suffix" {
   byte_length = 4
@@ -174,6 +274,165 @@ resource "google_storage_bucket_object" "function_archive" {
   content_type = "application/zip"
 }
 
+# Shared secret used to HMAC-sign calls to the Cloud Function (including the post-deploy invocation).
+resource "random_password" "caller_auth_hmac_secret" {
+  length  = 48
+  special = false
+}
+
+# Secret Manager: the function resolves secretmanager:// references in COGNITO_CLIENT_SECRET_B64,
+# AWS_API_KEY, AWS_SERVICE_ACCOUNT_KEY_B64 and CALLER_AUTH_HMAC_SECRET at runtime, so the values
+# never appear in its environment.
+locals {
+  caller_auth_hmac_enabled = contains(split(",", replace(var.caller_auth_modes, " ", "")), "hmac")
+  secret_manager_references = [
+    for value in [var.cognito_client_secret_b64, var.aws_api_key] : value
+    if startswith(value, "secretmanager://")
+  ]
+  store_key_in_secret_manager = var.store_service_account_key_in_secret_manager && var.onboarding_credential_mode != "keyless"
+  use_secret_manager          = length(local.secret_manager_references) > 0 || local.store_key_in_secret_manager || local.caller_auth_hmac_enabled
+}
+
+resource "google_project_service" "secretmanager" {
+  count   = local.use_secret_manager ? 1 : 0
+  project = var.gcp_project_id
+  service = "secretmanager.googleapis.com"
+}
+
+resource "google_secret_manager_secret" "aws_readonly_sa_key" {
+  count     = local.store_key_in_secret_manager ? 1 : 0
+  secret_id = "archmate-aws-readonly-sa-key-${random_id.service_account_suffix.hex}"
+
+  replication {
+    auto {}
+  }
+
+  depends_on = [google_project_service.secretmanager]
+}
+
+# The secret holds the key JSON itself. The function follows "latest" so the rotateServiceAccountKey
+# entry point can publish rotated keys as new versions.
+resource "google_secret_manager_secret_version" "aws_readonly_sa_key" {
+  count       = local.store_key_in_secret_manager ? 1 : 0
+  secret      = google_secret_manager_secret.aws_readonly_sa_key[0].id
+  secret_data = base64decode(google_service_account_key.aws_readonly_sa_key[0].private_key)
+}
+
+resource "google_secret_manager_secret" "caller_auth_hmac_secret" {
+  count     = local.caller_auth_hmac_enabled ? 1 : 0
+  secret_id = "archmate-caller-auth-hmac-secret-${random_id.service_account_suffix.hex}"
+
+  replication {
+    auto {}
+  }
+
+  depends_on = [google_project_service.secretmanager]
+}
+
+resource "google_secret_manager_secret_version" "caller_auth_hmac_secret" {
+  count       = local.caller_auth_hmac_enabled ? 1 : 0
+  secret      = google_secret_manager_secret.caller_auth_hmac_secret[0].id
+  secret_data = random_password.caller_auth_hmac_secret.result
+}
+
+# The function runs as the default compute service account
+resource "google_project_iam_member" "function_secret_accessor" {
+  count   = local.use_secret_manager ? 1 : 0
+  project = var.gcp_project_id
+  role    = "roles/secretmanager.secretAccessor"
+  member  = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com"
+}
+
+resource "google_secret_manager_secret_iam_member" "function_secret_version_adder" {
+  count     = local.store_key_in_secret_manager ? 1 : 0
+  secret_id = google_secret_manager_secret.aws_readonly_sa_key[0].id
+  role      = "roles/secretmanager.secretVersionAdder"
+  member    = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com"
+}
+
+# Key rotation: the function creates, disables and deletes keys of the read-only service account.
+# Once a key is rotated, the key created by Terraform is gone and the next apply creates a new one.
+resource "google_service_account_iam_member" "function_key_admin" {
+  count              = var.onboarding_credential_mode != "keyless" || var.enable_offboarding ? 1 : 0
+  service_account_id = google_service_account.aws_readonly_sa.name
+  role               = "roles/iam.serviceAccountKeyAdmin"
+  member             = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com"
+}
+
+# Offboarding (POST /offboard): the function removes the workload identity bindings from the
+# read-only service account and can disable the pool. Opt-in, as these grants can undo the onboarding.
+resource "google_service_account_iam_member" "function_sa_admin" {
+  count              = var.enable_offboarding ? 1 : 0
+  service_account_id = google_service_account.aws_readonly_sa.name
+  role               = "roles/iam.serviceAccountAdmin"
+  member             = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com"
+}
+
+resource "google_project_iam_member" "function_pool_admin" {
+  count   = var.enable_offboarding ? 1 : 0
+  project = var.gcp_project_id
+  role    = "roles/iam.workloadIdentityPoolAdmin"
+  member  = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com"
+}
+
+# Multi-project onboarding (projectIds / folderId in the POST /onboard body): the read-only service
+# account reads, and the function lists and inspects, every project under the given folders.
+# Organization-wide onboarding needs the same roles granted on the organization outside this module.
+locals {
+  multi_project_folder_grants = {
+    for grant in setproduct(var.onboarding_folder_ids, [
+      { member = "serviceAccount:${google_service_account.aws_readonly_sa.email}", role = "roles/viewer" },
+      { member = "serviceAccount:${google_service_account.aws_readonly_sa.email}", role = "roles/compute.viewer" },
+      { member = "serviceAccount:${data.google_project.current.number}-compute@developer.gserviceaccount.com", role = "roles/viewer" }
+    ]) : "${grant[0]}/${grant[1].member}/${grant[1].role}" => { folder = grant[0], member = grant[1].member, role = grant[1].role }
+  }
+}
+
+resource "google_folder_iam_member" "multi_project" {
+  for_each = local.multi_project_folder_grants
+  folder   = "folders/${each.value.folder}"
+  role     = each.value.role
+  member   = each.value.member
+}
+
+# Shared by the onboarding function and the operator functions below
+locals {
+  function_environment = {
+    GCP_PROJECT                              = var.gcp_project_id
+    AWS_SERVICE_ACCOUNT                      = google_service_account.aws_readonly_sa.email
+    AWS_SERVICE_ACCOUNT_KEY_B64              = local.store_key_in_secret_manager ? "secretmanager://${google_secret_manager_secret.aws_readonly_sa_key[0].id}" : try(google_service_account_key.aws_readonly_sa_key[0].private_key, "")
+    AWS_SERVICE_ACCOUNT_KEY_ID               = try(google_service_account_key.aws_readonly_sa_key[0].id, "")
+    ONBOARDING_CREDENTIAL_MODE               = var.onboarding_credential_mode
+    SERVICE_ACCOUNT_KEY_RECIPIENT_PUBLIC_KEY = var.service_account_key_recipient_public_key
+    SERVICE_ACCOUNT_KEY_RECIPIENT_KEY_ID     = var.service_account_key_recipient_key_id
+    COGNITO_TOKEN_URL                        = var.cognito_token_url
+    COGNITO_CLIENT_ID                        = var.cognito_client_id
+    COGNITO_CLIENT_SCOPE                     = var.cognito_client_scope
+    COGNITO_CLIENT_SECRET_B64                = var.cognito_client_secret_b64
+    AWS_API_KEY                              = var.aws_api_key
+    AWS_ENDPOINT                             = var.aws_endpoint
+    AWS_ENDPOINT_PATH                        = var.aws_endpoint_path
+    AWS_LIFECYCLE_ENDPOINT_PATH              = var.aws_lifecycle_endpoint_path
+    AWS_ENDPOINTS                            = var.aws_endpoints
+    AWS_ALLOWED_HOSTS                        = var.aws_allowed_hosts
+    CALLER_AUTH_MODES                        = var.caller_auth_modes
+    CALLER_AUTH_HMAC_SECRET                  = local.caller_auth_hmac_enabled ? "secretmanager://${google_secret_manager_secret.caller_auth_hmac_secret[0].id}" : ""
+    CALLER_AUTH_AUDIENCE                     = var.caller_auth_audience
+    CALLER_AUTH_ALLOWED_EMAILS               = var.caller_auth_allowed_emails
+    ALLOWED_COMPANY_IDS                      = var.allowed_company_ids
+    EXPECTED_AWS_ACCOUNT_ID                  = var.aws_account_id
+    EXPECTED_AWS_ROLE_NAME                   = var.aws_role_name
+    OUTBOX_BACKEND                           = "pubsub"
+    OUTBOX_PUBSUB_TOPIC                      = google_pubsub_topic.onboarding_outbox.id
+    OUTBOX_PUBSUB_SUBSCRIPTION               = google_pubsub_subscription.onboarding_outbox.id
+    OUTBOX_PUBSUB_DEAD_LETTER_TOPIC          = google_pubsub_topic.onboarding_outbox_dead_letter.id
+    STATE_STORE_BACKEND                      = var.state_store_backend
+    IDEMPOTENCY_WINDOW_SECONDS               = tostring(var.idempotency_window_seconds)
+    KEY_ROTATION_INTERVAL_DAYS               = tostring(var.key_rotation_interval_days)
+    STACKVERSION                             = "1.0.0"
+  }
+}
+
 # Cloud Function (Gen 2) deployment equivalent to:
 # gcloud functions deploy extractAndSendGCPInfOoo \
 #   --gen2 --runtime nodejs20 --region us-central1 \
@@ -204,18 +463,22 @@ resource "google_cloudfunctions2_function" "extract_and_send_info" {
     max_instance_count = 3
     ingress_settings   = "ALLOW_ALL"
 
-    environment_variables = {
-      AWS_SERVICE_ACCOUNT         = google_service_account.aws_readonly_sa.email
-      AWS_SERVICE_ACCOUNT_KEY_B64 = google_service_account_key.aws_readonly_sa_key.private_key
-      AWS_SERVICE_ACCOUNT_KEY_ID  = google_service_account_key.aws_readonly_sa_key.id
-      COGNITO_TOKEN_URL           = var.cognito_token_url
-      COGNITO_CLIENT_ID           = var.cognito_client_id
-      COGNITO_CLIENT_SCOPE        = var.cognito_client_scope
-      COGNITO_CLIENT_SECRET_B64   = var.cognito_client_secret_b64
-      AWS_API_KEY                 = var.aws_api_key
-      AWS_ENDPOINT                = var.aws_endpoint
-      AWS_ENDPOINT_PATH           = var.aws_endpoint_path
-      STACKVERSION                = "1.0.0"
+    # Multi-project requests stop starting projects at MULTI_PROJECT_DEADLINE_MS (480s by default)
+    timeout_seconds = 540
+
+    environment_variables = local.function_environment
+  }
+
+  lifecycle {
+    # Any Google account can obtain an ID token for the audience; the allow-list is what restricts it
+    precondition {
+      condition     = !contains(split(",", replace(var.caller_auth_modes, " ", "")), "oidc") || (var.caller_auth_audience != "" && var.caller_auth_allowed_emails != "")
+      error_message = "caller_auth_modes includes \"oidc\": set caller_auth_audience and caller_auth_allowed_emails."
+    }
+    # Nonces in the memory store are per instance, so a signed request could be replayed on another one
+    precondition {
+      condition     = !local.caller_auth_hmac_enabled || var.state_store_backend == "firestore"
+      error_message = "caller_auth_modes includes \"hmac\": state_store_backend must be \"firestore\"."
     }
   }
 
@@ -224,6 +487,12 @@ resource "google_cloudfunctions2_function" "extract_and_send_info" {
     google_project_service.run,
     google_project_service.artifactregistry,
     google_project_service.compute,
+    google_pubsub_subscription.onboarding_outbox,
+    google_project_iam_member.function_secret_accessor,
+    google_project_iam_member.function_datastore_user,
+    google_firestore_database.state_store,
+    google_secret_manager_secret_version.aws_readonly_sa_key,
+    google_secret_manager_secret_version.caller_auth_hmac_secret,
     google_storage_bucket_object.function_archive,
   ]
 }
@@ -248,6 +517,127 @@ resource "google_cloud_run_service_iam_member" "function_public_invoker" {
   member = "allUsers"
 }
 
+# Operator entry points, deployed from the same source as separate functions and called by
+# Cloud Scheduler with a Google-signed ID token. They accept only that token: OIDC with a
+# dedicated audience, restricted to the scheduler's service account.
+locals {
+  operator_audience = "archmate-operator-${random_id.cloud_function_suffix.hex}"
+  operator_functions = merge({
+    "replay-outbox" = {
+      entry_point = "replayOnboardingOutbox"
+      schedule    = var.outbox_replay_schedule
+    }
+    }, var.key_rotation_schedule != "" && var.onboarding_credential_mode != "keyless" ? {
+    "rotate-key" = {
+      entry_point = "rotateServiceAccountKey"
+      schedule    = var.key_rotation_schedule
+    }
+  } : {})
+}
+
+resource "google_service_account" "operator_scheduler" {
+  account_id   = "archmate-scheduler-${random_id.service_account_suffix.hex}"
+  display_name = "archmate operator function scheduler"
+}
+
+resource "google_cloudfunctions2_function" "operator" {
+  for_each = local.operator_functions
+  name     = "${var.cloud_function_name}-${each.key}-${random_id.cloud_function_suffix.hex}"
+  location = var.gcp_region
+
+  build_config {
+    runtime     = "nodejs20"
+    entry_point = each.value.entry_point
+
+    source {
+      storage_source {
+        bucket = google_storage_bucket.function_source.name
+        object = google_storage_bucket_object.function_archive.name
+      }
+    }
+  }
+
+  service_config {
+    available_memory   = "256M"
+    max_instance_count = 1
+    ingress_settings   = "ALLOW_ALL"
+
+    # A replay run stops starting entries after OUTBOX_REPLAY_DEADLINE_MS (240s by default)
+    timeout_seconds = 300
+
+    environment_variables = merge(local.function_environment, {
+      CALLER_AUTH_MODES          = "oidc"
+      CALLER_AUTH_AUDIENCE       = local.operator_audience
+      CALLER_AUTH_ALLOWED_EMAILS = google_service_account.operator_scheduler.email
+    })
+  }
+
+  lifecycle {
+    # The rotation lock must be shared between instances; the memory store is per instance
+    precondition {
+      condition     = each.key != "rotate-key" || var.state_store_backend == "firestore"
+      error_message = "key_rotation_schedule requires state_store_backend = \"firestore\"."
+    }
+    # Rotation publishes the new key as a secret version; a key passed in the environment would be deleted under onboarding
+    precondition {
+      condition     = each.key != "rotate-key" || var.store_service_account_key_in_secret_manager
+      error_message = "key_rotation_schedule requires store_service_account_key_in_secret_manager = true."
+    }
+  }
+
+  depends_on = [
+    google_project_service.cloudfunctions,
+    google_project_service.run,
+    google_project_service.artifactregistry,
+    google_pubsub_subscription.onboarding_outbox,
+    google_project_iam_member.function_secret_accessor,
+    google_project_iam_member.function_datastore_user,
+    google_firestore_database.state_store,
+    google_secret_manager_secret_version.aws_readonly_sa_key,
+    google_secret_manager_secret_version.caller_auth_hmac_secret,
+    google_storage_bucket_object.function_archive,
+  ]
+}
+
+# Like the onboarding function, the operator functions authenticate callers themselves
+resource "google_cloud_run_service_iam_member" "operator_public_invoker" {
+  for_each = local.operator_functions
+  project  = google_cloudfunctions2_function.operator[each.key].project
+  location = google_cloudfunctions2_function.operator[each.key].location
+  service  = google_cloudfunctions2_function.operator[each.key].service_config[0].service
+
+  role   = "roles/run.invoker"
+  member = "allUsers"
+}
+
+resource "google_cloud_scheduler_job" "operator" {
+  for_each  = local.operator_functions
+  name      = "${var.cloud_function_name}-${each.key}-${random_id.cloud_function_suffix.hex}"
+  region    = var.gcp_region
+  schedule  = each.value.schedule
+  time_zone = "Etc/UTC"
+
+  # Wait for the function's own timeout instead of the 180s default
+  attempt_deadline = "320s"
+
+  http_target {
+    http_method = "POST"
+    uri         = google_cloudfunctions2_function.operator[each.key].service_config[0].uri
+    headers     = { "Content-Type" = "application/json" }
+    body        = base64encode("{}")
+
+    oidc_token {
+      service_account_email = google_service_account.operator_scheduler.email
+      audience              = local.operator_audience
+    }
+  }
+
+  depends_on = [
+    google_project_service.cloudscheduler,
+    google_cloud_run_service_iam_member.operator_public_invoker,
+  ]
+}
+
 # Optionally invoke the Cloud Function once after deployment completes.
 resource "null_resource" "invoke_function_after_deploy" {
   depends_on = [
@@ -259,17 +649,34 @@ resource "null_resource" "invoke_function_after_deploy" {
   }
 
   provisioner "local-exec" {
+    environment = {
+      CALLER_AUTH_HMAC_SECRET = random_password.caller_auth_hmac_secret.result
+    }
+
     command = <<-EOT
+      if [ -z "${var.companyId}" ]; then
+        echo "Skipping Cloud Function invocation: companyId is not set"
+        exit 0
+      fi
       sleep 10
       FUNCTION_URL="${google_cloudfunctions2_function.extract_and_send_info.service_config[0].uri}"
-      ${var.companyId != "" ? "curl -sSf -X POST \"$FUNCTION_URL?companyId=${var.companyId}\" -H \"Content-Type: application/json\" || echo \"Cloud Function invocation failed\"" : "curl -sSf \"$FUNCTION_URL\" || echo \"Cloud Function invocation failed\""}
+      REQUEST_PATH="/onboard?companyId=${var.companyId}"
+      TIMESTAMP="$(date +%s)"
+      NONCE="$(openssl rand -hex 16)"
+      SIGNATURE="$(printf '%s' "$TIMESTAMP.$NONCE.POST.$REQUEST_PATH." | openssl dgst -sha256 -hmac "$CALLER_AUTH_HMAC_SECRET" | sed 's/^.* //')"
+      curl -sSf -X POST "$FUNCTION_URL$REQUEST_PATH" \
+        -H "X-Archmate-Timestamp: $TIMESTAMP" \
+        -H "X-Archmate-Nonce: $NONCE" \
+        -H "X-Archmate-Signature: $SIGNATURE" \
+        || echo "Cloud Function invocation failed"
     EOT
   }
 }
 
 resource "null_resource" "cleanup_function_archive" {
   depends_on = [
-    null_resource.invoke_function_after_deploy
+    null_resource.invoke_function_after_deploy,
+    google_cloudfunctions2_function.operator,
   ]
 
   triggers = {
@@ -310,13 +717,13 @@ output "cloud_function_uri" {
 
 output "aws_readonly_service_account_key" {
   description = "JSON credentials for the archmate AWS read-only service account."
-  value       = google_service_account_key.aws_readonly_sa_key.private_key
+  value       = try(google_service_account_key.aws_readonly_sa_key[0].private_key, null)
   sensitive   = true
 }
 
 output "aws_readonly_service_account_key_id" {
   description = "Key ID for the archmate AWS read-only service account key."
-  value       = google_service_account_key.aws_readonly_sa_key.id
+  value       = try(google_service_account_key.aws_readonly_sa_key[0].id, null)
 }
 
 
@@ -366,7 +773,7 @@ variable "aws_service_account_id" {
 
 variable "aws_api_key" {
   type        = string
-  description = "Optional API key header value for the AWS endpoint."
+  description = "Optional API key header value for the AWS endpoint, or a secretmanager://projects/<project>/secrets/<secret>[/versions/<version>] reference to it."
   default     = ""
   sensitive   = true
 }
@@ -383,6 +790,24 @@ variable "aws_endpoint_path" {
   default     = "/prod/run-assessment"
 }
 
+variable "aws_lifecycle_endpoint_path" {
+  type        = string
+  description = "Path on every AWS endpoint that receives offboarding and key rotation notifications instead of aws_endpoint_path, so they never start an assessment. Offboarding and key rotation fail until it is set."
+  default     = ""
+}
+
+variable "aws_endpoints" {
+  type        = string
+  description = "Optional JSON array of AWS endpoints to route to, e.g. [{\"url\":\"https://...\",\"path\":\"/prod/run-assessment\",\"region\":\"eu-central-1\",\"priority\":1,\"health\":\"healthy\"}]. Overrides aws_endpoint and aws_endpoint_path; later endpoints are used only when earlier ones are unreachable or return 5xx."
+  default     = ""
+}
+
+variable "aws_allowed_hosts" {
+  type        = string
+  description = "Comma-separated hosts the function may send to (\"*.example.com\" matches subdomains). Defaults to *.amazonaws.com in the function."
+  default     = ""
+}
+
 variable "cognito_token_url" {
   type        = string
   description = "Amazon Cognito OAuth2 token endpoint URL. Format: https://<your-user-pool-domain>.auth.eu-central-1.amazoncognito.com/oauth2/token"
@@ -407,13 +832,113 @@ variable "cognito_client_scope" {
 
 variable "cognito_client_secret_b64" {
   type        = string
-  description = "Base64-encoded Cognito client secret (will be decoded in the function)."
+  description = "Base64-encoded Cognito client secret (decoded in the function), or a secretmanager://projects/<project>/secrets/<secret>[/versions/<version>] reference to a secret holding the plain client secret."
   default     = "MjltbGRlZG5tN2YwZnU4OG40OGhhYzFyMXZzZHExdGE5bHQ5bDdhY3ZkcWpnNGRiczFl"
   sensitive   = true
 }
 
 variable "companyId" {
   type        = string
-  description = "Company ID to be passed to the Cloud Function and included in the payload sent to AWS."
+  description = "Company ID to be passed to the Cloud Function and included in the payload sent to AWS. The function rejects requests without one, so the post-deploy invocation is skipped when it is empty."
+  default     = ""
+}
+
+variable "caller_auth_modes" {
+  type        = string
+  description = "Comma-separated caller authentication methods accepted by the Cloud Function (oidc, hmac). \"oidc\" requires caller_auth_audience and caller_auth_allowed_emails; \"hmac\" requires state_store_backend \"firestore\". Use \"none\" only for local testing."
+  default     = "hmac"
+}
+
+variable "caller_auth_audience" {
+  type        = string
+  description = "Comma-separated audiences accepted in Google-signed OIDC ID tokens (typically the Cloud Function URL)."
+  default     = ""
+}
+
+variable "caller_auth_allowed_emails" {
+  type        = string
+  description = "Comma-separated list of ID token principals allowed to invoke the Cloud Function. Required when caller_auth_modes includes \"oidc\"."
+  default     = ""
+}
+
+variable "allowed_company_ids" {
+  type        = string
+  description = "Optional comma-separated allow-list of companyIds the Cloud Function will onboard."
+  default     = ""
+}
+
+variable "onboarding_credential_mode" {
+  type        = string
+  description = "How AWS gets access to the project: \"key\" sends a service account JSON key, \"keyless\" sends a Workload Identity Federation credential configuration and creates no key."
+  default     = "key"
+
+  validation {
+    condition     = contains(["key", "keyless"], var.onboarding_credential_mode)
+    error_message = "onboarding_credential_mode must be \"key\" or \"keyless\"."
+  }
+}
+
+variable "service_account_key_recipient_public_key" {
+  type        = string
+  description = "PEM (or base64-encoded PEM) RSA public key of the AWS recipient. The service account key is envelope-encrypted with it before being sent. Required in \"key\" mode."
+  default     = ""
+}
+
+variable "service_account_key_recipient_key_id" {
+  type        = string
+  description = "Identifier of the recipient public key, sent with the encrypted service account key so AWS can pick the matching private key. Required in \"key\" mode."
+  default     = ""
+}
+
+variable "state_store_backend" {
+  type        = string
+  description = "Where the function records submission state for idempotency and HMAC replay protection: \"firestore\" (the (default) database is created in gcp_region) or \"memory\" (per instance, so scaled-out instances do not share it; for local testing only)."
+  default     = "firestore"
+
+  validation {
+    condition     = contains(["memory", "firestore"], var.state_store_backend)
+    error_message = "state_store_backend must be \"memory\" or \"firestore\"."
+  }
+}
+
+variable "idempotency_window_seconds" {
+  type        = number
+  description = "How long a repeated onboarding submission for the same project and company returns the original result instead of re-submitting."
+  default     = 86400
+}
+
+variable "store_service_account_key_in_secret_manager" {
+  type        = bool
+  description = "Store the generated service account key in Secret Manager and pass the function a secretmanager:// reference to its latest version instead of the key itself, so rotated keys reach onboarding. Ignored in \"keyless\" mode."
+  default     = false
+}
+
+variable "outbox_replay_schedule" {
+  type        = string
+  description = "Cron schedule (UTC) on which Cloud Scheduler calls the outbox replay function to redeliver queued AWS submissions."
+  default     = "*/10 * * * *"
+}
+
+variable "key_rotation_schedule" {
+  type        = string
+  description = "Cron schedule (UTC) on which Cloud Scheduler calls the rotateServiceAccountKey function; empty deploys no rotation function. Requires state_store_backend \"firestore\" and store_service_account_key_in_secret_manager. Replaced keys are deleted by the first run after the function's secret cache TTL (5 minutes). Ignored in \"keyless\" mode."
   default     = ""
-}
\ No newline at end of file
+}
+
+variable "key_rotation_interval_days" {
+  type        = number
+  description = "Minimum age in days of the newest service account key before the rotateServiceAccountKey entry point replaces it (0 rotates on every call)."
+  default     = 30
+}
+
+variable "onboarding_folder_ids" {
+  type        = list(string)
+  description = "Numeric IDs of folders whose projects may be onboarded in one POST /onboard request (folderId, or projectIds within them). Grants Viewer on each folder to the read-only and function service accounts."
+  default     = []
+}
+
+variable "enable_offboarding" {
+  type        = bool
+  description = "Grant the function the IAM roles it needs to offboard the project (remove the workload identity bindings, delete keys, disable the pool)."
+  default     = false
+}